@@ -7,6 +7,7 @@
  */
 
 import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
 import { getBalance, isConfigured } from '@/lib/okxClient'
 import { addLog } from '@/lib/state'
 
@@ -15,7 +16,10 @@ import { addLog } from '@/lib/state'
  * 
  * Returns account balance information
  */
-export async function GET() {
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
   try {
     // Check if API is configured
     if (!isConfigured()) {
@@ -0,0 +1,74 @@
+/**
+ * Audit Trail API Route
+ *
+ * Who changed what, when and from where (see lib/audit.js).
+ * Admins only: entries include IP addresses and the full settings history.
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { queryAudit } from '@/lib/audit'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 500
+
+/**
+ * GET /api/audit
+ *
+ * Get audit entries, newest first
+ *
+ * Query params:
+ * - user: username
+ * - action: action or action group (e.g. 'settings', 'position.close')
+ * - target: instrument or resource (e.g. 'BTC-USDT-SWAP')
+ * - start, end: ISO date range
+ * - failed: 'true' for failed actions only
+ * - limit: number (default: 50, at most 500)
+ * - cursor: nextCursor from the previous page
+ *
+ * A limit or cursor that isn't a positive integer gets a 400.
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'admin')
+  if (denied) return denied
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : DEFAULT_LIMIT
+    const cursor = searchParams.get('cursor')
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return NextResponse.json({
+        success: false,
+        error: 'limit must be a positive integer',
+      }, { status: 400 })
+    }
+    if (cursor !== null && !/^[1-9]\d*$/.test(cursor)) {
+      return NextResponse.json({
+        success: false,
+        error: 'cursor must be a nextCursor value',
+      }, { status: 400 })
+    }
+
+    const result = queryAudit({
+      user: searchParams.get('user'),
+      action: searchParams.get('action'),
+      target: searchParams.get('target'),
+      startDate: searchParams.get('start'),
+      endDate: searchParams.get('end'),
+      failed: searchParams.get('failed') === 'true',
+      limit: Math.min(limit, MAX_LIMIT),
+      cursor,
+    })
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+    })
+  } catch (error) {
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Authentication API Route
+ *
+ * Reachable without a session (see middleware.js).
+ *
+ * Endpoints:
+ * - GET: Current user (username, role) and what authentication is configured
+ * - POST: Log in with the dashboard credentials (sets the session cookie) or log out
+ */
+
+import { NextResponse } from 'next/server'
+import { verifyCredentials } from '@/lib/auth'
+import { getLoginThrottleKey, getLoginRetryAfter, recordLoginAttempt } from '@/lib/loginThrottle'
+import {
+  SESSION_COOKIE,
+  createSessionToken,
+  authenticateRequest,
+  getRequestUser,
+  getClientIp,
+  getTrustedClientIp,
+  getAuthConfigStatus,
+  hasRole,
+  getSessionTtlMs,
+} from '@/lib/session'
+import { addLog } from '@/lib/state'
+import { recordAudit } from '@/lib/audit'
+import { revokeSession } from '@/lib/revokedSessions'
+
+/**
+ * Secure cookies over HTTPS (directly or behind a proxy)
+ */
+function isHttps(request) {
+  return request.nextUrl.protocol === 'https:' || request.headers.get('x-forwarded-proto') === 'https'
+}
+
+/**
+ * GET /api/auth
+ */
+export async function GET(request) {
+  const config = getAuthConfigStatus()
+  const identity = config.disabled
+    ? getRequestUser(request)
+    : await authenticateRequest(request)
+
+  // This endpoint is public: user and token details are for admins only
+  return NextResponse.json({
+    success: true,
+    authenticated: Boolean(identity),
+    user: identity,
+    config: hasRole(identity?.role, 'admin') ? config : { disabled: config.disabled, sessions: config.sessions },
+  })
+}
+
+/**
+ * POST /api/auth
+ *
+ * Body: { action: 'login', username, password } or { action: 'logout' }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json()
+    const { action } = body
+
+    if (action === 'login') {
+      const client = getClientIp(request)
+      const throttleKey = getLoginThrottleKey(body.username, getTrustedClientIp(request))
+      const retryAfter = getLoginRetryAfter(throttleKey)
+      if (retryAfter > 0) {
+        return NextResponse.json({
+          success: false,
+          error: `Too many failed logins - try again in ${Math.ceil(retryAfter / 60)} min`,
+        }, { status: 429, headers: { 'Retry-After': String(retryAfter) } })
+      }
+
+      if (!getAuthConfigStatus().sessions) {
+        return NextResponse.json({
+          success: false,
+          error: 'Dashboard login is not configured (set AUTH_SECRET and DASHBOARD_USERNAME / DASHBOARD_PASSWORD_HASH or DASHBOARD_USERS)',
+        }, { status: 503 })
+      }
+
+      const user = await verifyCredentials(body.username, body.password)
+      recordLoginAttempt(throttleKey, Boolean(user))
+      if (!user) {
+        const username = String(body.username).slice(0, 64)
+        addLog(`Failed dashboard login for "${username}" from ${client}`, 'error')
+        recordAudit(request, {
+          action: 'auth.login',
+          user: { username, role: null, method: 'password' },
+          success: false,
+          error: 'Invalid username or password',
+        })
+        return NextResponse.json({
+          success: false,
+          error: 'Invalid username or password',
+        }, { status: 401 })
+      }
+
+      const response = NextResponse.json({ success: true, user })
+      response.cookies.set(SESSION_COOKIE, await createSessionToken(user.username), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: isHttps(request),
+        path: '/',
+        maxAge: Math.floor(getSessionTtlMs() / 1000),
+      })
+      addLog(`Dashboard login: ${user.username} (${user.role})`, 'info')
+      recordAudit(request, { action: 'auth.login', user: { ...user, method: 'password' } })
+      return response
+    }
+
+    if (action === 'logout') {
+      const identity = await authenticateRequest(request)
+      if (identity?.sessionId) {
+        // The cookie is cleared below, but a copy of it must stop working too
+        revokeSession(identity.sessionId, identity.expiresAt)
+      }
+      if (identity) {
+        recordAudit(request, { action: 'auth.logout', user: identity })
+      }
+      const response = NextResponse.json({ success: true })
+      response.cookies.set(SESSION_COOKIE, '', { httpOnly: true, sameSite: 'strict', path: '/', maxAge: 0 })
+      return response
+    }
+
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid action. Use "login" or "logout"',
+    }, { status: 400 })
+
+  } catch (error) {
+    console.error('Auth POST error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
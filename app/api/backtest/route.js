@@ -0,0 +1,169 @@
+/**
+ * Backtest API Route
+ * 
+ * Replays historical OKX candles through the active strategy to see how
+ * it would have performed before risking real money.
+ * 
+ * Candles are read from the local candle store, which is backfilled from
+ * OKX history as needed.
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { runBacktest } from '@/lib/backtest'
+import { backfillCandles, getStoredCandles, isValidInstId } from '@/lib/candleStore'
+import { findInstrument } from '@/lib/instruments'
+import { getTradeConfig } from '@/lib/state'
+import { isValidTimeframe } from '@/lib/timeframes'
+import { resolveStrategyParams } from '@/lib/strategy'
+
+// Default configuration
+const DEFAULT_INSTRUMENT = 'BTC-USDT'
+const DEFAULT_BARS = 1000
+// Backfill and replay run inside the request, so keep them short
+const MAX_BACKTEST_BARS = 5000
+
+/**
+ * Read an optional number option
+ *
+ * @param {string} range - 'positive', 'nonNegative' or 'any' (finite)
+ */
+function readNumber(body, key, range) {
+  const value = body[key]
+  if (value === undefined || value === null) return undefined
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${key} must be a number`)
+  }
+  if (range === 'positive' && value <= 0) throw new Error(`${key} must be greater than 0`)
+  if (range === 'nonNegative' && value < 0) throw new Error(`${key} must be 0 or more`)
+  return value
+}
+
+/**
+ * Read an optional ISO date option as a timestamp
+ */
+function readDate(body, key) {
+  if (body[key] === undefined || body[key] === null) return undefined
+  const time = typeof body[key] === 'string' ? new Date(body[key]).getTime() : NaN
+  if (!Number.isFinite(time)) throw new Error(`${key} must be an ISO date`)
+  return time
+}
+
+/**
+ * Validate the options of a backtest request (throws on invalid input)
+ *
+ * @returns {Object} - { bars, start, end, strategy, options } for runBacktest()
+ */
+function parseBacktestRequest(body) {
+  let bars = DEFAULT_BARS
+  if (body.bars !== undefined && body.bars !== null) {
+    if (!Number.isInteger(body.bars) || body.bars <= 0) throw new Error('bars must be a positive integer')
+    bars = Math.min(body.bars, MAX_BACKTEST_BARS)
+  }
+
+  const start = readDate(body, 'start')
+  const end = readDate(body, 'end')
+  if (start !== undefined && end !== undefined && start > end) {
+    throw new Error('start must be before end')
+  }
+
+  // Unknown names and out-of-range parameters are rejected by the registry
+  let strategy
+  if (body.strategy !== undefined && body.strategy !== null) {
+    if (typeof body.strategy !== 'object' || typeof body.strategy.name !== 'string') {
+      throw new Error('strategy must be { name, params }')
+    }
+    strategy = { name: body.strategy.name, params: resolveStrategyParams(body.strategy.name, body.strategy.params || {}) }
+  }
+
+  return {
+    bars,
+    start,
+    end,
+    options: {
+      strategy,
+      margin: readNumber(body, 'margin', 'positive'),
+      leverage: readNumber(body, 'leverage', 'positive'),
+      takerFeeRate: readNumber(body, 'takerFeeRate', 'nonNegative'),
+      slippageBps: readNumber(body, 'slippageBps', 'nonNegative'),
+      // Negative funding: shorts pay longs
+      fundingRate: readNumber(body, 'fundingRate', 'any'),
+      initialEquity: readNumber(body, 'initialEquity', 'positive'),
+    },
+  }
+}
+
+/**
+ * POST /api/backtest
+ * 
+ * Body (all optional):
+ * - instId: 'BTC-USDT'
+ * - bar: candle timeframe (default: configured timeframe)
+ * - bars: number of candles to backfill and test (default 1000, at most 5000)
+ * - start, end: ISO dates to restrict the tested range
+ * - strategy: { name, params } (default: pair's active strategy)
+ * - margin, leverage: position sizing (default: trade config)
+ * - takerFeeRate, slippageBps, fundingRate, initialEquity: cost model
+ *
+ * Invalid options get a 400.
+ */
+export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Expected a JSON object',
+      }, { status: 400 })
+    }
+    const instId = body.instId || DEFAULT_INSTRUMENT
+    const bar = body.bar || getTradeConfig().candleTimeframe
+    
+    let parsed
+    try {
+      parsed = parseBacktestRequest(body)
+    } catch (error) {
+      return NextResponse.json({
+        success: false,
+        error: error.message,
+      }, { status: 400 })
+    }
+    const { bars, start, end, options } = parsed
+    
+    if (!isValidTimeframe(bar)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unsupported timeframe: ${bar}`,
+      }, { status: 400 })
+    }
+    
+    if (!isValidInstId(instId) || !(await findInstrument(instId))) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown instrument: ${instId}`,
+      }, { status: 400 })
+    }
+    
+    await backfillCandles(instId, bar, { bars })
+    const candles = getStoredCandles(instId, bar, { start, end, limit: bars })
+    
+    const result = runBacktest(candles, { instId, ...options })
+    
+    return NextResponse.json({
+      success: true,
+      instId,
+      bar,
+      candles: candles.length,
+      ...result,
+    })
+  } catch (error) {
+    console.error('Backtest error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
@@ -5,225 +5,44 @@
  * Use demo mode for testing. Always test with small amounts first.
  * 
  * Endpoints:
- * - GET: Get bot status and trigger a trading cycle
- * - POST: Start/stop the bot
+ * - GET: Get bot status or force a trading cycle
+ * - POST: Start/stop the bot (cycles are run by lib/scheduler.js)
  */
 
 import { NextResponse } from 'next/server'
-import { getCandles, getTicker, placeMarketOrder, isConfigured, isDemoMode } from '@/lib/okxClient'
-import { analyzeMarket, shouldTrade } from '@/lib/strategy'
-import {
-  getState,
-  setBotRunning,
-  setSignal,
-  recordTrade as recordTradeState,
-  updateMarketData,
-  updateMarketPrice,
-  isInCooldown,
-  addLog,
-  addPosition,
-  getTradeConfig,
-  getPairState,
-  updatePairState,
-  setPairSignal,
-  isPairInCooldown,
-  getPairCooldownRemaining,
-  botState,
-} from '@/lib/state'
-import { recordTrade as logTrade } from '@/lib/tradeLog'
+import { requireRole } from '@/lib/session'
+import { recordAudit } from '@/lib/audit'
+import { isConfigured, isDemoMode, isPaperTradingMode, getTradingMode } from '@/lib/okxClient'
+import { runCycle, startScheduler, stopScheduler } from '@/lib/scheduler'
+import { getState, setBotRunning, addLog, botState } from '@/lib/state'
+import { ensureStartup } from '@/lib/startup'
+import { getAccountFeedStatus } from '@/lib/accountFeed'
 
-// Trading configuration
-const CANDLE_TIMEFRAME = '1m'
-const CANDLE_LIMIT = 100
-
-// Trading pairs to monitor
-const TRADING_PAIRS = [
-  'BTC-USDT',
-  'ETH-USDT',
-  'SOL-USDT',
-  'XRP-USDT',
-  'DOGE-USDT',
-  'ADA-USDT',
-]
-
-/**
- * Execute trade for a single pair
- */
-async function executePairTrade(instId) {
-  try {
-    // Check pair-specific cooldown
-    if (isPairInCooldown(instId)) {
-      const remaining = getPairCooldownRemaining(instId)
-      return { instId, executed: false, reason: `Cooldown ${remaining}s` }
-    }
-    
-    // Fetch market data
-    const ticker = await getTicker(instId)
-    const candles = await getCandles(instId, CANDLE_TIMEFRAME, CANDLE_LIMIT)
-    const closePrices = candles.map(c => c.close)
-    
-    // Analyze market
-    const analysis = analyzeMarket(closePrices)
-    
-    // Update market price for position tracking
-    updateMarketPrice(instId, ticker.last)
-    
-    // Update pair signal
-    setPairSignal(instId, analysis.signal)
-    
-    // Get pair-specific state
-    const pairState = getPairState(instId)
-    
-    // Check if we should trade for this pair
-    const tradeDecision = shouldTrade(analysis.signal, pairState.lastPosition)
-    
-    if (!tradeDecision.shouldTrade) {
-      return { instId, executed: false, reason: tradeDecision.reason, signal: analysis.signal }
-    }
-    
-    // Execute trade
-    const mode = isDemoMode() ? 'demo' : 'live'
-    const tradeConfig = getTradeConfig()
-    const margin = tradeConfig.margin
-    const leverage = tradeConfig.leverage
-    const positionValue = margin * leverage  // Total position value in USDT
-    
-    addLog(`[${instId}] ${tradeDecision.side.toUpperCase()} @ $${ticker.last} - $${margin} margin × ${leverage}x = $${positionValue} position`, 'trade')
-    
-    const order = await placeMarketOrder(
-      instId,
-      tradeDecision.side,
-      positionValue,  // Pass position value (not margin) for contract calculation
-      leverage
-    )
-    
-    // Update pair state
-    updatePairState(instId, tradeDecision.side)
-    
-    // Record trade in state (global)
-    recordTradeState(tradeDecision.side, ticker.last, margin)
-    
-    // Add to active positions
-    addPosition({
-      instId: instId,
-      side: tradeDecision.side,
-      size: positionValue,  // Position value
-      margin: margin,       // Actual margin used
-      price: ticker.last,
-      orderId: order.orderId,
-      mode: mode,
-      leverage: leverage,
-    })
-    
-    // Log trade for analysis
-    logTrade({
-      mode: mode,
-      instId: instId,
-      side: tradeDecision.side,
-      price: ticker.last,
-      margin: margin,
-      positionValue: positionValue,
-      leverage: leverage,
-      signal: analysis.signal,
-      fastMA: analysis.fastMA,
-      slowMA: analysis.slowMA,
-      orderId: order.orderId,
-      reason: tradeDecision.reason,
-    })
-    
-    const simText = order.simulated ? ' (SIM)' : ''
-    addLog(`[${instId}] Order filled! ${order.orderId}${simText}`, 'trade')
-    
-    return {
-      instId,
-      executed: true,
-      mode: mode,
-      side: tradeDecision.side,
-      price: ticker.last,
-      orderId: order.orderId,
-    }
-    
-  } catch (error) {
-    addLog(`[${instId}] Error: ${error.message}`, 'error')
-    return { instId, executed: false, reason: error.message }
-  }
-}
-
-/**
- * Execute one trading cycle for all pairs
- * 
- * 1. Loop through all trading pairs
- * 2. Analyze each pair independently
- * 3. Execute trades where conditions are met
- */
-async function executeTradingCycle() {
-  try {
-    addLog(`Scanning ${TRADING_PAIRS.length} pairs...`, 'info')
-    
-    // Check if API is configured
-    if (!isConfigured()) {
-      addLog('API not configured - skipping trade execution', 'error')
-      return { executed: false, reason: 'API not configured', trades: [] }
-    }
-    
-    const results = []
-    let tradesExecuted = 0
-    
-    // Process each pair with a small delay to avoid rate limits
-    for (const instId of TRADING_PAIRS) {
-      try {
-        const result = await executePairTrade(instId)
-        results.push(result)
-        
-        if (result.executed) {
-          tradesExecuted++
-        }
-        
-        // Small delay between pairs to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 200))
-        
-      } catch (pairError) {
-        addLog(`[${instId}] Failed: ${pairError.message}`, 'error')
-        results.push({ instId, executed: false, reason: pairError.message })
-      }
-    }
-    
-    addLog(`Cycle complete: ${tradesExecuted}/${TRADING_PAIRS.length} trades executed`, 'info')
-    
-    // Update global state with first pair's data for backward compatibility
-    if (results.length > 0) {
-      const btcResult = results.find(r => r.instId === 'BTC-USDT')
-      if (btcResult && btcResult.signal) {
-        setSignal(btcResult.signal)
-      }
-    }
-    
-    return {
-      executed: tradesExecuted > 0,
-      tradesExecuted,
-      totalPairs: TRADING_PAIRS.length,
-      trades: results,
-    }
-    
-  } catch (error) {
-    addLog(`Trading cycle error: ${error.message}`, 'error')
-    throw error
-  }
-}
+// Restore/reconcile and resume the scheduler as soon as the server loads this route
+ensureStartup()
 
 /**
  * GET /api/bot
  * 
- * Trigger a trading cycle and return current state
+ * Return current state, or force a trading cycle with ?action=cycle
  */
 export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const action = searchParams.get('action')
+
+  // Forcing a cycle can trade
+  const denied = requireRole(request, action === 'cycle' ? 'operator' : 'viewer')
+  if (denied) return denied
+
   try {
-    const { searchParams } = new URL(request.url)
-    const action = searchParams.get('action')
     
     // If action=cycle, execute a trading cycle
     if (action === 'cycle' && botState.isRunning) {
-      const result = await executeTradingCycle()
+      const result = await runCycle()
+      recordAudit(request, {
+        action: 'bot.cycle',
+        details: { executed: result.executed, reason: result.reason ?? null, trades: result.trades?.length ?? 0 },
+      })
       return NextResponse.json({
         success: true,
         cycle: result,
@@ -237,6 +56,9 @@ export async function GET(request) {
       state: getState(),
       configured: isConfigured(),
       demoMode: isDemoMode(),
+      paperTrading: isPaperTradingMode(),
+      tradingMode: getTradingMode(),
+      accountFeed: getAccountFeedStatus(),
     })
     
   } catch (error) {
@@ -255,6 +77,9 @@ export async function GET(request) {
  * Control the bot (start/stop)
  */
 export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
   try {
     const body = await request.json()
     const { action } = body
@@ -262,15 +87,24 @@ export async function POST(request) {
     if (action === 'start') {
       // Check if configured
       if (!isConfigured()) {
+        const error = 'OKX API credentials not configured. Please set up your .env file.'
+        recordAudit(request, { action: 'bot.start', success: false, error })
         return NextResponse.json({
           success: false,
-          error: 'OKX API credentials not configured. Please set up your .env file.',
+          error,
           state: getState(),
         }, { status: 400 })
       }
       
+      const wasRunning = botState.isRunning
       setBotRunning(true)
+      startScheduler()
       addLog('Bot started - will execute trades when conditions are met', 'info')
+      recordAudit(request, {
+        action: 'bot.start',
+        changes: wasRunning ? [] : [{ field: 'isRunning', from: false, to: true }],
+        details: { tradingMode: getTradingMode() },
+      })
       
       return NextResponse.json({
         success: true,
@@ -280,8 +114,14 @@ export async function POST(request) {
     }
     
     if (action === 'stop') {
+      const wasRunning = botState.isRunning
       setBotRunning(false)
+      stopScheduler()
       addLog('Bot stopped - no more trades will be executed', 'info')
+      recordAudit(request, {
+        action: 'bot.stop',
+        changes: wasRunning ? [{ field: 'isRunning', from: true, to: false }] : [],
+      })
       
       return NextResponse.json({
         success: true,
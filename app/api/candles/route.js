@@ -0,0 +1,120 @@
+/**
+ * Candle Store API Route
+ * 
+ * Inspect and backfill the local historical candle store.
+ * 
+ * Endpoints:
+ * - GET: Store status (bar count, range, gaps) for a series
+ * - POST: Backfill history or fill gaps
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { backfillCandles, fillGaps, getStoreStatus, isValidInstId } from '@/lib/candleStore'
+import { findInstrument } from '@/lib/instruments'
+import { getTradeConfig } from '@/lib/state'
+import { isValidTimeframe } from '@/lib/timeframes'
+
+// Default configuration
+const DEFAULT_INSTRUMENT = 'BTC-USDT'
+
+/**
+ * GET /api/candles?instId=BTC-USDT&bar=1m
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
+  try {
+    const { searchParams } = new URL(request.url)
+    const instId = searchParams.get('instId') || DEFAULT_INSTRUMENT
+    const bar = searchParams.get('bar') || getTradeConfig().candleTimeframe
+    
+    if (!isValidTimeframe(bar)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unsupported timeframe: ${bar}`,
+      }, { status: 400 })
+    }
+    
+    if (!isValidInstId(instId) || !(await findInstrument(instId))) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown instrument: ${instId}`,
+      }, { status: 400 })
+    }
+    
+    return NextResponse.json({
+      success: true,
+      store: getStoreStatus(instId, bar),
+    })
+  } catch (error) {
+    console.error('Candles GET error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
+
+/**
+ * POST /api/candles
+ * 
+ * Body:
+ * - { action: 'backfill', instId, bar, bars }
+ * - { action: 'fillGaps', instId, bar }
+ */
+export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
+  try {
+    const body = await request.json()
+    const instId = body.instId || DEFAULT_INSTRUMENT
+    const bar = body.bar || getTradeConfig().candleTimeframe
+    
+    if (!isValidTimeframe(bar)) {
+      return NextResponse.json({
+        success: false,
+        error: `Unsupported timeframe: ${bar}`,
+      }, { status: 400 })
+    }
+    
+    if (!isValidInstId(instId) || !(await findInstrument(instId))) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown instrument: ${instId}`,
+      }, { status: 400 })
+    }
+    
+    if (body.action === 'backfill') {
+      const result = await backfillCandles(instId, bar, { bars: parseInt(body.bars) || 1000 })
+      return NextResponse.json({
+        success: true,
+        ...result,
+        store: getStoreStatus(instId, bar),
+      })
+    }
+    
+    if (body.action === 'fillGaps') {
+      const result = await fillGaps(instId, bar)
+      return NextResponse.json({
+        success: true,
+        ...result,
+        store: getStoreStatus(instId, bar),
+      })
+    }
+    
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid action. Use "backfill" or "fillGaps".',
+    }, { status: 400 })
+    
+  } catch (error) {
+    console.error('Candles POST error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
@@ -2,18 +2,22 @@
  * Market Data API Route
  * 
  * Fetches market data from OKX and analyzes it using our strategy.
- * Supports dynamic instrument ID via query parameter.
+ * Supports dynamic instrument ID via query parameter. Pairs streamed by
+ * the WebSocket feed (lib/marketFeed.js) are served from its cache.
  */
 
 import { NextResponse } from 'next/server'
-import { getCandles, getTicker, isConfigured } from '@/lib/okxClient'
+import { requireRole } from '@/lib/session'
+import { getTicker, isConfigured } from '@/lib/okxClient'
 import { analyzeMarket } from '@/lib/strategy'
-import { getState, updateMarketData, setSignal, addLog } from '@/lib/state'
+import { getState, updateMarketData, setSignal, addLog, getTradeConfig, getStrategyConfig } from '@/lib/state'
+import { getAnalysisWindow } from '@/lib/bot'
+import { getRecentCandles, isValidInstId } from '@/lib/candleStore'
+import { findInstrument } from '@/lib/instruments'
+import { getCachedMarkPrice, getFeedStatus } from '@/lib/marketFeed'
 
 // Default configuration
 const DEFAULT_INSTRUMENT = 'BTC-USDT'
-const CANDLE_TIMEFRAME = '1m'
-const CANDLE_LIMIT = 100
 
 /**
  * GET /api/market?instId=BTC-USDT
@@ -21,22 +25,32 @@ const CANDLE_LIMIT = 100
  * Returns current market data, analysis, and bot state
  */
 export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
   try {
     // Get instrument ID from query params or use default
     const { searchParams } = new URL(request.url)
     const instId = searchParams.get('instId') || DEFAULT_INSTRUMENT
     
+    if (!isValidInstId(instId) || !(await findInstrument(instId))) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown instrument: ${instId}`,
+      }, { status: 400 })
+    }
+    
     // Fetch current ticker price
     const ticker = await getTicker(instId)
     
     // Fetch historical candles for strategy analysis
-    const candles = await getCandles(instId, CANDLE_TIMEFRAME, CANDLE_LIMIT)
-    
-    // Extract close prices for analysis
-    const closePrices = candles.map(c => c.close)
+    // Same timeframe and local candle store as the bot, confirmed bars only
+    const { candleTimeframe } = getTradeConfig()
+    const strategyConfig = getStrategyConfig(instId)
+    const candles = await getRecentCandles(instId, candleTimeframe, getAnalysisWindow(strategyConfig))
     
-    // Run strategy analysis
-    const analysis = analyzeMarket(closePrices)
+    // Run the pair's active strategy
+    const analysis = analyzeMarket(candles, strategyConfig)
     
     // Only update global state for the main pair (BTC-USDT)
     if (instId === DEFAULT_INSTRUMENT) {
@@ -58,6 +72,7 @@ export async function GET(request) {
         high24h: ticker.high24h,
         low24h: ticker.low24h,
         volume24h: ticker.volume24h,
+        markPrice: getCachedMarkPrice(instId),
       },
       analysis: {
         signal: analysis.signal,
@@ -66,6 +81,10 @@ export async function GET(request) {
         slowMA: analysis.slowMA,
         fastMAPeriod: analysis.fastMAPeriod,
         slowMAPeriod: analysis.slowMAPeriod,
+        strategy: analysis.strategy,
+        indicators: analysis.indicators,
+        timeframe: candleTimeframe,
+        candleTime: candles[candles.length - 1]?.timestamp || null,
       },
       bot: {
         isRunning: state.isRunning,
@@ -76,6 +95,7 @@ export async function GET(request) {
         logs: state.logs.slice(0, 20),
       },
       configured: isConfigured(),
+      feed: getFeedStatus(),
     })
   } catch (error) {
     console.error('Market API error:', error)
@@ -0,0 +1,100 @@
+/**
+ * Paper Account API Route
+ * 
+ * Inspect and manage the local paper trading account (lib/paperBroker.js).
+ * 
+ * Endpoints:
+ * - GET: Balance, equity, margin, open positions/algos and recent fills
+ * - POST: Reset the account or change simulated fees and slippage
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { getPaperAccount, resetPaperAccount, setPaperConfig } from '@/lib/paperBroker'
+import { isPaperTradingMode, getPositions as getOkxPositions } from '@/lib/okxClient'
+import { addLog, getPositions as getLocalPositions, removePositionsForInstrument } from '@/lib/state'
+import { recordAudit, diffChanges } from '@/lib/audit'
+
+/**
+ * GET /api/paper
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
+  try {
+    // Mark open paper positions to the latest ticker
+    if (isPaperTradingMode()) {
+      await getOkxPositions()
+    }
+    
+    return NextResponse.json({
+      success: true,
+      enabled: isPaperTradingMode(),
+      account: getPaperAccount(),
+    })
+  } catch (error) {
+    console.error('Paper GET error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
+
+/**
+ * POST /api/paper
+ * 
+ * Body:
+ * - { action: 'reset', initialBalance }
+ * - { action: 'config', feeRate, makerFeeRate, slippageBps }
+ */
+export async function POST(request) {
+  const denied = requireRole(request, 'admin')
+  if (denied) return denied
+
+  try {
+    const body = await request.json()
+    
+    if (body.action === 'reset') {
+      const previous = getPaperAccount()
+      const account = resetPaperAccount({ initialBalance: body.initialBalance })
+      recordAudit(request, {
+        action: 'paper.reset',
+        changes: diffChanges({ balance: previous.balance }, { balance: account.balance }),
+        details: { initialBalance: account.config.initialBalance, positions: previous.positions.length },
+      })
+      
+      // Paper positions no longer exist
+      const paperInstIds = new Set(getLocalPositions().filter(p => p.mode === 'paper').map(p => p.instId))
+      paperInstIds.forEach(removePositionsForInstrument)
+      
+      addLog(`Paper account reset to ${account.balance} USDT`, 'info')
+      return NextResponse.json({ success: true, account })
+    }
+    
+    if (body.action === 'config') {
+      const before = { ...getPaperAccount().config }
+      const config = setPaperConfig({
+        feeRate: body.feeRate,
+        makerFeeRate: body.makerFeeRate,
+        slippageBps: body.slippageBps,
+      })
+      recordAudit(request, { action: 'paper.config', changes: diffChanges(before, config) })
+      addLog(`Paper fees ${(config.feeRate * 100).toFixed(3)}% taker / ${(config.makerFeeRate * 100).toFixed(3)}% maker / slippage ${config.slippageBps} bps`, 'info')
+      return NextResponse.json({ success: true, account: getPaperAccount() })
+    }
+    
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid action. Use "reset" or "config".',
+    }, { status: 400 })
+    
+  } catch (error) {
+    console.error('Paper POST error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
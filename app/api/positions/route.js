@@ -2,14 +2,25 @@
  * Positions API Route
  * 
  * Endpoints:
- * - GET: Get all active positions from OKX
- * - POST: Close a position or update prices
+ * - GET: Get all active positions from OKX (pushed by the private WebSocket
+ *   while it's logged in, see lib/accountFeed.js)
+ * - POST: Close a position (or all positions) on OKX, or edit its TP/SL and trailing stop
  */
 
 import { NextResponse } from 'next/server'
-import { getPositions as getLocalPositions, closePosition, updateMarketPrice, clearPositions, addLog } from '@/lib/state'
-import { getTicker, isDemoMode, getPositions as getOkxPositions } from '@/lib/okxClient'
-import { recordTrade } from '@/lib/tradeLog'
+import { requireRole } from '@/lib/session'
+import { getPositions as getLocalPositions, updateMarketPrice, addLog } from '@/lib/state'
+import { getTicker, getTradingMode, getPositions as getOkxPositions } from '@/lib/okxClient'
+import {
+  closeExchangePosition,
+  closeAllExchangePositions,
+  updatePositionTpSl,
+  setPositionTrail,
+  removePositionTrail,
+} from '@/lib/positionManager'
+import { getLastReconciliation } from '@/lib/reconcile'
+import { getAccountFeedStatus } from '@/lib/accountFeed'
+import { recordAudit, diffChanges, pickFields } from '@/lib/audit'
 
 /**
  * GET /api/positions
@@ -17,9 +28,13 @@ import { recordTrade } from '@/lib/tradeLog'
  * Fetch all active positions from OKX (real positions)
  */
 export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
   try {
     const { searchParams } = new URL(request.url)
     const source = searchParams.get('source') || 'okx' // 'okx' or 'local'
+    let okxError = null
     
     // Fetch real positions from OKX
     if (source === 'okx') {
@@ -27,34 +42,45 @@ export async function GET(request) {
         const okxPositions = await getOkxPositions()
         
         // Format positions for display
-        const formattedPositions = okxPositions.map(pos => ({
-          id: `${pos.instId}_${pos.side}`,
-          instId: pos.instId.replace('-SWAP', ''), // Display without -SWAP suffix
-          instIdFull: pos.instId,
-          side: pos.side,
-          size: pos.positionValue || pos.margin * pos.leverage,
-          entryPrice: pos.entryPrice,
-          currentPrice: pos.currentPrice,
-          leverage: pos.leverage,
-          margin: pos.margin,
-          pnl: pos.unrealizedPnlPercent?.toFixed(2) || '0.00',
-          pnlUsdt: pos.unrealizedPnl?.toFixed(4) || '0.0000',
-          liquidationPrice: pos.liquidationPrice,
-          marginMode: pos.marginMode,
-          timestamp: pos.timestamp,
-          source: 'okx',
-        }))
+        // TP/SL set by the bot and trailing stops are tracked locally
+        // (attached algos and trail levels aren't reported on the OKX position)
+        const localPositions = getLocalPositions()
+        const formattedPositions = okxPositions.map(pos => {
+          const local = localPositions.find(p => `${p.instId}-SWAP` === pos.instId)
+          return {
+            id: `${pos.instId}_${pos.side}`,
+            instId: pos.instId.replace('-SWAP', ''), // Display without -SWAP suffix
+            instIdFull: pos.instId,
+            side: pos.side,
+            size: pos.positionValue || pos.margin * pos.leverage,
+            entryPrice: pos.entryPrice,
+            currentPrice: pos.currentPrice,
+            leverage: pos.leverage,
+            margin: pos.margin,
+            pnl: pos.unrealizedPnlPercent?.toFixed(2) || '0.00',
+            pnlUsdt: pos.unrealizedPnl?.toFixed(4) || '0.0000',
+            liquidationPrice: pos.liquidationPrice,
+            marginMode: pos.marginMode,
+            takeProfit: local?.takeProfit ?? pos.takeProfit,
+            stopLoss: local?.stopLoss ?? pos.stopLoss,
+            trail: local?.trail ?? null,
+            timestamp: pos.timestamp,
+            source: 'okx',
+          }
+        })
         
         return NextResponse.json({
           success: true,
           positions: formattedPositions,
           count: formattedPositions.length,
           source: 'okx',
-          mode: isDemoMode() ? 'demo' : 'live',
+          mode: getTradingMode(),
+          streaming: getAccountFeedStatus().streaming,
         })
       } catch (err) {
         console.error('Failed to fetch OKX positions:', err.message)
         // Fall back to local positions if OKX fetch fails
+        okxError = err.message
       }
     }
     
@@ -127,7 +153,10 @@ export async function GET(request) {
       positions: positionsWithPnL,
       count: positionsWithPnL.length,
       source: 'local',
-      mode: isDemoMode() ? 'demo' : 'live',
+      mode: getTradingMode(),
+      // Why OKX wasn't used and when the local list was last checked against it
+      fallbackReason: okxError,
+      reconciledAt: getLastReconciliation()?.checkedAt ?? null,
     })
     
   } catch (error) {
@@ -140,143 +169,167 @@ export async function GET(request) {
   }
 }
 
+/**
+ * Resolve a position ID to its instrument
+ * 
+ * Accepts local position IDs (order IDs) and OKX position IDs
+ * ('BTC-USDT-SWAP_long') as shown in the positions tile.
+ */
+function resolveInstId(positionId) {
+  const local = getLocalPositions().find(p => p.id === positionId)
+  if (local) return local.instId
+  
+  const match = /^(.+)-SWAP_(long|short)$/.exec(positionId)
+  return match ? match[1] : null
+}
+
+/**
+ * TP/SL and trailing stop of a local position, compared for the audit trail
+ */
+function getLocalProtection(instId) {
+  const local = getLocalPositions().find(p => p.instId === instId)
+  return {
+    takeProfit: local?.takeProfit ?? null,
+    stopLoss: local?.stopLoss ?? null,
+    trail: local?.trail ? { type: local.trail.type, value: local.trail.value } : null,
+  }
+}
+
 /**
  * POST /api/positions
  * 
- * Manage positions (close, clear)
+ * Manage positions (close, closeAll, setTpSl, setTrail, removeTrail)
+ * Positions are closed on OKX with reduce-only market orders; local state
+ * is only updated once the fill is confirmed.
  */
 export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
+  let body = null
   try {
-    const body = await request.json()
+    body = await request.json()
     const { action, positionId } = body
     
-    if (action === 'close' && positionId) {
-      // Get current price before closing
-      let currentPrice = null
-      const positions = getPositions()
-      const posToClose = positions.find(p => p.id === positionId)
+    if (action === 'close' && (positionId || body.instId)) {
+      const instId = body.instId || resolveInstId(positionId)
       
-      if (posToClose) {
-        try {
-          const ticker = await getTicker(posToClose.instId)
-          currentPrice = parseFloat(ticker.last)
-        } catch (err) {
-          currentPrice = posToClose.currentPrice
-        }
+      if (!instId) {
+        return NextResponse.json({
+          success: false,
+          error: 'Position not found',
+        }, { status: 404 })
       }
       
-      const closedPosition = closePosition(positionId)
+      const closedPosition = await closeExchangePosition(instId, 'Manual close')
+      recordAudit(request, { action: 'position.close', target: instId, details: closedPosition })
       
-      if (closedPosition) {
-        // Calculate P&L for the closed position
-        const entryPrice = parseFloat(closedPosition.entryPrice)
-        const exitPrice = currentPrice || parseFloat(closedPosition.currentPrice)
-        const size = parseFloat(closedPosition.size)
-        const leverage = closedPosition.leverage || 1
-        
-        const pnlPercent = closedPosition.side === 'buy'
-          ? ((exitPrice - entryPrice) / entryPrice) * 100 * leverage
-          : ((entryPrice - exitPrice) / entryPrice) * 100 * leverage
-        
-        const pnlUsdt = (pnlPercent / 100) * size
-        
-        // Log the close trade to history
-        const mode = isDemoMode() ? 'demo' : (closedPosition.mode || 'live')
-        recordTrade({
-          mode: mode,
-          instId: closedPosition.instId,
-          side: closedPosition.side === 'buy' ? 'sell' : 'buy', // Opposite side for close
-          price: exitPrice,
-          size: size,
-          leverage: leverage,
-          signal: 'CLOSE',
-          orderId: `close_${closedPosition.id}`,
-          reason: 'Manual close',
-          action: 'close',
-          entryPrice: entryPrice,
-          pnlPercent: pnlPercent.toFixed(2),
-          pnlUsdt: pnlUsdt.toFixed(4),
-        })
-        
-        addLog(`[${closedPosition.instId}] Position closed @ $${exitPrice.toFixed(2)} | P/L: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% ($${pnlUsdt.toFixed(2)})`, 'trade')
-        
-        return NextResponse.json({
-          success: true,
-          message: 'Position closed',
-          closedPosition: {
-            ...closedPosition,
-            exitPrice,
-            pnlPercent: pnlPercent.toFixed(2),
-            pnlUsdt: pnlUsdt.toFixed(4),
-          },
-          positions: getPositions(),
-        })
-      } else {
+      return NextResponse.json({
+        success: true,
+        message: 'Position closed',
+        closedPosition,
+        positions: getLocalPositions(),
+      })
+    }
+    
+    if (action === 'setTpSl' && (positionId || body.instId)) {
+      const instId = body.instId || resolveInstId(positionId)
+      
+      if (!instId) {
         return NextResponse.json({
           success: false,
           error: 'Position not found',
         }, { status: 404 })
       }
+      
+      const before = getLocalProtection(instId)
+      const protection = await updatePositionTpSl(instId, {
+        type: body.type || 'price',
+        takeProfit: body.takeProfit ?? null,
+        stopLoss: body.stopLoss ?? null,
+      })
+      recordAudit(request, {
+        action: 'position.setTpSl',
+        target: instId,
+        changes: diffChanges(
+          { takeProfit: before.takeProfit, stopLoss: before.stopLoss },
+          { takeProfit: protection?.takeProfit ?? null, stopLoss: protection?.stopLoss ?? null }
+        ),
+        details: { type: body.type || 'price', takeProfit: body.takeProfit ?? null, stopLoss: body.stopLoss ?? null },
+      })
+      
+      return NextResponse.json({
+        success: true,
+        message: 'TP/SL updated',
+        protection,
+        positions: getLocalPositions(),
+      })
     }
     
-    if (action === 'closeAll') {
-      // Close all positions and log each
-      const positions = getPositions()
-      const mode = isDemoMode() ? 'demo' : 'live'
+    if ((action === 'setTrail' || action === 'removeTrail') && (positionId || body.instId)) {
+      const instId = body.instId || resolveInstId(positionId)
       
-      for (const pos of positions) {
-        let exitPrice = pos.currentPrice
-        try {
-          const ticker = await getTicker(pos.instId)
-          exitPrice = parseFloat(ticker.last)
-        } catch (err) {
-          // Use cached price
-        }
-        
-        const entryPrice = parseFloat(pos.entryPrice)
-        const size = parseFloat(pos.size)
-        const leverage = pos.leverage || 1
-        
-        const pnlPercent = pos.side === 'buy'
-          ? ((exitPrice - entryPrice) / entryPrice) * 100 * leverage
-          : ((entryPrice - exitPrice) / entryPrice) * 100 * leverage
-        
-        const pnlUsdt = (pnlPercent / 100) * size
-        
-        recordTrade({
-          mode: pos.mode || mode,
-          instId: pos.instId,
-          side: pos.side === 'buy' ? 'sell' : 'buy',
-          price: exitPrice,
-          size: size,
-          leverage: leverage,
-          signal: 'CLOSE',
-          orderId: `close_${pos.id}`,
-          reason: 'Close all',
-          action: 'close',
-          entryPrice: entryPrice,
-          pnlPercent: pnlPercent.toFixed(2),
-          pnlUsdt: pnlUsdt.toFixed(4),
-        })
-        
-        addLog(`[${pos.instId}] Position closed @ $${exitPrice.toFixed(2)} | P/L: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%`, 'trade')
+      if (!instId) {
+        return NextResponse.json({
+          success: false,
+          error: 'Position not found',
+        }, { status: 404 })
       }
       
-      clearPositions()
+      const before = getLocalProtection(instId)
+      let trail = null
+      if (action === 'setTrail') {
+        trail = await setPositionTrail(instId, { type: body.type || 'ratio', value: body.value })
+      } else {
+        await removePositionTrail(instId)
+      }
+      recordAudit(request, {
+        action: `position.${action}`,
+        target: instId,
+        changes: diffChanges({ trail: before.trail }, { trail: getLocalProtection(instId).trail }),
+      })
+      
       return NextResponse.json({
         success: true,
-        message: `All ${positions.length} positions closed`,
-        positions: [],
+        message: action === 'setTrail' ? 'Trailing stop set' : 'Trailing stop removed',
+        trail,
+        positions: getLocalPositions(),
       })
     }
     
+    if (action === 'closeAll') {
+      const { closed, failed } = await closeAllExchangePositions('Close all')
+      recordAudit(request, {
+        action: 'position.closeAll',
+        details: { closed: closed.map(c => c.instId), failed },
+        success: failed.length === 0,
+        error: failed.length > 0 ? `${failed.length} positions failed to close` : null,
+      })
+      
+      return NextResponse.json({
+        success: failed.length === 0,
+        message: `${closed.length} positions closed${failed.length > 0 ? `, ${failed.length} failed` : ''}`,
+        closed,
+        failed,
+        positions: getLocalPositions(),
+      }, { status: failed.length === 0 ? 200 : 502 })
+    }
+    
     return NextResponse.json({
       success: false,
-      error: 'Invalid action. Use "close" with positionId or "closeAll".',
+      error: 'Invalid action. Use "close", "setTpSl", "setTrail" or "removeTrail" with positionId, or "closeAll".',
     }, { status: 400 })
     
   } catch (error) {
     console.error('Positions POST error:', error)
+    addLog(`Position action error: ${error.message}`, 'error')
+    recordAudit(request, {
+      action: `position.${body?.action || 'unknown'}`,
+      target: body?.instId || (body?.positionId ? resolveInstId(body.positionId) : null),
+      details: pickFields(body, ['action', 'positionId', 'instId', 'type', 'takeProfit', 'stopLoss', 'value']),
+      success: false,
+      error: error.message,
+    })
     return NextResponse.json({
       success: false,
       error: error.message,
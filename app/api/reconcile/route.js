@@ -0,0 +1,69 @@
+/**
+ * Position Reconciliation API Route
+ * 
+ * Compares local positions with OKX (lib/reconcile.js). Reconciliation also
+ * runs at the start of every trading cycle and on server startup.
+ * 
+ * Endpoints:
+ * - GET: Report of the last reconciliation run
+ * - POST: Run a reconciliation now
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { reconcilePositions, getLastReconciliation } from '@/lib/reconcile'
+import { isConfigured } from '@/lib/okxClient'
+import { recordAudit } from '@/lib/audit'
+
+/**
+ * GET /api/reconcile
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
+  return NextResponse.json({
+    success: true,
+    report: getLastReconciliation(),
+  })
+}
+
+/**
+ * POST /api/reconcile
+ * 
+ * Body (optional): { autoHeal } - override tradeConfig.reconcile.autoHeal for this run
+ */
+export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    
+    if (!isConfigured()) {
+      return NextResponse.json({
+        success: false,
+        error: 'OKX API credentials not configured',
+      }, { status: 400 })
+    }
+    
+    const options = typeof body.autoHeal === 'boolean' ? { autoHeal: body.autoHeal } : {}
+    const report = await reconcilePositions(options)
+    recordAudit(request, {
+      action: 'reconcile.run',
+      details: {
+        autoHeal: report.autoHeal,
+        inSync: report.inSync,
+        discrepancies: report.discrepancies.map(d => ({ instId: d.instId, type: d.type, action: d.action })),
+      },
+    })
+    
+    return NextResponse.json({ success: true, report })
+  } catch (error) {
+    console.error('Reconcile error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
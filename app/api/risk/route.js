@@ -0,0 +1,73 @@
+/**
+ * Risk Manager API Route
+ * 
+ * Risk limits and circuit breaker status (lib/riskManager.js). Limits are
+ * configured through POST /api/settings { risk: {...}, exposure: {...} }.
+ * 
+ * Endpoints:
+ * - GET: Limits, tracked equity marks, the trip reason (if tripped) and
+ *   current exposure
+ * - POST: Reset the circuit breaker
+ */
+
+import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
+import { getRiskStatus, resetCircuitBreaker, getExposure } from '@/lib/riskManager'
+import { isConfigured } from '@/lib/okxClient'
+import { recordAudit } from '@/lib/audit'
+
+/**
+ * GET /api/risk
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
+  // Exposure needs the OKX positions; the rest is local
+  let exposure = null
+  if (isConfigured()) {
+    try {
+      exposure = await getExposure()
+    } catch (err) {
+      console.error('Failed to fetch exposure:', err.message)
+    }
+  }
+  
+  return NextResponse.json({
+    success: true,
+    risk: getRiskStatus(),
+    exposure,
+  })
+}
+
+/**
+ * POST /api/risk
+ * 
+ * Body: { action: 'reset' }
+ */
+export async function POST(request) {
+  const denied = requireRole(request, 'operator')
+  if (denied) return denied
+
+  try {
+    const body = await request.json()
+    
+    if (body.action === 'reset') {
+      const { tripped } = getRiskStatus()
+      resetCircuitBreaker()
+      recordAudit(request, { action: 'risk.reset', details: { tripped: tripped ?? null } })
+      return NextResponse.json({ success: true, risk: getRiskStatus() })
+    }
+    
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid action. Use "reset".',
+    }, { status: 400 })
+  } catch (error) {
+    console.error('Risk POST error:', error)
+    return NextResponse.json({
+      success: false,
+      error: error.message,
+    }, { status: 500 })
+  }
+}
@@ -1,36 +1,189 @@
 /**
  * Settings API Route
  * 
- * Manages bot settings including demo mode toggle and trade configuration.
+ * Manages bot settings including demo/paper mode toggles, trade configuration,
+ * position sizing, entry execution, TP/SL and trailing stop defaults, position
+ * reconciliation, risk and exposure limits and per-pair strategy selection.
+ * Every update is recorded in the audit trail with the values it changed.
  */
 
 import { NextResponse } from 'next/server'
-import { setDemoMode, isDemoMode } from '@/lib/okxClient'
-import { addLog, getTradeConfig, setTradeConfig } from '@/lib/state'
+import { requireRole } from '@/lib/session'
+import { setDemoMode, isDemoMode, setPaperTradingMode, isPaperTradingMode, getTradingMode } from '@/lib/okxClient'
+import { addLog, getTradeConfig, setTradeConfig, setStrategyConfig, validateTradeConfig, validateStrategyConfig } from '@/lib/state'
+import { listStrategies, getStrategyInfo } from '@/lib/strategy'
+import { rescheduleScheduler } from '@/lib/scheduler'
+import { syncMarketFeed } from '@/lib/bot'
+import { syncAccountFeed } from '@/lib/accountFeed'
+import { recordAudit, diffChanges, pickFields } from '@/lib/audit'
+
+// Body fields POST understands (the rest of a body isn't audited)
+const SETTINGS_FIELDS = [
+  'demoMode', 'paperTrading', 'margin', 'tradeSize', 'leverage', 'candleTimeframe', 'settleSeconds',
+  'sizing', 'execution', 'tpsl', 'trailing', 'reconcile', 'risk', 'exposure', 'strategy',
+]
+
+/**
+ * Build strategy info for the default strategy and each pair override
+ */
+function getStrategySettings() {
+  const { strategy, pairStrategies } = getTradeConfig()
+  return {
+    available: listStrategies(),
+    default: getStrategyInfo(strategy),
+    pairs: Object.fromEntries(
+      Object.entries(pairStrategies).map(([instId, config]) => [instId, getStrategyInfo(config)])
+    ),
+  }
+}
+
+/**
+ * Settings compared before and after an update for the audit trail
+ */
+function getAuditedSettings() {
+  return structuredClone({
+    tradingMode: getTradingMode(),
+    demoMode: isDemoMode(),
+    paperTrading: isPaperTradingMode(),
+    tradeConfig: getTradeConfig(),
+  })
+}
 
 /**
  * GET /api/settings
  * 
  * Returns current settings
  */
-export async function GET() {
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
   return NextResponse.json({
     success: true,
     settings: {
       demoMode: isDemoMode(),
+      paperTrading: isPaperTradingMode(),
+      tradingMode: getTradingMode(),
       tradeConfig: getTradeConfig(),
+      strategies: getStrategySettings(),
     },
   })
 }
 
+// Expected type of each SETTINGS_FIELDS entry
+const FIELD_TYPES = {
+  demoMode: 'boolean',
+  paperTrading: 'boolean',
+  margin: 'number',
+  tradeSize: 'number',
+  leverage: 'number',
+  candleTimeframe: 'string',
+  settleSeconds: 'number',
+  sizing: 'object',
+  execution: 'object',
+  tpsl: 'object',
+  trailing: 'object',
+  reconcile: 'object',
+  risk: 'object',
+  exposure: 'object',
+  strategy: 'object',
+}
+
+/**
+ * Reject settings fields of the wrong type (instead of ignoring them)
+ *
+ * @throws If a known field is present with the wrong type
+ */
+function checkFieldTypes(body) {
+  for (const key of SETTINGS_FIELDS) {
+    if (body[key] === undefined) continue
+    const value = body[key]
+    const type = FIELD_TYPES[key]
+    const ok = type === 'object'
+      ? value !== null && typeof value === 'object' && !Array.isArray(value)
+      : type === 'number'
+        ? typeof value === 'number' && Number.isFinite(value)
+        : typeof value === type
+    if (!ok) {
+      throw new Error(`${key} must be ${type === 'object' ? 'an object' : `a ${type}`}`)
+    }
+  }
+  const marginValue = body.margin ?? body.tradeSize
+  if (marginValue !== undefined && marginValue <= 0) {
+    throw new Error('margin must be greater than 0')
+  }
+}
+
+/**
+ * Trade config fields of a settings update (types already checked)
+ */
+function getTradeConfigUpdate(body) {
+  const update = {}
+  // Supports both 'margin' and legacy 'tradeSize'
+  const marginValue = body.margin ?? body.tradeSize
+  if (marginValue !== undefined) update.margin = marginValue
+  if (body.leverage !== undefined) update.leverage = body.leverage
+  // Candle timeframe and settle delay used by the scheduler
+  if (body.candleTimeframe !== undefined) update.candleTimeframe = body.candleTimeframe
+  if (body.settleSeconds !== undefined) update.settleSeconds = body.settleSeconds
+  // Position sizing: { mode?, equityPercent?, riskPercent?, atrMultiple?, atrPeriod? }
+  // Entry execution: { mode?, offsetTicks?, waitSeconds?, onTimeout?, maxRetries? }
+  // TP/SL attached to new entries: { enabled?, type?, takeProfit?, stopLoss?, atrPeriod? }
+  // Trailing stop placed after new entries: { enabled?, type?, value? }
+  // Position reconciliation: { autoHeal? }
+  // Risk limits: { enabled?, maxDailyLoss?, maxConsecutiveLosses?, maxDrawdownPercent?, onTrip? }
+  // Exposure limits: { enabled?, maxOpenPositions?, maxTotalNotional?, maxPairNotional?, maxNetLong?, maxNetShort? }
+  for (const key of ['sizing', 'execution', 'tpsl', 'trailing', 'reconcile', 'risk', 'exposure']) {
+    if (body[key] !== undefined) update[key] = body[key]
+  }
+  return update
+}
+
 /**
  * POST /api/settings
  * 
  * Update settings
+ *
+ * The whole body is validated first: an invalid field, or one of the wrong
+ * type, gets a 400 and nothing is changed, so a request never switches the trading mode and
+ * then fails half-way.
  */
 export async function POST(request) {
+  const denied = requireRole(request, 'admin')
+  if (denied) return denied
+
+  const before = getAuditedSettings()
+  let body = null
   try {
-    const body = await request.json()
+    body = await request.json()
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Expected a JSON object',
+      }, { status: 400 })
+    }
+
+    let tradeConfigUpdate
+    // Select strategy: { instId?, name?, params?, reset? } (no instId = default for all pairs)
+    const strategyUpdate = body.strategy ?? null
+
+    try {
+      checkFieldTypes(body)
+      tradeConfigUpdate = getTradeConfigUpdate(body)
+      validateTradeConfig(tradeConfigUpdate)
+      if (strategyUpdate) validateStrategyConfig(strategyUpdate)
+    } catch (error) {
+      recordAudit(request, {
+        action: 'settings.update',
+        details: pickFields(body, SETTINGS_FIELDS),
+        success: false,
+        error: error.message,
+      })
+      return NextResponse.json({
+        success: false,
+        error: error.message,
+      }, { status: 400 })
+    }
     
     // Update demo mode
     if (typeof body.demoMode === 'boolean') {
@@ -38,25 +191,52 @@ export async function POST(request) {
       addLog(`Demo mode ${body.demoMode ? 'enabled' : 'disabled'}`, 'info')
     }
     
-    // Update margin (supports both 'margin' and legacy 'tradeSize')
-    const marginValue = body.margin ?? body.tradeSize
-    if (typeof marginValue === 'number') {
-      setTradeConfig({ margin: marginValue })
+    // Update paper trading mode (local paper broker, no API keys needed)
+    if (typeof body.paperTrading === 'boolean') {
+      setPaperTradingMode(body.paperTrading)
+      addLog(`Paper trading ${body.paperTrading ? 'enabled' : 'disabled'}`, 'info')
+    }
+    
+    setTradeConfig(tradeConfigUpdate)
+    if (strategyUpdate) {
+      setStrategyConfig(strategyUpdate)
     }
     
-    // Update leverage
-    if (typeof body.leverage === 'number') {
-      setTradeConfig({ leverage: body.leverage })
+    recordAudit(request, {
+      action: 'settings.update',
+      changes: diffChanges(before, getAuditedSettings()),
+      details: pickFields(body, SETTINGS_FIELDS),
+    })
+    
+    // Follow-ups of the applied changes
+    if (typeof body.demoMode === 'boolean' || typeof body.paperTrading === 'boolean') {
+      syncAccountFeed()  // Private WebSocket session of the new mode
+    }
+    if (tradeConfigUpdate.candleTimeframe || tradeConfigUpdate.settleSeconds !== undefined) {
+      rescheduleScheduler()
+    }
+    if (tradeConfigUpdate.candleTimeframe) {
+      syncMarketFeed()  // Stream candles of the new timeframe
     }
     
     return NextResponse.json({
       success: true,
       settings: {
         demoMode: isDemoMode(),
+        paperTrading: isPaperTradingMode(),
+        tradingMode: getTradingMode(),
         tradeConfig: getTradeConfig(),
+        strategies: getStrategySettings(),
       },
     })
   } catch (error) {
+    recordAudit(request, {
+      action: 'settings.update',
+      changes: diffChanges(before, getAuditedSettings()),
+      details: pickFields(body, SETTINGS_FIELDS),
+      success: false,
+      error: error.message,
+    })
     return NextResponse.json({
       success: false,
       error: error.message,
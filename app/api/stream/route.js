@@ -0,0 +1,104 @@
+/**
+ * Dashboard Stream API Route
+ *
+ * Server-Sent Events stream of the bot's state changes (lib/events.js), so
+ * the dashboard subscribes once instead of polling every endpoint.
+ *
+ * Endpoints:
+ * - GET: Open the stream. Each event is sent as 'id', 'event' (its type)
+ *   and 'data' (JSON) lines. Browsers reconnect on their own with a
+ *   Last-Event-ID header (or ?lastEventId=) and are sent the events they
+ *   missed; when those are no longer available a 'reset' event tells the
+ *   client to reload its state from the other endpoints.
+ */
+
+import { subscribeEvents, getEventsSince, getEventBusStatus } from '@/lib/events'
+import { ensureStartup } from '@/lib/startup'
+import { requireRole } from '@/lib/session'
+
+// Never prerendered or cached
+export const dynamic = 'force-dynamic'
+
+// Restore/reconcile and resume the scheduler as soon as the server loads this route
+ensureStartup()
+
+// Comment line sent when idle so proxies don't close the connection
+const HEARTBEAT_MS = 15000
+
+// Reconnect delay suggested to the browser
+const RETRY_MS = 3000
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+}
+
+/**
+ * GET /api/stream
+ */
+export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
+  const { searchParams } = new URL(request.url)
+  const lastEventId = request.headers.get('last-event-id') || searchParams.get('lastEventId')
+  const encoder = new TextEncoder()
+  let cleanup = null
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text))
+        } catch {
+          // Stream already closed; cleanup follows from the abort
+        }
+      }
+
+      send(`retry: ${RETRY_MS}\n\n`)
+
+      // Replay and subscribe run in the same tick, so no event falls in between
+      if (lastEventId) {
+        const missed = getEventsSince(lastEventId)
+        if (missed) {
+          missed.forEach(event => send(formatEvent(event)))
+        } else {
+          const { lastEventId: id } = getEventBusStatus()
+          send(`${id ? `id: ${id}\n` : ''}event: reset\ndata: {}\n\n`)
+        }
+      }
+      const unsubscribe = subscribeEvents(event => send(formatEvent(event)))
+
+      const heartbeat = setInterval(() => {
+        // End the stream once its session is logged out
+        if (requireRole(request, 'viewer')) {
+          cleanup()
+          return
+        }
+        send(': ping\n\n')
+      }, HEARTBEAT_MS)
+
+      cleanup = () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+        try {
+          controller.close()
+        } catch {
+          // Already closed
+        }
+      }
+      request.signal.addEventListener('abort', cleanup)
+    },
+    cancel() {
+      cleanup?.()
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  })
+}
@@ -5,14 +5,19 @@
  */
 
 import { NextResponse } from 'next/server'
+import { requireRole } from '@/lib/session'
 import { 
-  getTradeHistory, 
+  queryTrades, 
   getTradeStats, 
   clearTradeHistory, 
   exportTrades,
   getRecentTradesSummary 
 } from '@/lib/tradeLog'
-import { isDemoMode } from '@/lib/okxClient'
+import { getTradingMode } from '@/lib/okxClient'
+import { recordAudit } from '@/lib/audit'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 500
 
 /**
  * GET /api/trades
@@ -20,24 +25,46 @@ import { isDemoMode } from '@/lib/okxClient'
  * Get trade history and stats
  * 
  * Query params:
- * - mode: 'demo' | 'live' | 'all' (default: current mode)
- * - limit: number (default: 50)
+ * - mode: 'paper' | 'demo' | 'live' | 'all' (default: current mode)
+ * - instId, side, strategy: optional filters (history)
+ * - start, end: ISO date range (history)
+ * - limit: number (default: 50, at most 500)
+ * - cursor: nextCursor from the previous page (history)
  * - action: 'history' | 'stats' | 'export' | 'recent'
+ *
+ * A limit or cursor that isn't a positive integer gets a 400.
  */
 export async function GET(request) {
+  const denied = requireRole(request, 'viewer')
+  if (denied) return denied
+
   try {
     const { searchParams } = new URL(request.url)
-    const mode = searchParams.get('mode') || (isDemoMode() ? 'demo' : 'live')
-    const limit = parseInt(searchParams.get('limit') || '50')
+    const mode = searchParams.get('mode') || getTradingMode()
+    const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : DEFAULT_LIMIT
+    const cursor = searchParams.get('cursor')
     const action = searchParams.get('action') || 'history'
     
+    if (!Number.isInteger(limit) || limit < 1) {
+      return NextResponse.json({
+        success: false,
+        error: 'limit must be a positive integer',
+      }, { status: 400 })
+    }
+    if (cursor !== null && !/^[1-9]\d*$/.test(cursor)) {
+      return NextResponse.json({
+        success: false,
+        error: 'cursor must be a nextCursor value',
+      }, { status: 400 })
+    }
+    
     let data = {}
     
     switch (action) {
       case 'stats':
         data = {
           stats: getTradeStats(mode === 'all' ? null : mode),
-          currentMode: isDemoMode() ? 'demo' : 'live',
+          currentMode: getTradingMode(),
         }
         break
         
@@ -47,20 +74,26 @@ export async function GET(request) {
         
       case 'recent':
         data = {
-          trades: getRecentTradesSummary(limit),
-          currentMode: isDemoMode() ? 'demo' : 'live',
+          trades: getRecentTradesSummary(Math.min(limit, MAX_LIMIT)),
+          currentMode: getTradingMode(),
         }
         break
         
       case 'history':
       default:
         data = {
-          trades: getTradeHistory({ 
+          ...queryTrades({ 
             mode: mode === 'all' ? null : mode, 
-            limit 
+            instId: searchParams.get('instId'),
+            side: searchParams.get('side'),
+            strategy: searchParams.get('strategy'),
+            startDate: searchParams.get('start'),
+            endDate: searchParams.get('end'),
+            cursor,
+            limit: Math.min(limit, MAX_LIMIT),
           }),
           stats: getTradeStats(mode === 'all' ? null : mode),
-          currentMode: isDemoMode() ? 'demo' : 'live',
+          currentMode: getTradingMode(),
         }
         break
     }
@@ -83,14 +116,18 @@ export async function GET(request) {
  * Clear trade history
  * 
  * Query params:
- * - mode: 'demo' | 'live' | 'all'
+ * - mode: 'paper' | 'demo' | 'live' | 'all'
  */
 export async function DELETE(request) {
+  const denied = requireRole(request, 'admin')
+  if (denied) return denied
+
   try {
     const { searchParams } = new URL(request.url)
     const mode = searchParams.get('mode') || 'demo'
     
-    clearTradeHistory(mode === 'all' ? null : mode)
+    const removed = clearTradeHistory(mode === 'all' ? null : mode)
+    recordAudit(request, { action: 'trades.clear', target: mode, details: { removed } })
     
     return NextResponse.json({
       success: true,
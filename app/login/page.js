@@ -0,0 +1,119 @@
+'use client'
+
+/**
+ * Dashboard Login
+ *
+ * Posts the credentials to /api/auth, which sets the session cookie, and
+ * returns to the page the middleware redirected from (?next=).
+ */
+
+import { useState, useEffect } from 'react'
+
+export default function Login() {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [config, setConfig] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/auth')
+      .then(res => res.json())
+      .then(data => data.success && setConfig(data.config))
+      .catch(() => {})
+  }, [])
+
+  /**
+   * Only same-origin paths are followed after login (browsers treat '\' like
+   * '/', so '/\evil.com' would leave the site)
+   */
+  const getNextPath = () => {
+    const next = new URLSearchParams(window.location.search).get('next')
+    if (!next || !next.startsWith('/') || next.includes('\\')) return '/'
+    try {
+      const url = new URL(next, window.location.origin)
+      return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : '/'
+    } catch {
+      return '/'
+    }
+  }
+
+  const login = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      const res = await fetch('/api/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'login', username, password }),
+      })
+      const data = await res.json()
+      if (data.success) {
+        window.location.href = getNextPath()
+      } else {
+        setError(data.error)
+        setPassword('')
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-black text-white font-mono flex items-center justify-center">
+      <form onSubmit={login} className="w-[320px] border border-white p-6 space-y-4">
+        <div>
+          <div className="text-[#0ff] text-sm"> ┌─────────────────────────┐</div>
+          <h1 className="text-lg font-bold text-white px-1">│ 0xiinko <span className="text-[#0ff]">v1.0.0</span></h1>
+          <div className="text-[#0ff] text-sm"> └─────────────────────────┘</div>
+        </div>
+
+        {config && !config.sessions && (
+          <div className="p-2 border border-[#ff0] text-[#ff0] text-xs">
+            Login is not configured: set DASHBOARD_USERNAME, DASHBOARD_PASSWORD_HASH and AUTH_SECRET
+          </div>
+        )}
+
+        <label className="block">
+          <span className="text-xs text-[#666] uppercase tracking-wider">USERNAME</span>
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="mt-1 w-full bg-black border border-[#444] px-2 py-1 text-sm text-white focus:border-[#0ff] outline-none"
+            autoFocus
+          />
+        </label>
+
+        <label className="block">
+          <span className="text-xs text-[#666] uppercase tracking-wider">PASSWORD</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="mt-1 w-full bg-black border border-[#444] px-2 py-1 text-sm text-white focus:border-[#0ff] outline-none"
+          />
+        </label>
+
+        {error && (
+          <div className="p-2 border border-[#f00] text-[#f00] text-xs">
+            ERROR: {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || !username || !password}
+          className={`w-full py-2 px-4 text-sm font-bold border text-[#0f0] border-[#0f0] hover:bg-[#0f0] hover:text-black ${submitting || !username || !password ? 'opacity-50' : ''}`}
+        >
+          {submitting ? 'CHECKING...' : '[ LOGIN ]'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -11,41 +11,114 @@
  * ⚠️ WARNING: This dashboard controls a bot that trades with REAL MONEY!
  */
 
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 
-// Refresh intervals (increased to avoid rate limits)
-const MARKET_REFRESH_INTERVAL = 15000  // 15 seconds (was 5s)
-const BOT_CYCLE_INTERVAL = 60000       // 60 seconds (was 30s)
+// Refresh intervals
+// Bot cycles run server-side (lib/scheduler.js), the dashboard only displays them.
+// Updates are pushed over /api/stream; the intervals below only poll while the
+// stream is down. Market data is served from the server's WebSocket feed cache
+// (lib/marketFeed.js), so polling doesn't cost OKX requests unless the feed is down
+const MARKET_REFRESH_INTERVAL = 5000
 
-// Trading pairs to scan (reduced to avoid rate limits)
+// Dashboard event stream (app/api/stream/route.js)
+const STREAM_URL = '/api/stream'
+const STREAM_RETRY_MS = 10000     // Reopen after the browser gave up reconnecting
+const STREAM_REFRESH_DELAY = 1000 // Coalesce refetches triggered by a burst of events
+const MAX_LOGS = 100              // Same as botState.maxLogs in lib/state.js
+
+// Trading pairs to scan (same as TRADING_PAIRS in lib/bot.js)
 const TRADING_PAIRS = [
   'BTC-USDT',
   'ETH-USDT',
   'SOL-USDT',
   'XRP-USDT',
+  'DOGE-USDT',
+  'ADA-USDT',
 ]
 
+// Mirror DEFAULT_CONFIG.sizing / .execution / .tpsl / .trailing in lib/state.js until settings load
+const DEFAULT_SIZING = { mode: 'fixed', equityPercent: 5, riskPercent: 1, atrMultiple: 2, atrPeriod: 14 }
+const DEFAULT_EXECUTION = { mode: 'market', offsetTicks: 1, waitSeconds: 30, onTimeout: 'market', maxRetries: 2 }
+const DEFAULT_TPSL = { enabled: false, type: 'percent', takeProfit: 2, stopLoss: 1, atrPeriod: 14 }
+const DEFAULT_TRAILING = { enabled: false, type: 'ratio', value: 1 }
+
+// Sizing mode button labels (see lib/sizing.js)
+const SIZING_LABELS = { fixed: 'FIXED', equity_percent: '% EQ', risk: 'RISK', atr: 'ATR' }
+
+// Entry execution button labels (see lib/execution.js)
+const EXECUTION_LABELS = { market: 'MKT', limit: 'LIMIT', post_only: 'POST', limit_offset: 'OFFSET' }
+const TIMEOUT_LABELS = { market: 'MKT', retry: 'RETRY', chase: 'CHASE' }
+
+// Sort scanned pairs by signal priority: BUY > SELL > WAIT
+const SIGNAL_PRIORITY = { BUY: 0, SELL: 1, WAIT: 2 }
+const sortBySignal = (pairs) => [...pairs].sort((a, b) => SIGNAL_PRIORITY[a.signal] - SIGNAL_PRIORITY[b.signal])
+
+/**
+ * Reprice a position from a streamed price, with the P&L formulas of
+ * /api/positions (OKX positions report their notional as size, local ones
+ * their margin)
+ */
+const repricePosition = (pos, price) => {
+  const entryPrice = parseFloat(pos.entryPrice) || 0
+  if (entryPrice === 0) return { ...pos, currentPrice: price }
+  const leverage = parseFloat(pos.leverage) || 1
+  const basePnlPercent = (pos.side === 'buy' ? price - entryPrice : entryPrice - price) / entryPrice * 100
+  const pnlUsdt = (basePnlPercent / 100) * (parseFloat(pos.size) || 0) * (pos.source === 'okx' ? 1 : leverage)
+  return {
+    ...pos,
+    currentPrice: price,
+    pnl: (basePnlPercent * leverage).toFixed(2),
+    pnlUsdt: pnlUsdt.toFixed(4),
+  }
+}
+
+// Roles, lowest to highest (same as ROLES in lib/session.js)
+const ROLES = ['viewer', 'operator', 'admin']
+
+// Label and colors per trading mode ('paper', 'demo', 'live')
+const MODE_STYLES = {
+  paper: { label: 'PAPER', text: 'text-[#0ff]', border: 'border-[#0ff]', banner: '[ PAPER TRADING - LOCAL SIMULATION ]', history: 'Paper trades recorded here_' },
+  demo: { label: 'DEMO', text: 'text-[#ff0]', border: 'border-[#ff0]', banner: '[ DEMO MODE - NO REAL MONEY ]', history: 'Demo trades recorded here_' },
+  live: { label: 'LIVE', text: 'text-[#f00]', border: 'border-[#f00]', banner: '[ ! LIVE TRADING ! ]', history: 'Live trades recorded here_' },
+}
+
 export default function Dashboard() {
   // State
   const [mounted, setMounted] = useState(false)
   const [marketData, setMarketData] = useState(null)
   const [scannedPairs, setScannedPairs] = useState([])
   const [positions, setPositions] = useState([])
+  const [closingId, setClosingId] = useState(null)
   const [loading, setLoading] = useState(true)
   const [scanning, setScanning] = useState(false)
   const [error, setError] = useState(null)
   const [botRunning, setBotRunning] = useState(false)
+  const [scheduler, setScheduler] = useState(null)
+  const [riskState, setRiskState] = useState(null)
+  const [workingOrders, setWorkingOrders] = useState([])
   const [toggling, setToggling] = useState(false)
   const [balance, setBalance] = useState({ total: '--', available: '--', currencies: [] })
   const [logs, setLogs] = useState([])
   const [lastUpdate, setLastUpdate] = useState('')
   const [demoMode, setDemoMode] = useState(false)
-  const [tradeConfig, setTradeConfig] = useState({ margin: 10, leverage: 1, maxLeverage: 125 })
-  const [pendingConfig, setPendingConfig] = useState({ margin: 10, leverage: 1 })
+  const [paperTrading, setPaperTrading] = useState(false)
+  const [tradeConfig, setTradeConfig] = useState({ margin: 10, leverage: 1, maxLeverage: 125, candleTimeframe: '1m', sizing: DEFAULT_SIZING, execution: DEFAULT_EXECUTION, tpsl: DEFAULT_TPSL, trailing: DEFAULT_TRAILING })
+  const [pendingConfig, setPendingConfig] = useState({ margin: 10, leverage: 1, candleTimeframe: '1m', sizing: DEFAULT_SIZING, execution: DEFAULT_EXECUTION, tpsl: DEFAULT_TPSL, trailing: DEFAULT_TRAILING })
   const [configSaved, setConfigSaved] = useState(true)
+  const [strategyInfo, setStrategyInfo] = useState(null)
   const [tradeHistory, setTradeHistory] = useState([])
   const [tradeStats, setTradeStats] = useState(null)
-  const [activeTab, setActiveTab] = useState('positions') // 'positions', 'history', 'logs'
+  const [auditEntries, setAuditEntries] = useState([])
+  const [activeTab, setActiveTab] = useState('positions') // 'positions', 'history', 'logs', 'audit'
+  const [streamConnected, setStreamConnected] = useState(false)
+  const [authUser, setAuthUser] = useState(null)
+  const [authRole, setAuthRole] = useState(null)
+
+  const tradingMode = paperTrading ? 'paper' : demoMode ? 'demo' : 'live'
+
+  // Controls are only shown to roles the API accepts them from (see lib/session.js)
+  const can = (role) => ROLES.includes(authRole) && ROLES.indexOf(authRole) >= ROLES.indexOf(role)
+  const modeStyle = MODE_STYLES[tradingMode]
 
   // Handle hydration
   useEffect(() => {
@@ -84,23 +157,18 @@ export default function Dashboard() {
         await delay(200) // 200ms delay between each request
       }
       
-      const validResults = results
+      const validResults = sortBySignal(results
         .filter(r => r !== null)
         .map(r => ({
           instId: r.instId,
           price: r.market?.price || 0,
           signal: r.analysis?.signal || 'WAIT',
-          fastMA: r.analysis?.fastMA || 0,
-          slowMA: r.analysis?.slowMA || 0,
+          strategy: r.analysis?.strategy || null,
+          indicators: r.analysis?.indicators || [],
           change24h: r.market?.high24h && r.market?.low24h 
             ? ((r.market.price - r.market.low24h) / r.market.low24h * 100).toFixed(2)
             : 0,
-        }))
-        .sort((a, b) => {
-          // Sort by signal priority: BUY > SELL > WAIT
-          const priority = { BUY: 0, SELL: 1, WAIT: 2 }
-          return priority[a.signal] - priority[b.signal]
-        })
+        })))
       
       setScannedPairs(validResults)
       setLastUpdate(new Date().toLocaleTimeString())
@@ -142,6 +210,39 @@ export default function Dashboard() {
     }
   }, [])
 
+  /**
+   * Fetch the logged-in user; back to the login page once the session is gone
+   */
+  const fetchSession = useCallback(async () => {
+    try {
+      const res = await fetch('/api/auth')
+      const data = await res.json()
+      if (data.success && !data.authenticated) {
+        window.location.href = '/login'
+        return
+      }
+      setAuthUser(data.user?.username || null)
+      setAuthRole(data.user?.role || null)
+    } catch (err) {
+      console.error('Failed to fetch session:', err)
+    }
+  }, [])
+
+  /**
+   * End the dashboard session
+   */
+  const logout = async () => {
+    try {
+      await fetch('/api/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'logout' }),
+      })
+    } finally {
+      window.location.href = '/login'
+    }
+  }
+
   /**
    * Fetch settings (demo mode)
    */
@@ -151,11 +252,18 @@ export default function Dashboard() {
       const data = await res.json()
       if (data.success) {
         setDemoMode(data.settings.demoMode)
+        setPaperTrading(data.settings.paperTrading)
+        setStrategyInfo(data.settings.strategies?.default || null)
         if (data.settings.tradeConfig) {
           setTradeConfig(data.settings.tradeConfig)
           setPendingConfig({
             margin: data.settings.tradeConfig.margin || data.settings.tradeConfig.tradeSize,
             leverage: data.settings.tradeConfig.leverage,
+            candleTimeframe: data.settings.tradeConfig.candleTimeframe,
+            sizing: data.settings.tradeConfig.sizing || DEFAULT_SIZING,
+            execution: data.settings.tradeConfig.execution || DEFAULT_EXECUTION,
+            tpsl: data.settings.tradeConfig.tpsl || DEFAULT_TPSL,
+            trailing: data.settings.tradeConfig.trailing || DEFAULT_TRAILING,
           })
           setConfigSaved(true)
         }
@@ -184,6 +292,25 @@ export default function Dashboard() {
     }
   }
 
+  /**
+   * Toggle paper trading (local paper broker)
+   */
+  const togglePaperTrading = async () => {
+    try {
+      const res = await fetch('/api/settings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paperTrading: !paperTrading }),
+      })
+      const data = await res.json()
+      if (data.success) {
+        setPaperTrading(data.settings.paperTrading)
+      }
+    } catch (err) {
+      console.error('Failed to toggle paper trading:', err)
+    }
+  }
+
   /**
    * Update pending config (local state only, not saved yet)
    */
@@ -192,6 +319,14 @@ export default function Dashboard() {
     setConfigSaved(false)
   }
 
+  /**
+   * Update a field of a nested pending config section ('tpsl', 'trailing')
+   */
+  const updatePendingSection = (section, field, value) => {
+    setPendingConfig(prev => ({ ...prev, [section]: { ...prev[section], [field]: value } }))
+    setConfigSaved(false)
+  }
+
   /**
    * Save trade configuration to server
    */
@@ -203,6 +338,11 @@ export default function Dashboard() {
         body: JSON.stringify({ 
           margin: pendingConfig.margin,
           leverage: pendingConfig.leverage,
+          candleTimeframe: pendingConfig.candleTimeframe,
+          sizing: pendingConfig.sizing,
+          execution: pendingConfig.execution,
+          tpsl: pendingConfig.tpsl,
+          trailing: pendingConfig.trailing,
         }),
       })
       const data = await res.json()
@@ -211,6 +351,11 @@ export default function Dashboard() {
         setPendingConfig({
           margin: data.settings.tradeConfig.margin,
           leverage: data.settings.tradeConfig.leverage,
+          candleTimeframe: data.settings.tradeConfig.candleTimeframe,
+          sizing: data.settings.tradeConfig.sizing || DEFAULT_SIZING,
+          execution: data.settings.tradeConfig.execution || DEFAULT_EXECUTION,
+          tpsl: data.settings.tradeConfig.tpsl || DEFAULT_TPSL,
+          trailing: data.settings.tradeConfig.trailing || DEFAULT_TRAILING,
         })
         setConfigSaved(true)
       }
@@ -224,7 +369,7 @@ export default function Dashboard() {
    */
   const fetchTradeHistory = useCallback(async () => {
     try {
-      const res = await fetch(`/api/trades?mode=${demoMode ? 'demo' : 'live'}&limit=20`)
+      const res = await fetch(`/api/trades?mode=${tradingMode}&limit=20`)
       const data = await res.json()
       if (data.success) {
         setTradeHistory(data.trades || [])
@@ -233,15 +378,30 @@ export default function Dashboard() {
     } catch (err) {
       console.error('Failed to fetch trade history:', err)
     }
-  }, [demoMode])
+  }, [tradingMode])
+
+  /**
+   * Fetch the audit trail (admins only)
+   */
+  const fetchAuditLog = useCallback(async () => {
+    try {
+      const res = await fetch('/api/audit?limit=50')
+      const data = await res.json()
+      if (data.success) {
+        setAuditEntries(data.entries || [])
+      }
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err)
+    }
+  }, [])
 
   /**
    * Clear trade history
    */
   const clearTradeHistory = async () => {
-    if (!confirm(`Clear all ${demoMode ? 'demo' : 'live'} trade history?`)) return
+    if (!confirm(`Clear all ${tradingMode} trade history?`)) return
     try {
-      await fetch(`/api/trades?mode=${demoMode ? 'demo' : 'live'}`, { method: 'DELETE' })
+      await fetch(`/api/trades?mode=${tradingMode}`, { method: 'DELETE' })
       await fetchTradeHistory()
     } catch (err) {
       console.error('Failed to clear trade history:', err)
@@ -259,6 +419,9 @@ export default function Dashboard() {
       if (data.success) {
         setBotRunning(data.state?.isRunning || false)
         setLogs(data.state?.logs || [])
+        setScheduler(data.state?.scheduler || null)
+        setRiskState(data.state?.risk || null)
+        setWorkingOrders(data.state?.workingOrders || [])
       }
     } catch (err) {
       console.error('Failed to fetch bot state:', err)
@@ -282,9 +445,10 @@ export default function Dashboard() {
   }, [])
 
   /**
-   * Close a specific position
+   * Close a specific position on OKX (waits for the fill)
    */
   const closePosition = async (positionId) => {
+    setClosingId(positionId)
     try {
       const res = await fetch('/api/positions', {
         method: 'POST',
@@ -294,12 +458,85 @@ export default function Dashboard() {
       const data = await res.json()
       
       if (data.success) {
-        setPositions(data.positions || [])
+        await fetchPositions()
+        await fetchTradeHistory()
       } else {
+        setError(data.error)
         console.error('Failed to close position:', data.error)
       }
     } catch (err) {
       console.error('Failed to close position:', err)
+    } finally {
+      setClosingId(null)
+    }
+  }
+
+  /**
+   * Edit the TP/SL of a position (absolute trigger prices)
+   */
+  const editTpSl = async (pos) => {
+    const takeProfit = prompt(`${pos.instId} take-profit price (blank = none):`, pos.takeProfit ?? '')
+    if (takeProfit === null) return
+    const stopLoss = prompt(`${pos.instId} stop-loss price (blank = none):`, pos.stopLoss ?? '')
+    if (stopLoss === null) return
+    
+    setClosingId(pos.id)
+    try {
+      const res = await fetch('/api/positions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'setTpSl',
+          positionId: pos.id,
+          type: 'price',
+          takeProfit: takeProfit.trim() ? parseFloat(takeProfit) : null,
+          stopLoss: stopLoss.trim() ? parseFloat(stopLoss) : null,
+        }),
+      })
+      const data = await res.json()
+      
+      if (data.success) {
+        await fetchPositions()
+      } else {
+        setError(data.error)
+        console.error('Failed to update TP/SL:', data.error)
+      }
+    } catch (err) {
+      console.error('Failed to update TP/SL:', err)
+    } finally {
+      setClosingId(null)
+    }
+  }
+
+  /**
+   * Set or remove the trailing stop of a position (callback %)
+   */
+  const editTrail = async (pos) => {
+    const value = prompt(`${pos.instId} trailing stop callback % (blank = remove):`, pos.trail?.type === 'ratio' ? pos.trail.value : '')
+    if (value === null) return
+    
+    setClosingId(pos.id)
+    try {
+      const res = await fetch('/api/positions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value.trim()
+          ? { action: 'setTrail', positionId: pos.id, type: 'ratio', value: parseFloat(value) }
+          : { action: 'removeTrail', positionId: pos.id }
+        ),
+      })
+      const data = await res.json()
+      
+      if (data.success) {
+        await fetchPositions()
+      } else {
+        setError(data.error)
+        console.error('Failed to update trailing stop:', data.error)
+      }
+    } catch (err) {
+      console.error('Failed to update trailing stop:', err)
+    } finally {
+      setClosingId(null)
     }
   }
 
@@ -307,6 +544,8 @@ export default function Dashboard() {
    * Close all positions
    */
   const closeAllPositions = async () => {
+    if (!confirm(`Close all ${positions.length} positions on OKX at market?`)) return
+    setClosingId('all')
     try {
       const res = await fetch('/api/positions', {
         method: 'POST',
@@ -315,11 +554,38 @@ export default function Dashboard() {
       })
       const data = await res.json()
       
-      if (data.success) {
-        setPositions([])
+      if (!data.success) {
+        setError(data.error || data.message)
       }
+      await fetchPositions()
+      await fetchTradeHistory()
     } catch (err) {
       console.error('Failed to close all positions:', err)
+    } finally {
+      setClosingId(null)
+    }
+  }
+
+  /**
+   * Reset a tripped risk circuit breaker
+   */
+  const resetCircuitBreaker = async () => {
+    try {
+      const res = await fetch('/api/risk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'reset' }),
+      })
+      const data = await res.json()
+      
+      if (data.success) {
+        setRiskState(data.risk)
+        await fetchBotState()
+      } else {
+        setError(data.error)
+      }
+    } catch (err) {
+      setError(err.message)
     }
   }
 
@@ -339,6 +605,8 @@ export default function Dashboard() {
       
       if (data.success) {
         setBotRunning(data.state.isRunning)
+        setScheduler(data.state.scheduler || null)
+        setRiskState(data.state.risk || null)
         await scanPairs()
       } else {
         setError(data.error)
@@ -358,20 +626,22 @@ export default function Dashboard() {
   }
 
   /**
-   * Trigger bot cycle
+   * Force a bot cycle now (regular cycles run on the server)
    */
   const triggerBotCycle = useCallback(async () => {
     if (!botRunning) return
     try {
       await fetch('/api/bot?action=cycle')
+      await fetchBotState()
       await scanPairs()
     } catch (err) {
       console.error('Bot cycle error:', err)
     }
-  }, [botRunning, scanPairs])
+  }, [botRunning, fetchBotState, scanPairs])
 
   // Initial load
   useEffect(() => {
+    fetchSession()
     scanPairs()
     fetchBotState()
     fetchBalance()
@@ -380,36 +650,142 @@ export default function Dashboard() {
     fetchPositions()
   }, [])
 
-  // Refresh balance periodically (every 30 seconds)
+  // Latest fetchers for the stream handlers (the subscription outlives renders)
+  const refreshersRef = useRef({})
+  refreshersRef.current = { scan: scanPairs, positions: fetchPositions, balance: fetchBalance, trades: fetchTradeHistory, bot: fetchBotState, session: fetchSession }
+
+  // Subscribe to the dashboard event stream; polling below takes over while it's down
+  useEffect(() => {
+    let source = null
+    let retryTimer = null
+    let lastEventId = null
+    let wasDown = false
+    let lastCyclesRun = null
+    const refreshTimers = {}
+
+    const scheduleRefresh = (...names) => {
+      for (const name of names) {
+        if (refreshTimers[name]) continue
+        refreshTimers[name] = setTimeout(() => {
+          refreshTimers[name] = null
+          refreshersRef.current[name]()
+        }, STREAM_REFRESH_DELAY)
+      }
+    }
+
+    const handlers = {
+      log: (entry) => setLogs(prev => [entry, ...prev].slice(0, MAX_LOGS)),
+      signal: ({ instId, signal }) => {
+        setScannedPairs(prev => sortBySignal(prev.map(p => p.instId === instId ? { ...p, signal } : p)))
+      },
+      ticker: (ticker) => {
+        setScannedPairs(prev => prev.map(p => p.instId === ticker.instId
+          ? { ...p, price: ticker.last, change24h: ((ticker.last - ticker.low24h) / ticker.low24h * 100).toFixed(2) }
+          : p))
+        setLastUpdate(new Date().toLocaleTimeString())
+      },
+      // Sent for every streamed pair: reprice open positions here instead of refetching
+      price: ({ instId, price }) => {
+        setPositions(prev => prev.some(pos => pos.instId === instId)
+          ? prev.map(pos => pos.instId === instId ? repricePosition(pos, price) : pos)
+          : prev)
+      },
+      positions: () => scheduleRefresh('positions', 'balance'),
+      trade: () => scheduleRefresh('trades', 'balance'),
+      bot: (state) => {
+        setBotRunning(state.isRunning)
+        setScheduler(state.scheduler || null)
+        setRiskState(state.risk || null)
+        setWorkingOrders(state.workingOrders || [])
+        // Indicators are recomputed every cycle
+        if (lastCyclesRun !== null && state.scheduler?.cyclesRun !== lastCyclesRun) {
+          scheduleRefresh('scan')
+        }
+        lastCyclesRun = state.scheduler?.cyclesRun ?? null
+      },
+      // Missed events are gone (e.g. server restart): reload everything
+      reset: () => scheduleRefresh('scan', 'positions', 'balance', 'trades', 'bot'),
+    }
+
+    const connect = () => {
+      source = new EventSource(lastEventId ? `${STREAM_URL}?lastEventId=${encodeURIComponent(lastEventId)}` : STREAM_URL)
+
+      source.onopen = () => {
+        setStreamConnected(true)
+        // Without an event id the server can't replay what was missed
+        if (wasDown && !lastEventId) handlers.reset()
+        wasDown = false
+      }
+
+      source.onerror = () => {
+        setStreamConnected(false)
+        wasDown = true
+        // The browser retries on its own unless the server refused the stream
+        // (e.g. 401 once the session expired)
+        if (source.readyState === EventSource.CLOSED) {
+          source.close()
+          refreshersRef.current.session()
+          retryTimer = setTimeout(connect, STREAM_RETRY_MS)
+        }
+      }
+
+      for (const [type, handler] of Object.entries(handlers)) {
+        source.addEventListener(type, (event) => {
+          if (event.lastEventId) lastEventId = event.lastEventId
+          try {
+            handler(JSON.parse(event.data))
+          } catch (err) {
+            console.error(`Failed to handle ${type} event:`, err)
+          }
+        })
+      }
+    }
+
+    connect()
+    return () => {
+      source?.close()
+      clearTimeout(retryTimer)
+      Object.values(refreshTimers).forEach(clearTimeout)
+    }
+  }, [])
+
+  // Refresh balance periodically (every 30 seconds) while the stream is down
   useEffect(() => {
+    if (streamConnected) return
     const interval = setInterval(fetchBalance, 30000)
     return () => clearInterval(interval)
-  }, [fetchBalance])
+  }, [fetchBalance, streamConnected])
 
-  // Refresh positions periodically (every 5 seconds for real-time prices)
+  // Refresh positions periodically (every 5 seconds for real-time prices) while the stream is down
   useEffect(() => {
+    if (streamConnected) return
     const interval = setInterval(fetchPositions, 5000)
     return () => clearInterval(interval)
-  }, [fetchPositions])
+  }, [fetchPositions, streamConnected])
 
-  // Refresh trade history when demo mode changes
+  // Refresh trade history when the trading mode changes
   useEffect(() => {
     fetchTradeHistory()
-  }, [demoMode, fetchTradeHistory])
+  }, [tradingMode, fetchTradeHistory])
 
-  // Periodic refresh
+  // Load the audit trail when its tab is opened
   useEffect(() => {
+    if (activeTab === 'audit') fetchAuditLog()
+  }, [activeTab, fetchAuditLog])
+
+  // Periodic refresh while the stream is down
+  useEffect(() => {
+    if (streamConnected) return
     const interval = setInterval(scanPairs, MARKET_REFRESH_INTERVAL)
     return () => clearInterval(interval)
-  }, [scanPairs])
+  }, [scanPairs, streamConnected])
 
-  // Bot cycle
+  // Refresh bot state (scheduler status, logs) while the stream is down
   useEffect(() => {
-    if (botRunning) {
-      const interval = setInterval(triggerBotCycle, BOT_CYCLE_INTERVAL)
-      return () => clearInterval(interval)
-    }
-  }, [botRunning, triggerBotCycle])
+    if (streamConnected) return
+    const interval = setInterval(fetchBotState, MARKET_REFRESH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [fetchBotState, streamConnected])
 
   // Helpers
   const formatPrice = (price) => {
@@ -464,15 +840,19 @@ export default function Dashboard() {
             
             <div className="text-[#0ff] text-sm"> └─────────────────────────┘</div>
             
-            {/* Demo Mode Badge */}
-            <div className="mt-2">
-              <span className={`inline-block px-2 py-1 text-xs font-bold border ${
-                demoMode 
-                  ? 'text-[#ff0] border-[#ff0]' 
-                  : 'text-[#f00] border-[#f00]'
-              }`}>
-                {demoMode ? '[DEMO]' : '[LIVE]'}
+            {/* Trading Mode Badge */}
+            <div className="mt-2 flex items-center justify-between">
+              <span className={`inline-block px-2 py-1 text-xs font-bold border ${modeStyle.text} ${modeStyle.border}`}>
+                [{modeStyle.label}]
               </span>
+              {authUser && (
+                <span className="text-xs text-[#666]">
+                  {authUser} ({authRole}){' '}
+                  <button onClick={logout} className="text-[#0ff] hover:underline">
+                    [LOGOUT]
+                  </button>
+                </span>
+              )}
             </div>
           </div>
 
@@ -484,20 +864,40 @@ export default function Dashboard() {
                   TRADING MODE
                 </h2>
                 <p className="text-xs text-[#888] mt-1">
-                  {demoMode ? 'Paper trading' : 'Real money'}
+                  {paperTrading ? 'Local simulation' : demoMode ? 'OKX demo account' : 'Real money'}
                 </p>
               </div>
-              <button
-                onClick={toggleDemoMode}
-                className={`px-3 py-1 text-xs font-bold border ${
-                  demoMode 
-                    ? 'text-[#ff0] border-[#ff0] hover:bg-[#ff0] hover:text-black' 
-                    : 'text-[#f00] border-[#f00] hover:bg-[#f00] hover:text-black'
-                }`}
-              >
-                {demoMode ? 'DEMO' : 'LIVE'}
-              </button>
+              {can('admin') && (
+                <button
+                  onClick={toggleDemoMode}
+                  disabled={paperTrading}
+                  className={`px-3 py-1 text-xs font-bold border ${
+                    paperTrading
+                      ? 'text-[#444] border-[#333] cursor-not-allowed'
+                      : demoMode 
+                        ? 'text-[#ff0] border-[#ff0] hover:bg-[#ff0] hover:text-black' 
+                        : 'text-[#f00] border-[#f00] hover:bg-[#f00] hover:text-black'
+                  }`}
+                >
+                  {demoMode ? 'DEMO' : 'LIVE'}
+                </button>
+              )}
             </div>
+            {can('admin') && (
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-xs text-[#888]">Paper broker (no API keys)</span>
+                <button
+                  onClick={togglePaperTrading}
+                  className={`px-3 py-1 text-xs font-bold border ${
+                    paperTrading
+                      ? 'text-[#0ff] border-[#0ff] hover:bg-[#0ff] hover:text-black'
+                      : 'text-[#666] border-[#333] hover:border-[#666]'
+                  }`}
+                >
+                  {paperTrading ? 'PAPER ON' : 'PAPER OFF'}
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Account Balance */}
@@ -540,11 +940,43 @@ export default function Dashboard() {
               </span>
             </div>
             
+            {botRunning && scheduler && (
+              <div className="text-xs text-[#888] space-y-0.5 mb-1">
+                <div>
+                  NEXT: <span className="text-white">
+                    {scheduler.cycleInProgress ? 'RUNNING...' : formatTime(scheduler.nextRunAt)}
+                  </span>
+                </div>
+                {scheduler.lastCycleDurationMs !== null && (
+                  <div>
+                    LAST: <span className="text-white">{(scheduler.lastCycleDurationMs / 1000).toFixed(1)}s</span>
+                  </div>
+                )}
+              </div>
+            )}
+            
             {marketData?.bot?.isInCooldown && (
               <div className="text-xs text-[#ff0]">
                 COOLDOWN: {marketData.bot.cooldownRemaining}s
               </div>
             )}
+            
+            {riskState?.tripped && (
+              <div className="mt-2 p-2 border border-[#f00] text-xs">
+                <div className="text-[#f00] font-bold">
+                  CIRCUIT BREAKER - {riskState.tripped.action === 'stop' ? 'STOPPED' : 'ENTRIES PAUSED'}
+                </div>
+                <div className="text-[#888] mt-1">{riskState.tripped.reason}</div>
+                {can('operator') && (
+                  <button
+                    onClick={resetCircuitBreaker}
+                    className="mt-2 text-[#0ff] hover:underline"
+                  >
+                    [RESET]
+                  </button>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Control Buttons */}
@@ -553,17 +985,19 @@ export default function Dashboard() {
               CONTROLS
             </h2>
             
-            <button
-              onClick={toggleBot}
-              disabled={toggling}
-              className={`w-full py-2 px-4 text-sm font-bold border transition-all ${
-                botRunning
-                  ? 'text-[#f00] border-[#f00] hover:bg-[#f00] hover:text-black'
-                  : 'text-[#0f0] border-[#0f0] hover:bg-[#0f0] hover:text-black'
-              } ${toggling ? 'opacity-50' : ''}`}
-            >
-              {toggling ? 'PROCESSING...' : (botRunning ? '[ STOP BOT ]' : '[ START BOT ]')}
-            </button>
+            {can('operator') && (
+              <button
+                onClick={toggleBot}
+                disabled={toggling}
+                className={`w-full py-2 px-4 text-sm font-bold border transition-all ${
+                  botRunning
+                    ? 'text-[#f00] border-[#f00] hover:bg-[#f00] hover:text-black'
+                    : 'text-[#0f0] border-[#0f0] hover:bg-[#0f0] hover:text-black'
+                } ${toggling ? 'opacity-50' : ''}`}
+              >
+                {toggling ? 'PROCESSING...' : (botRunning ? '[ STOP BOT ]' : '[ START BOT ]')}
+              </button>
+            )}
 
             <button
               onClick={triggerScan}
@@ -573,119 +1007,356 @@ export default function Dashboard() {
               {scanning ? 'SCANNING...' : '[ SCAN MARKETS ]'}
             </button>
 
-            <button
-              onClick={triggerBotCycle}
-              disabled={!botRunning}
-              className={`w-full py-1 px-4 text-xs border text-[#f0f] border-[#f0f] hover:bg-[#f0f] hover:text-black ${!botRunning ? 'opacity-50' : ''}`}
-            >
-              [ FORCE CYCLE ]
-            </button>
+            {can('operator') && (
+              <button
+                onClick={triggerBotCycle}
+                disabled={!botRunning}
+                className={`w-full py-1 px-4 text-xs border text-[#f0f] border-[#f0f] hover:bg-[#f0f] hover:text-black ${!botRunning ? 'opacity-50' : ''}`}
+              >
+                [ FORCE CYCLE ]
+              </button>
+            )}
           </div>
 
           {/* Trade Configuration */}
-          <div className="p-4 border-b border-[#444]">
-            <div className="flex items-center justify-between mb-3">
-              <h2 className="text-xs text-[#666] uppercase tracking-wider">
-                TRADE CONFIG
-              </h2>
-              {!configSaved && (
-                <span className="text-[#ff0] text-xs">● UNSAVED</span>
-              )}
-            </div>
+          {can('admin') && (
+            <div className="p-4 border-b border-[#444]">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="text-xs text-[#666] uppercase tracking-wider">
+                  TRADE CONFIG
+                </h2>
+                {!configSaved && (
+                  <span className="text-[#ff0] text-xs">● UNSAVED</span>
+                )}
+              </div>
             
-            {/* Margin */}
-            <div className="mb-3">
-              <label className="text-xs text-[#888] block mb-1">
-                MARGIN (USDT)
-              </label>
-              <div className="flex items-center gap-2">
-                <input
-                  type="number"
-                  value={pendingConfig.margin}
-                  onChange={(e) => updatePendingConfig('margin', parseFloat(e.target.value) || 0)}
-                  min="1"
-                  step="1"
-                  className="flex-1 bg-black border border-[#444] text-white px-2 py-1 text-sm font-mono focus:border-[#0ff] focus:outline-none"
-                />
-                <span className="text-[#666] text-xs">USDT</span>
+              {/* Margin */}
+              <div className="mb-3">
+                <label className="text-xs text-[#888] block mb-1">
+                  MARGIN (USDT)
+                </label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={pendingConfig.margin}
+                    onChange={(e) => updatePendingConfig('margin', parseFloat(e.target.value) || 0)}
+                    min="1"
+                    step="1"
+                    className="flex-1 bg-black border border-[#444] text-white px-2 py-1 text-sm font-mono focus:border-[#0ff] focus:outline-none"
+                  />
+                  <span className="text-[#666] text-xs">USDT</span>
+                </div>
+                <div className="flex gap-1 mt-1">
+                  {[10, 25, 50, 100, 500, 1000].map(size => (
+                    <button
+                      key={size}
+                      onClick={() => updatePendingConfig('margin', size)}
+                      className={`px-2 py-0.5 text-xs border ${
+                        pendingConfig.margin === size 
+                          ? 'border-[#0ff] text-[#0ff]' 
+                          : 'border-[#333] text-[#666] hover:border-[#666]'
+                      }`}
+                    >
+                      {size}
+                    </button>
+                  ))}
+                </div>
+                {/* Position value preview */}
+                <div className="text-xs text-[#666] mt-1">
+                  {pendingConfig.sizing.mode === 'fixed'
+                    ? `Position: $${(pendingConfig.margin * pendingConfig.leverage).toLocaleString()} USDT`
+                    : 'Sized from equity (see SIZING)'}
+                </div>
+              </div>
+            
+              {/* Position sizing */}
+              <div className="mb-3">
+                <label className="text-xs text-[#888] block mb-1">
+                  SIZING
+                </label>
+                <div className="flex gap-1">
+                  {Object.entries(SIZING_LABELS).map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => updatePendingSection('sizing', 'mode', mode)}
+                      className={`px-1.5 py-0.5 text-xs border ${
+                        pendingConfig.sizing.mode === mode
+                          ? 'border-[#0ff] text-[#0ff]'
+                          : 'border-[#333] text-[#666] hover:border-[#666]'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {pendingConfig.sizing.mode !== 'fixed' && (
+                  <div className="flex items-center gap-2 mt-1">
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.1"
+                      value={pendingConfig.sizing.mode === 'equity_percent' ? pendingConfig.sizing.equityPercent : pendingConfig.sizing.riskPercent}
+                      onChange={(e) => updatePendingSection(
+                        'sizing',
+                        pendingConfig.sizing.mode === 'equity_percent' ? 'equityPercent' : 'riskPercent',
+                        parseFloat(e.target.value) || 0
+                      )}
+                      className="flex-1 bg-black border border-[#333] text-[#0ff] px-2 py-1 text-xs focus:border-[#0ff] outline-none"
+                    />
+                    <span className="text-[#666] text-xs">
+                      {{
+                        equity_percent: '% of equity as margin',
+                        risk: '% equity at the SL',
+                        atr: `% equity per ${pendingConfig.sizing.atrMultiple} ATR`,
+                      }[pendingConfig.sizing.mode]}
+                    </span>
+                  </div>
+                )}
+                {pendingConfig.sizing.mode === 'risk' && !pendingConfig.tpsl.enabled && (
+                  <p className="text-[#ff0] text-xs mt-1">
+                    Needs TP/SL with a stop-loss
+                  </p>
+                )}
+              </div>
+            
+              {/* Leverage */}
+              <div className="mb-3">
+                <label className="text-xs text-[#888] block mb-1">
+                  LEVERAGE
+                </label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="range"
+                    value={pendingConfig.leverage}
+                    onChange={(e) => updatePendingConfig('leverage', parseInt(e.target.value))}
+                    min="1"
+                    max={tradeConfig.maxLeverage || 125}
+                    className="flex-1 accent-[#0ff]"
+                  />
+                  <span className={`font-mono text-sm font-bold w-12 text-right ${
+                    pendingConfig.leverage > 50 ? 'text-[#f00]' : 
+                    pendingConfig.leverage > 10 ? 'text-[#ff0]' : 'text-[#0f0]'
+                  }`}>
+                    {pendingConfig.leverage}x
+                  </span>
+                </div>
+                <div className="flex gap-1 mt-1">
+                  {[1, 5, 10, 25, 50, 100].map(lev => (
+                    <button
+                      key={lev}
+                      onClick={() => updatePendingConfig('leverage', lev)}
+                      className={`px-1.5 py-0.5 text-xs border ${
+                        pendingConfig.leverage === lev 
+                          ? 'border-[#0ff] text-[#0ff]' 
+                          : 'border-[#333] text-[#666] hover:border-[#666]'
+                      }`}
+                    >
+                      {lev}x
+                    </button>
+                  ))}
+                </div>
+                {pendingConfig.leverage > 10 && (
+                  <p className="text-[#f00] text-xs mt-2">
+                    ⚠ HIGH LEVERAGE RISK
+                  </p>
+                )}
               </div>
-              <div className="flex gap-1 mt-1">
-                {[10, 25, 50, 100, 500, 1000].map(size => (
+
+              {/* Entry execution */}
+              <div className="mb-3">
+                <label className="text-xs text-[#888] block mb-1">
+                  ENTRY ORDER
+                </label>
+                <div className="flex gap-1">
+                  {Object.entries(EXECUTION_LABELS).map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => updatePendingSection('execution', 'mode', mode)}
+                      className={`px-1.5 py-0.5 text-xs border ${
+                        pendingConfig.execution.mode === mode
+                          ? 'border-[#0ff] text-[#0ff]'
+                          : 'border-[#333] text-[#666] hover:border-[#666]'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {pendingConfig.execution.mode !== 'market' && (
+                  <>
+                    <div className="flex items-center gap-2 mt-1">
+                      {pendingConfig.execution.mode === 'limit_offset' && (
+                        <>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={pendingConfig.execution.offsetTicks}
+                            onChange={(e) => updatePendingSection('execution', 'offsetTicks', parseInt(e.target.value) || 0)}
+                            className="w-12 bg-black border border-[#333] text-[#0ff] px-2 py-1 text-xs focus:border-[#0ff] outline-none"
+                          />
+                          <span className="text-[#666] text-xs">ticks</span>
+                        </>
+                      )}
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={pendingConfig.execution.waitSeconds}
+                        onChange={(e) => updatePendingSection('execution', 'waitSeconds', parseInt(e.target.value) || 1)}
+                        className="w-14 bg-black border border-[#333] text-[#0ff] px-2 py-1 text-xs focus:border-[#0ff] outline-none"
+                      />
+                      <span className="text-[#666] text-xs">s wait, then</span>
+                    </div>
+                    <div className="flex gap-1 mt-1">
+                      {Object.entries(TIMEOUT_LABELS).map(([action, label]) => (
+                        <button
+                          key={action}
+                          onClick={() => updatePendingSection('execution', 'onTimeout', action)}
+                          className={`px-1.5 py-0.5 text-xs border ${
+                            pendingConfig.execution.onTimeout === action
+                              ? 'border-[#0ff] text-[#0ff]'
+                              : 'border-[#333] text-[#666] hover:border-[#666]'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {/* Candle Timeframe */}
+              <div className="mb-3">
+                <label className="text-xs text-[#888] block mb-1">
+                  TIMEFRAME
+                </label>
+                <div className="flex gap-1">
+                  {['1m', '5m', '15m', '1H', '4H'].map(tf => (
+                    <button
+                      key={tf}
+                      onClick={() => updatePendingConfig('candleTimeframe', tf)}
+                      className={`px-1.5 py-0.5 text-xs border ${
+                        pendingConfig.candleTimeframe === tf 
+                          ? 'border-[#0ff] text-[#0ff]' 
+                          : 'border-[#333] text-[#666] hover:border-[#666]'
+                      }`}
+                    >
+                      {tf}
+                    </button>
+                  ))}
+                </div>
+                <div className="text-xs text-[#666] mt-1">
+                  Cycles run on each candle close
+                </div>
+              </div>
+
+              {/* TP/SL on entries */}
+              <div className="mb-3">
+                <div className="flex justify-between items-center mb-1">
+                  <label className="text-xs text-[#888]">TP / SL</label>
                   <button
-                    key={size}
-                    onClick={() => updatePendingConfig('margin', size)}
-                    className={`px-2 py-0.5 text-xs border ${
-                      pendingConfig.margin === size 
-                        ? 'border-[#0ff] text-[#0ff]' 
+                    onClick={() => updatePendingSection('tpsl', 'enabled', !pendingConfig.tpsl.enabled)}
+                    className={`px-1.5 py-0.5 text-xs border ${
+                      pendingConfig.tpsl.enabled
+                        ? 'border-[#0f0] text-[#0f0]'
                         : 'border-[#333] text-[#666] hover:border-[#666]'
                     }`}
                   >
-                    {size}
+                    {pendingConfig.tpsl.enabled ? 'ON' : 'OFF'}
                   </button>
-                ))}
-              </div>
-              {/* Position value preview */}
-              <div className="text-xs text-[#666] mt-1">
-                Position: ${(pendingConfig.margin * pendingConfig.leverage).toLocaleString()} USDT
-              </div>
-            </div>
-            
-            {/* Leverage */}
-            <div className="mb-3">
-              <label className="text-xs text-[#888] block mb-1">
-                LEVERAGE
-              </label>
-              <div className="flex items-center gap-2">
-                <input
-                  type="range"
-                  value={pendingConfig.leverage}
-                  onChange={(e) => updatePendingConfig('leverage', parseInt(e.target.value))}
-                  min="1"
-                  max={tradeConfig.maxLeverage || 125}
-                  className="flex-1 accent-[#0ff]"
-                />
-                <span className={`font-mono text-sm font-bold w-12 text-right ${
-                  pendingConfig.leverage > 50 ? 'text-[#f00]' : 
-                  pendingConfig.leverage > 10 ? 'text-[#ff0]' : 'text-[#0f0]'
-                }`}>
-                  {pendingConfig.leverage}x
-                </span>
+                </div>
+                {pendingConfig.tpsl.enabled && (
+                  <>
+                    <div className="flex gap-1 mb-1">
+                      {['percent', 'atr'].map(type => (
+                        <button
+                          key={type}
+                          onClick={() => updatePendingSection('tpsl', 'type', type)}
+                          className={`px-1.5 py-0.5 text-xs border ${
+                            pendingConfig.tpsl.type === type
+                              ? 'border-[#0ff] text-[#0ff]'
+                              : 'border-[#333] text-[#666] hover:border-[#666]'
+                          }`}
+                        >
+                          {type === 'percent' ? '%' : 'ATR'}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={pendingConfig.tpsl.takeProfit ?? ''}
+                        onChange={(e) => updatePendingSection('tpsl', 'takeProfit', e.target.value === '' ? null : parseFloat(e.target.value) || 0)}
+                        className="w-1/2 bg-black border border-[#333] text-[#0f0] px-2 py-1 text-xs focus:border-[#0f0] outline-none"
+                        placeholder="TP"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={pendingConfig.tpsl.stopLoss ?? ''}
+                        onChange={(e) => updatePendingSection('tpsl', 'stopLoss', e.target.value === '' ? null : parseFloat(e.target.value) || 0)}
+                        className="w-1/2 bg-black border border-[#333] text-[#f00] px-2 py-1 text-xs focus:border-[#f00] outline-none"
+                        placeholder="SL"
+                      />
+                    </div>
+                    <div className="text-xs text-[#666] mt-1">
+                      {pendingConfig.tpsl.type === 'atr' ? `× ATR(${pendingConfig.tpsl.atrPeriod})` : '% from entry'} · attached to every entry
+                    </div>
+                  </>
+                )}
               </div>
-              <div className="flex gap-1 mt-1">
-                {[1, 5, 10, 25, 50, 100].map(lev => (
+
+              {/* Trailing stop on entries */}
+              <div className="mb-3">
+                <div className="flex justify-between items-center mb-1">
+                  <label className="text-xs text-[#888]">TRAILING STOP</label>
                   <button
-                    key={lev}
-                    onClick={() => updatePendingConfig('leverage', lev)}
+                    onClick={() => updatePendingSection('trailing', 'enabled', !pendingConfig.trailing.enabled)}
                     className={`px-1.5 py-0.5 text-xs border ${
-                      pendingConfig.leverage === lev 
-                        ? 'border-[#0ff] text-[#0ff]' 
+                      pendingConfig.trailing.enabled
+                        ? 'border-[#0f0] text-[#0f0]'
                         : 'border-[#333] text-[#666] hover:border-[#666]'
                     }`}
                   >
-                    {lev}x
+                    {pendingConfig.trailing.enabled ? 'ON' : 'OFF'}
                   </button>
-                ))}
+                </div>
+                {pendingConfig.trailing.enabled && (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.1"
+                      value={pendingConfig.trailing.value}
+                      onChange={(e) => updatePendingSection('trailing', 'value', parseFloat(e.target.value) || 0)}
+                      className="flex-1 bg-black border border-[#333] text-[#ff0] px-2 py-1 text-xs focus:border-[#ff0] outline-none"
+                    />
+                    <span className="text-[#666] text-xs">
+                      {pendingConfig.trailing.type === 'ratio' ? '% callback' : 'distance'}
+                    </span>
+                  </div>
+                )}
               </div>
-              {pendingConfig.leverage > 10 && (
-                <p className="text-[#f00] text-xs mt-2">
-                  ⚠ HIGH LEVERAGE RISK
-                </p>
-              )}
-            </div>
 
-            {/* Save Button */}
-            <button
-              onClick={saveConfig}
-              disabled={configSaved}
-              className={`w-full py-2 px-4 text-sm font-bold border transition-all ${
-                configSaved
-                  ? 'text-[#444] border-[#333] cursor-not-allowed'
-                  : 'text-[#0f0] border-[#0f0] hover:bg-[#0f0] hover:text-black'
-              }`}
-            >
-              {configSaved ? '[ CONFIG SAVED ]' : '[ SAVE CONFIG ]'}
-            </button>
-          </div>
+              {/* Save Button */}
+              <button
+                onClick={saveConfig}
+                disabled={configSaved}
+                className={`w-full py-2 px-4 text-sm font-bold border transition-all ${
+                  configSaved
+                    ? 'text-[#444] border-[#333] cursor-not-allowed'
+                    : 'text-[#0f0] border-[#0f0] hover:bg-[#0f0] hover:text-black'
+                }`}
+              >
+                {configSaved ? '[ CONFIG SAVED ]' : '[ SAVE CONFIG ]'}
+              </button>
+            </div>
+          )}
 
           {/* Strategy Info */}
           <div className="p-4 border-b border-[#444]">
@@ -695,15 +1366,17 @@ export default function Dashboard() {
             <div className="space-y-1 text-xs">
               <div className="flex justify-between">
                 <span className="text-[#666]">Type:</span>
-                <span className="text-white">MA_CROSSOVER</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-[#666]">Fast:</span>
-                <span className="text-[#0ff]">MA(9)</span>
+                <span className="text-white">{strategyInfo ? strategyInfo.name.toUpperCase() : '--'}</span>
               </div>
+              {strategyInfo && Object.entries(strategyInfo.params).map(([key, value]) => (
+                <div key={key} className="flex justify-between">
+                  <span className="text-[#666]">{key}:</span>
+                  <span className="text-[#0ff]">{value}</span>
+                </div>
+              ))}
               <div className="flex justify-between">
-                <span className="text-[#666]">Slow:</span>
-                <span className="text-[#f0f]">MA(21)</span>
+                <span className="text-[#666]">Timeframe:</span>
+                <span className="text-white">{tradeConfig.candleTimeframe}</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-[#666]">Margin:</span>
@@ -715,6 +1388,14 @@ export default function Dashboard() {
                   {tradeConfig.leverage}x
                 </span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-[#666]">TP/SL:</span>
+                <span className={tradeConfig.tpsl?.enabled ? 'text-white' : 'text-[#666]'}>
+                  {tradeConfig.tpsl?.enabled
+                    ? `${tradeConfig.tpsl.takeProfit ?? '-'} / ${tradeConfig.tpsl.stopLoss ?? '-'}${tradeConfig.tpsl.type === 'atr' ? ' ATR' : '%'}`
+                    : 'OFF'}
+                </span>
+              </div>
               <div className="flex justify-between border-t border-[#333] pt-1 mt-1">
                 <span className="text-[#666]">Position:</span>
                 <span className="text-[#0ff]">${(tradeConfig.margin * tradeConfig.leverage).toLocaleString()}</span>
@@ -750,9 +1431,9 @@ export default function Dashboard() {
           </div>
 
           {/* Warning Footer */}
-          <div className={`p-2 border-t ${demoMode ? 'border-[#ff0]' : 'border-[#f00]'}`}>
-            <p className={`text-xs text-center ${demoMode ? 'text-[#ff0]' : 'text-[#f00]'}`}>
-              {demoMode ? '[ DEMO MODE - NO REAL MONEY ]' : '[ ! LIVE TRADING ! ]'}
+          <div className={`p-2 border-t ${modeStyle.border}`}>
+            <p className={`text-xs text-center ${modeStyle.text}`}>
+              {modeStyle.banner}
             </p>
           </div>
         </aside>
@@ -774,6 +1455,20 @@ export default function Dashboard() {
                 <span className="text-[#666]">
                   {scanning ? 'SCANNING...' : `UPD: ${lastUpdate || '--'}`}
                 </span>
+                {marketData?.feed && (
+                  <span
+                    className={marketData.feed.public.connected ? 'text-[#0f0]' : 'text-[#ff0]'}
+                    title={marketData.feed.public.connected ? 'Streaming from the OKX WebSocket feed' : 'WebSocket feed down - polling OKX REST'}
+                  >
+                    {marketData.feed.public.connected ? 'WS' : 'REST'}
+                  </span>
+                )}
+                <span
+                  className={streamConnected ? 'text-[#0f0]' : 'text-[#ff0]'}
+                  title={streamConnected ? 'Dashboard updates pushed by the server' : 'Event stream down - polling the API'}
+                >
+                  {streamConnected ? 'LIVE' : 'POLL'}
+                </span>
               </div>
             </div>
 
@@ -807,14 +1502,14 @@ export default function Dashboard() {
                       </div>
                       
                       <div className="grid grid-cols-2 gap-2 text-xs">
-                        <div>
-                          <span className="text-[#666]">MA(9):</span>
-                          <p className="text-[#0ff]">{formatPrice(pair.fastMA)}</p>
-                        </div>
-                        <div>
-                          <span className="text-[#666]">MA(21):</span>
-                          <p className="text-[#f0f]">{formatPrice(pair.slowMA)}</p>
-                        </div>
+                        {pair.indicators.map((indicator, idx) => (
+                          <div key={indicator.label}>
+                            <span className="text-[#666]">{indicator.label}:</span>
+                            <p className={idx % 2 === 0 ? 'text-[#0ff]' : 'text-[#f0f]'}>
+                              {indicator.format === 'price' ? formatPrice(indicator.value) : indicator.value}
+                            </p>
+                          </div>
+                        ))}
                       </div>
                       
                       <div className="mt-2 pt-2 border-t border-[#333] flex justify-between items-center text-xs">
@@ -830,7 +1525,7 @@ export default function Dashboard() {
             </div>
           </section>
 
-          {/* ==================== LOWER: POSITIONS, TRADE HISTORY & LOGS ==================== */}
+          {/* ==================== LOWER: POSITIONS, TRADE HISTORY, LOGS & AUDIT ==================== */}
           <section className="h-[320px] flex flex-col">
             {/* Tabs */}
             <div className="p-3 border-b border-[#444] flex items-center justify-between">
@@ -865,6 +1560,18 @@ export default function Dashboard() {
                 >
                   LOGS
                 </button>
+                {can('admin') && (
+                  <button
+                    onClick={() => setActiveTab('audit')}
+                    className={`px-3 py-1 text-sm font-bold border ${
+                      activeTab === 'audit'
+                        ? 'text-black bg-white border-white' 
+                        : 'text-[#666] border-[#444] hover:border-white hover:text-white'
+                    }`}
+                  >
+                    AUDIT
+                  </button>
+                )}
               </div>
               
               <div className="flex items-center gap-3 text-xs">
@@ -876,7 +1583,7 @@ export default function Dashboard() {
                     >
                       [REFRESH]
                     </button>
-                    {positions.length > 0 && (
+                    {positions.length > 0 && can('operator') && (
                       <button
                         onClick={closeAllPositions}
                         className="text-[#f00] hover:underline"
@@ -895,21 +1602,32 @@ export default function Dashboard() {
                     >
                       [REFRESH]
                     </button>
-                    <button
-                      onClick={clearTradeHistory}
-                      className="text-[#f00] hover:underline"
-                    >
-                      [CLEAR]
-                    </button>
+                    {can('admin') && (
+                      <button
+                        onClick={clearTradeHistory}
+                        className="text-[#f00] hover:underline"
+                      >
+                        [CLEAR]
+                      </button>
+                    )}
                   </>
                 )}
                 {activeTab === 'logs' && (
                   <span className="text-[#666]">{logs.length} entries</span>
                 )}
-                <span className={`px-2 py-0.5 border ${
-                  demoMode ? 'text-[#ff0] border-[#ff0]' : 'text-[#f00] border-[#f00]'
-                }`}>
-                  {demoMode ? 'DEMO' : 'LIVE'}
+                {activeTab === 'audit' && (
+                  <>
+                    <button
+                      onClick={fetchAuditLog}
+                      className="text-[#0ff] hover:underline"
+                    >
+                      [REFRESH]
+                    </button>
+                    <span className="text-[#666]">last {auditEntries.length}</span>
+                  </>
+                )}
+                <span className={`px-2 py-0.5 border ${modeStyle.text} ${modeStyle.border}`}>
+                  {modeStyle.label}
                 </span>
               </div>
             </div>
@@ -925,6 +1643,20 @@ export default function Dashboard() {
               </div>
             )}
 
+            {/* Limit entries still working on the exchange */}
+            {activeTab === 'positions' && workingOrders.length > 0 && (
+              <div className="px-3 py-2 border-b border-[#333] text-xs text-[#888] space-y-0.5">
+                {workingOrders.map(order => (
+                  <div key={order.instId}>
+                    WORKING: <span className="text-white">{order.instId}</span>{' '}
+                    <span className={order.side === 'buy' ? 'text-[#0f0]' : 'text-[#f00]'}>{order.side.toUpperCase()}</span>{' '}
+                    {order.filledContracts}/{order.contracts} @ <span className="text-[#0ff]">${order.limitPrice}</span>{' '}
+                    ({order.execution.mode}, attempt {order.attempts}, until {new Date(order.expiresAt).toLocaleTimeString()})
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="flex-1 overflow-auto">
               {activeTab === 'positions' ? (
                 /* Active Positions */
@@ -941,6 +1673,8 @@ export default function Dashboard() {
                         <th className="text-right p-2 border-b border-[#444]">CURRENT</th>
                         <th className="text-right p-2 border-b border-[#444]">P/L %</th>
                         <th className="text-right p-2 border-b border-[#444]">P/L USDT</th>
+                        <th className="text-right p-2 border-b border-[#444]">TP / SL</th>
+                        <th className="text-right p-2 border-b border-[#444]">TRAIL</th>
                         <th className="text-center p-2 border-b border-[#444]">ACT</th>
                       </tr>
                     </thead>
@@ -964,7 +1698,7 @@ export default function Dashboard() {
                           <tr key={pos.id} className="border-b border-[#222] hover:bg-[#111]">
                             <td className="p-2 font-bold text-white">{pos.instId}</td>
                             <td className="p-2">
-                              <span className={pos.mode === 'demo' ? 'text-[#ff0]' : 'text-[#f00]'}>
+                              <span className={(MODE_STYLES[pos.mode] || MODE_STYLES.live).text}>
                                 {(pos.mode || 'live').toUpperCase()}
                               </span>
                             </td>
@@ -987,14 +1721,46 @@ export default function Dashboard() {
                             <td className={`p-2 text-right font-bold ${pnlUsdt >= 0 ? 'text-[#0f0]' : 'text-[#f00]'}`}>
                               {pnlUsdt >= 0 ? '+' : ''}{pnlUsdt.toFixed(4)}
                             </td>
-                            <td className="p-2 text-center">
-                              <button 
-                                onClick={() => closePosition(pos.id)}
-                                className="px-2 py-0.5 text-[#f00] border border-[#f00] hover:bg-[#f00] hover:text-black"
+                            <td className="p-2 text-right">
+                              <button
+                                onClick={() => editTpSl(pos)}
+                                disabled={closingId !== null || !can('operator')}
+                                title={can('operator') ? 'Edit TP/SL' : undefined}
+                                className={can('operator') ? 'hover:underline' : 'cursor-default'}
                               >
-                                CLOSE
+                                <span className="text-[#0f0]">{pos.takeProfit ? formatPrice(pos.takeProfit) : '--'}</span>
+                                <span className="text-[#444]"> / </span>
+                                <span className="text-[#f00]">{pos.stopLoss ? formatPrice(pos.stopLoss) : '--'}</span>
                               </button>
                             </td>
+                            <td className="p-2 text-right">
+                              <button
+                                onClick={() => editTrail(pos)}
+                                disabled={closingId !== null || !can('operator')}
+                                title={can('operator') ? 'Edit trailing stop' : undefined}
+                                className={can('operator') ? 'hover:underline' : 'cursor-default'}
+                              >
+                                {pos.trail ? (
+                                  <>
+                                    <span className="text-[#ff0]">{formatPrice(pos.trail.stopPrice)}</span>
+                                    <span className="text-[#666]"> ({pos.trail.type === 'ratio' ? `${pos.trail.value}%` : pos.trail.value})</span>
+                                  </>
+                                ) : (
+                                  <span className="text-[#444]">--</span>
+                                )}
+                              </button>
+                            </td>
+                            <td className="p-2 text-center">
+                              {can('operator') && (
+                                <button 
+                                  onClick={() => closePosition(pos.id)}
+                                  disabled={closingId !== null}
+                                  className={`px-2 py-0.5 text-[#f00] border border-[#f00] hover:bg-[#f00] hover:text-black ${closingId !== null ? 'opacity-50' : ''}`}
+                                >
+                                  {closingId === pos.id || closingId === 'all' ? 'CLOSING...' : 'CLOSE'}
+                                </button>
+                              )}
+                            </td>
                           </tr>
                         )
                       })}
@@ -1029,7 +1795,7 @@ export default function Dashboard() {
                         <tr key={trade.id} className="border-b border-[#222] hover:bg-[#111]">
                           <td className="p-2 text-[#666]">{formatTime(trade.timestamp)}</td>
                           <td className="p-2">
-                            <span className={trade.mode === 'demo' ? 'text-[#ff0]' : 'text-[#f00]'}>
+                            <span className={(MODE_STYLES[trade.mode] || MODE_STYLES.live).text}>
                               {trade.mode?.toUpperCase()}
                             </span>
                           </td>
@@ -1056,11 +1822,66 @@ export default function Dashboard() {
                     <div className="text-center">
                       <p>No trade history</p>
                       <p className="text-xs mt-1">
-                        {demoMode ? 'Demo trades recorded here_' : 'Live trades recorded here_'}
+                        {modeStyle.history}
                       </p>
                     </div>
                   </div>
                 )
+              ) : activeTab === 'audit' ? (
+                /* Audit Trail */
+                auditEntries.length > 0 ? (
+                  <table className="w-full text-xs">
+                    <thead className="bg-[#111] text-[#666] uppercase sticky top-0">
+                      <tr>
+                        <th className="text-left p-2 border-b border-[#444]">TIME</th>
+                        <th className="text-left p-2 border-b border-[#444]">USER</th>
+                        <th className="text-left p-2 border-b border-[#444]">IP</th>
+                        <th className="text-left p-2 border-b border-[#444]">ACTION</th>
+                        <th className="text-left p-2 border-b border-[#444]">TARGET</th>
+                        <th className="text-left p-2 border-b border-[#444]">CHANGES</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {auditEntries.map((entry) => (
+                        <tr key={entry.id} className="border-b border-[#222] hover:bg-[#111] align-top">
+                          <td className="p-2 text-[#666] whitespace-nowrap">
+                            {mounted ? new Date(entry.timestamp).toLocaleString() : '--'}
+                          </td>
+                          <td className="p-2 text-white">
+                            {entry.user || '--'}
+                            {entry.role && <span className="text-[#666]"> ({entry.role})</span>}
+                          </td>
+                          <td className="p-2 text-[#888]">{entry.ip}</td>
+                          <td className="p-2">
+                            <span className={entry.success ? 'text-[#0ff]' : 'text-[#f00]'}>
+                              {entry.action}
+                            </span>
+                            {!entry.success && <span className="text-[#f00]"> FAILED</span>}
+                          </td>
+                          <td className="p-2 text-white">{entry.target || '--'}</td>
+                          <td className="p-2 text-[#888]">
+                            {entry.changes?.length > 0
+                              ? entry.changes.map((change) => (
+                                  <div key={change.field}>
+                                    {change.field}: <span className="text-[#666]">{JSON.stringify(change.from)}</span>
+                                    {' -> '}
+                                    <span className="text-white">{JSON.stringify(change.to)}</span>
+                                  </div>
+                                ))
+                              : entry.error || '--'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <div className="flex items-center justify-center h-full text-[#444]">
+                    <div className="text-center">
+                      <p>No audit entries</p>
+                      <p className="text-xs mt-1">Control actions will be recorded here_</p>
+                    </div>
+                  </div>
+                )
               ) : (
                 /* Logs Tab */
                 logs.length > 0 ? (
@@ -0,0 +1,305 @@
+/**
+ * OKX Private WebSocket Feed
+ *
+ * Keeps an authenticated WebSocket session (demo or live credentials of the
+ * active trading mode) subscribed to the account channels, so changes made
+ * outside the bot - fills, TP/SL triggers, liquidations, closes on the OKX
+ * app - show up right away instead of at the next poll:
+ * - 'positions': cached as the open positions okxClient.getPositions()
+ *   returns; when the set of open positions changes, local positions are
+ *   reconciled (lib/reconcile.js) against the cache
+ * - 'orders': final order states are cached for okxClient.getOrder();
+ *   liquidation, algo (TP/SL, trailing stop) and external fills are logged
+ * - 'balance_and_position': cash balances per currency
+ * - 'liquidation-warning': logged (at most every LIQUIDATION_WARNING_MS per position)
+ *
+ * Login signs timestamp + 'GET' + '/users/self/verify' like a REST request
+ * (okxClient.getWebSocketLogin). Paper trading has no private feed, and the
+ * session is reopened with the right credentials when the mode changes.
+ * Cached data is only served while the session is logged in; otherwise
+ * everything falls back to REST.
+ */
+
+import { getTradingMode, isConfigured, getWebSocketLogin, normalizePosition, normalizeOrder } from '@/lib/okxClient'
+import { addLog, updateMarketPrice } from '@/lib/state'
+import { reconcilePositions } from '@/lib/reconcile'
+import {
+  createConnection,
+  openConnection,
+  closeConnection,
+  sendMessage,
+  describeConnection,
+} from '@/lib/okxSocket'
+
+const PRIVATE_URLS = {
+  live: process.env.OKX_WS_PRIVATE_URL || 'wss://ws.okx.com:8443/ws/v5/private',
+  demo: process.env.OKX_WS_DEMO_PRIVATE_URL || 'wss://wspap.okx.com:8443/ws/v5/private',
+}
+
+const CHANNELS = [
+  { channel: 'orders', instType: 'ANY' },
+  { channel: 'positions', instType: 'ANY' },
+  { channel: 'balance_and_position' },
+  { channel: 'liquidation-warning', instType: 'ANY' },
+]
+
+// Client order ID prefixes of orders the bot places (lib/okxClient.js, lib/execution.js)
+const BOT_ORDER_PREFIXES = ['ent', 'ord', 'cls']
+
+const MAX_CACHED_ORDERS = 200
+
+// Wait for a burst of position pushes to settle before reconciling
+const RECONCILE_DELAY_MS = 1000
+const LIQUIDATION_WARNING_MS = 5 * 60 * 1000
+
+// Session and cache live on globalThis so a dev hot-reload of this module
+// doesn't open a second session
+const FEED_KEY = Symbol.for('okx-bot.accountFeed')
+
+function getFeed() {
+  if (!globalThis[FEED_KEY]) {
+    globalThis[FEED_KEY] = {
+      mode: null,              // Trading mode of the current session (null = none)
+      conn: null,
+      loggedIn: false,
+      loggedInAt: null,
+      positions: null,         // instId -> position, null until the first push of the session
+      positionsSignature: null, // Open pairs/sides/sizes last seen (kept across reconnects)
+      orders: new Map(),       // ordId -> order (newest last)
+      balances: {},            // ccy -> { cashBal, updatedAt }
+      liquidationWarnings: {}, // instId -> last warning time
+      reconcileTimer: null,
+      lastReconcileAt: null,
+    }
+  }
+  return globalThis[FEED_KEY]
+}
+
+/**
+ * Open, switch or close the session to match the current trading mode
+ *
+ * Call at startup and whenever the trading mode changes.
+ */
+export function syncAccountFeed() {
+  const feed = getFeed()
+  const mode = getTradingMode()
+  const wanted = mode !== 'paper' && isConfigured() ? mode : null
+
+  if (feed.mode === wanted) return
+
+  if (feed.conn) {
+    closeConnection(feed.conn)
+    feed.conn = null
+  }
+  resetSession(feed)
+  feed.positionsSignature = null
+  feed.orders.clear()
+  feed.balances = {}
+  feed.mode = wanted
+
+  if (wanted) {
+    feed.conn = createConnection(`private (${wanted})`, PRIVATE_URLS[wanted], { onOpen: login, onMessage: handleMessage })
+    openConnection(feed.conn)
+  }
+}
+
+function resetSession(feed) {
+  feed.loggedIn = false
+  feed.loggedInAt = null
+  feed.positions = null
+}
+
+/**
+ * Log in on every (re)connect; the channels are subscribed once it succeeds
+ */
+function login(conn) {
+  resetSession(getFeed())
+  try {
+    sendMessage(conn, { op: 'login', args: [getWebSocketLogin()] })
+  } catch (error) {
+    addLog(`Private WebSocket login failed: ${error.message}`, 'error')
+    closeConnection(conn)
+  }
+}
+
+function handleMessage(conn, message) {
+  const feed = getFeed()
+  if (conn !== feed.conn) return  // Session of a previous trading mode
+
+  if (message.event === 'login') {
+    if (message.code === '0') {
+      feed.loggedIn = true
+      feed.loggedInAt = Date.now()
+      sendMessage(conn, { op: 'subscribe', args: CHANNELS })
+    }
+    return
+  }
+  if (message.event === 'error') {
+    // Failed logins (60xxx) won't succeed on retry; stop until the mode changes
+    addLog(`Private WebSocket error: ${message.msg} (code: ${message.code})`, 'error')
+    if (!feed.loggedIn) {
+      closeConnection(conn)
+    }
+    return
+  }
+  if (message.event || !message.data) return
+
+  switch (message.arg.channel) {
+    case 'positions':
+      return handlePositions(feed, message.data)
+    case 'orders':
+      return message.data.forEach(order => handleOrder(feed, order))
+    case 'balance_and_position':
+      return handleBalances(feed, message.data)
+    case 'liquidation-warning':
+      return message.data.forEach(pos => handleLiquidationWarning(feed, pos))
+  }
+}
+
+/**
+ * Signature of the open positions (pair, side and size)
+ */
+function describePositions(positions) {
+  return [...(positions?.values() || [])]
+    .map(p => `${p.instId}:${p.side}:${p.size}`)
+    .sort()
+    .join()
+}
+
+/**
+ * Apply a positions push (the first one of a session is the full list)
+ *
+ * Local positions are reconciled when the open positions differ from the
+ * last ones seen, including changes made while the session was down.
+ */
+function handlePositions(feed, rows) {
+  const positions = feed.positions ?? new Map()
+
+  for (const row of rows) {
+    if (!(Math.abs(parseFloat(row.pos)) > 0)) {
+      positions.delete(row.instId)
+      continue
+    }
+    const position = normalizePosition(row)
+    positions.set(row.instId, position)
+    if (position.currentPrice) {
+      updateMarketPrice(row.instId.replace('-SWAP', ''), position.currentPrice)
+    }
+  }
+  feed.positions = positions
+
+  const signature = describePositions(positions)
+  if (feed.positionsSignature !== null && signature !== feed.positionsSignature) {
+    scheduleReconcile(feed)
+  }
+  feed.positionsSignature = signature
+}
+
+/**
+ * Reconcile local positions once pushes have settled
+ */
+function scheduleReconcile(feed) {
+  clearTimeout(feed.reconcileTimer)
+  feed.reconcileTimer = setTimeout(async () => {
+    feed.reconcileTimer = null
+    try {
+      await reconcilePositions()
+      feed.lastReconcileAt = Date.now()
+    } catch (error) {
+      addLog(`Position reconciliation after a position update failed: ${error.message}`, 'error')
+    }
+  }, RECONCILE_DELAY_MS)
+}
+
+function isBotOrder(order) {
+  return BOT_ORDER_PREFIXES.some(prefix => order.clientOrderId?.startsWith(prefix))
+}
+
+/**
+ * Cache an order update and log fills the bot didn't place
+ */
+function handleOrder(feed, row) {
+  const order = normalizeOrder(row)
+  const pair = order.instId.replace('-SWAP', '')
+  const fill = `${order.side} ${order.filledSize} @ $${order.avgPrice}`
+
+  feed.orders.delete(order.orderId)
+  feed.orders.set(order.orderId, order)
+  if (feed.orders.size > MAX_CACHED_ORDERS) {
+    feed.orders.delete(feed.orders.keys().next().value)
+  }
+
+  if (order.state !== 'filled') return
+
+  if (order.category?.includes('liquidation') || order.category === 'adl') {
+    addLog(`[${pair}] ${order.category.replace('_', ' ')} on OKX: ${fill}`, 'error')
+  } else if (order.algoClOrdId) {
+    addLog(`[${pair}] Algo order ${order.algoClOrdId} filled on OKX: ${fill} | P&L: ${order.pnl}`, 'trade')
+  } else if (!isBotOrder(order)) {
+    addLog(`[${pair}] Order filled on OKX outside the bot: ${fill}`, 'trade')
+  }
+}
+
+function handleBalances(feed, rows) {
+  for (const row of rows) {
+    for (const bal of row.balData || []) {
+      feed.balances[bal.ccy] = {
+        cashBal: parseFloat(bal.cashBal),
+        updatedAt: new Date(parseInt(bal.uTime)).toISOString(),
+      }
+    }
+  }
+}
+
+function handleLiquidationWarning(feed, row) {
+  const now = Date.now()
+  if (now - (feed.liquidationWarnings[row.instId] || 0) < LIQUIDATION_WARNING_MS) return
+  feed.liquidationWarnings[row.instId] = now
+
+  const pair = row.instId.replace('-SWAP', '')
+  addLog(`[${pair}] Liquidation warning: mark $${row.markPx}, liquidation $${row.liqPx}, margin ratio ${row.mgnRatio}`, 'error')
+}
+
+function isStreaming(feed) {
+  return Boolean(feed.conn?.connected && feed.loggedIn && feed.mode === getTradingMode())
+}
+
+/**
+ * Get the open positions pushed by the private WebSocket
+ *
+ * @returns {Object[]|null} - Same shape as okxClient.getPositions(), or null when not streaming
+ */
+export function getStreamedPositions() {
+  const feed = getFeed()
+  if (!isStreaming(feed) || feed.positions === null) return null
+  return [...feed.positions.values()]
+}
+
+/**
+ * Get an order pushed by the private WebSocket
+ *
+ * @param {Object} ids - { ordId } or { clOrdId }
+ * @returns {Object|null} - Same shape as okxClient.getOrder(), or null if not cached
+ */
+export function getStreamedOrder({ ordId, clOrdId }) {
+  const feed = getFeed()
+  if (!isStreaming(feed)) return null
+  if (ordId) return feed.orders.get(ordId) || null
+  return [...feed.orders.values()].find(order => order.clientOrderId === clOrdId) || null
+}
+
+/**
+ * Session status and cash balances for the dashboard and /api/positions
+ */
+export function getAccountFeedStatus() {
+  const feed = getFeed()
+  return {
+    mode: feed.mode,
+    ...(feed.conn ? describeConnection(feed.conn) : { connected: false }),
+    loggedIn: feed.loggedIn,
+    streaming: isStreaming(feed),
+    positions: feed.positions?.size ?? null,
+    balances: feed.balances,
+    lastReconcileAt: feed.lastReconcileAt ? new Date(feed.lastReconcileAt).toISOString() : null,
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Audit Trail
+ *
+ * Durable record of every control action taken through the API: logins,
+ * settings changes, bot start/stop, position closes and edits, clearing
+ * trade history, circuit breaker and paper account resets. Each entry says
+ * who (user, role, session or API token), from where (IP) and when, what
+ * was done and, for changes, each field's value before and after (e.g.
+ * tradeConfig.leverage 5 -> 20, tradingMode demo -> live).
+ *
+ * Entries are appended to .data/audit.jsonl and never rewritten, unlike
+ * botState.logs which only keeps the last 100 lines in memory. Only the
+ * newest MAX_CACHED_ENTRIES are held in memory; queries reaching past them
+ * read the file backwards from the end. The client
+ * IP is the one lib/session.js getClientIp() trusts (X-Forwarded-For only
+ * from configured proxies). Request bodies are never stored as sent:
+ * callers pick the fields worth keeping (pickFields) and details are cut
+ * down to a bounded size.
+ */
+
+import { dataPath, appendJsonLine, readJsonLinesReverse } from '@/lib/storage'
+import { getRequestUser, getClientIp } from '@/lib/session'
+
+const DEFAULT_LIMIT = 50
+
+// Bounds on what an entry's details may hold
+const MAX_DETAIL_DEPTH = 4
+const MAX_DETAIL_KEYS = 30
+const MAX_DETAIL_STRING = 200
+
+// Newest entries kept in memory; the log itself is never truncated
+const MAX_CACHED_ENTRIES = 1000
+
+// Shared by every module instance, so seq numbers (the page cursors) never repeat
+const AUDIT_KEY = Symbol.for('okx-bot.audit')
+
+function auditLogFile() {
+  return dataPath('audit.jsonl')
+}
+
+/**
+ * Load the newest entries from disk on first use
+ *
+ * @returns {Object} - { recent (oldest first), complete (recent is the whole log), lastSeq }
+ */
+function getAuditState() {
+  if (!globalThis[AUDIT_KEY]) {
+    const recent = []
+    let complete = true
+    readJsonLinesReverse(auditLogFile(), (entry) => {
+      if (recent.length === MAX_CACHED_ENTRIES) {
+        complete = false
+        return false
+      }
+      recent.unshift(entry)
+    })
+    globalThis[AUDIT_KEY] = {
+      recent,
+      complete,
+      lastSeq: recent.reduce((max, entry) => Math.max(max, entry.seq || 0), 0),
+    }
+    console.log(`[AUDIT] Loaded ${recent.length}${complete ? '' : ' most recent'} entries`)
+  }
+  return globalThis[AUDIT_KEY]
+}
+
+/**
+ * Visit entries newest first, from memory and then from the file
+ *
+ * @param {Function} visit - Called with each entry; return false to stop
+ */
+function visitNewestFirst(visit) {
+  const { recent, complete } = getAuditState()
+  for (let i = recent.length - 1; i >= 0; i--) {
+    if (visit(recent[i]) === false) return
+  }
+  if (complete) return
+
+  const oldestCached = recent[0]?.seq ?? Infinity
+  readJsonLinesReverse(auditLogFile(), entry => (entry.seq || 0) >= oldestCached || visit(entry))
+}
+
+/**
+ * Flatten nested objects into 'a.b.c' -> value (arrays are compared whole)
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out)
+    }
+  } else if (prefix) {
+    out[prefix] = value ?? null
+  }
+  return out
+}
+
+/**
+ * Copy of a value bounded in depth, keys per object and string length
+ */
+function boundDetails(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_DETAIL_STRING ? `${value.slice(0, MAX_DETAIL_STRING)}...` : value
+  }
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'number' || typeof value === 'boolean' ? value : null
+  }
+  if (depth >= MAX_DETAIL_DEPTH) return '[...]'
+
+  const entries = Array.isArray(value) ? [...value.entries()] : Object.entries(value)
+  const bounded = entries.slice(0, MAX_DETAIL_KEYS).map(([key, child]) => [key, boundDetails(child, depth + 1)])
+  if (Array.isArray(value)) {
+    return bounded.map(([, child]) => child)
+  }
+  return Object.fromEntries(entries.length > MAX_DETAIL_KEYS ? [...bounded, ['...', `${entries.length - MAX_DETAIL_KEYS} more`]] : bounded)
+}
+
+/**
+ * The allowed fields of a request body (for entry details)
+ *
+ * @param {Object} body - Parsed request body (may be null or not an object)
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object|null}
+ */
+export function pickFields(body, fields) {
+  if (!body || typeof body !== 'object') return null
+  const picked = Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+  return Object.keys(picked).length > 0 ? picked : null
+}
+
+/**
+ * List the fields that differ between two snapshots
+ *
+ * @param {Object} before - Snapshot before the action
+ * @param {Object} after - Snapshot after the action
+ * @returns {Object[]} - [{ field, from, to }]
+ */
+export function diffChanges(before, after) {
+  const previous = flatten(before)
+  const next = flatten(after)
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+
+  return fields
+    .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+    .map(field => ({ field, from: previous[field] ?? null, to: next[field] ?? null }))
+}
+
+/**
+ * Record a control action
+ *
+ * @param {Request} request - Request the action came in (caller and IP are read from it)
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. 'settings.update', 'bot.start', 'position.close'
+ * @param {string} entry.target - Affected instrument or resource (optional)
+ * @param {Object[]} entry.changes - Changed fields (see diffChanges)
+ * @param {Object} entry.details - Anything else worth keeping (results, pickFields() of the body);
+ *   bounded in depth, size and string length before it's stored
+ * @param {boolean} entry.success - Whether the action succeeded (default true)
+ * @param {string} entry.error - Error message of a failed action
+ * @param {Object} entry.user - Overrides the caller ({ username, role, method }), e.g. for logins
+ * @returns {Object} - The stored entry
+ */
+export function recordAudit(request, { action, target = null, changes = [], details = null, success = true, error = null, user = null }) {
+  const state = getAuditState()
+  const caller = user || getRequestUser(request)
+  const entry = {
+    id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    seq: ++state.lastSeq,
+    timestamp: new Date().toISOString(),
+    user: caller.username || null,
+    role: caller.role || null,
+    authMethod: caller.method || null,
+    ip: getClientIp(request),
+    action,
+    target,
+    changes,
+    details: details === null ? null : boundDetails(details),
+    success,
+    error,
+  }
+
+  try {
+    appendJsonLine(auditLogFile(), entry)
+  } catch (err) {
+    // The action already happened; don't fail it, but make the gap visible
+    console.error(`[AUDIT] Failed to write ${action} by ${entry.user}:`, err.message)
+  }
+  state.recent.push(entry)
+  if (state.recent.length > MAX_CACHED_ENTRIES) {
+    state.recent.shift()
+    state.complete = false
+  }
+
+  const summary = changes.map(c => `${c.field} ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`).join(', ')
+  console.log(`[AUDIT] ${entry.user || 'unknown'} (${entry.ip}) ${action}${target ? ` ${target}` : ''}${success ? '' : ' FAILED'}${summary ? `: ${summary}` : ''}`)
+
+  return entry
+}
+
+/**
+ * Query the audit log (newest first)
+ *
+ * @param {Object} options
+ * @param {string} options.user - Username
+ * @param {string} options.action - Action, or its group (e.g. 'position' matches 'position.close')
+ * @param {string} options.target - Instrument or resource
+ * @param {string} options.startDate - Earliest timestamp (inclusive)
+ * @param {string} options.endDate - Latest timestamp (inclusive)
+ * @param {boolean} options.failed - Only failed actions
+ * @param {number} options.limit - Page size (default 50, 0 = no limit)
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @returns {Object} - { entries, nextCursor } (nextCursor null on the last page)
+ */
+export function queryAudit(options = {}) {
+  const limit = options.limit ?? DEFAULT_LIMIT
+  const cursor = options.cursor ? parseInt(options.cursor, 10) : null
+  const start = options.startDate ? new Date(options.startDate).getTime() : null
+  const end = options.endDate ? new Date(options.endDate).getTime() : null
+
+  const matches = (entry) => {
+    if (cursor !== null && entry.seq >= cursor) return false
+    if (options.user && entry.user !== options.user) return false
+    if (options.action && entry.action !== options.action && !entry.action.startsWith(`${options.action}.`)) return false
+    if (options.target && entry.target !== options.target) return false
+    if (options.failed && entry.success) return false
+    const time = new Date(entry.timestamp).getTime()
+    return (start === null || time >= start) && (end === null || time <= end)
+  }
+
+  const entries = []
+  let hasMore = false
+  visitNewestFirst((entry) => {
+    if (!matches(entry)) return true
+    if (limit && entries.length === limit) {
+      hasMore = true
+      return false
+    }
+    entries.push(entry)
+    return true
+  })
+
+  return {
+    entries,
+    nextCursor: hasMore ? String(entries[entries.length - 1].seq) : null,
+  }
+}
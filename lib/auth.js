@@ -0,0 +1,55 @@
+/**
+ * Dashboard Login
+ *
+ * Checks a username and password against the configured dashboard users
+ * (lib/session.js getDashboardUsers). Passwords are stored as scrypt hashes:
+ *
+ *   scrypt:<N>:<r>:<p>:<salt, base64>:<key, base64>
+ *
+ * (generate one with `npm run hash-secret -- password`). Failed logins are
+ * throttled in lib/loginThrottle.js.
+ *
+ * Sessions and API tokens are verified in lib/session.js.
+ */
+
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { getDashboardUsers } from '@/lib/session'
+
+// Upper bound for the scrypt cost parameters of a configured hash
+const MAX_SCRYPT_MEMORY = 128 * 1024 * 1024
+
+// Runs on the libuv thread pool, so a login doesn't block the event loop
+const scrypt = promisify(crypto.scrypt)
+
+/**
+ * Check a password against a stored scrypt hash
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, N, r, p, salt, key] = (storedHash || '').split(':')
+  if (scheme !== 'scrypt' || !salt || !key) return false
+
+  const params = { N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: MAX_SCRYPT_MEMORY }
+  const expected = Buffer.from(key, 'base64')
+  try {
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, params)
+    return crypto.timingSafeEqual(actual, expected)
+  } catch (error) {
+    console.error('[AUTH] Invalid DASHBOARD_PASSWORD_HASH:', error.message)
+    return false
+  }
+}
+
+// Checked when the username is unknown, so that takes as long as a wrong password
+const DUMMY_HASH = `scrypt:16384:8:1:${Buffer.alloc(16).toString('base64')}:${Buffer.alloc(64).toString('base64')}`
+
+/**
+ * Check the dashboard credentials
+ *
+ * @returns {Object|null} - { username, role }, or null if invalid
+ */
+export async function verifyCredentials(username, password) {
+  const user = getDashboardUsers().get(String(username))
+  const passwordOk = await verifyPassword(password, user?.passwordHash || DUMMY_HASH)
+  return user && passwordOk ? { username: String(username), role: user.role } : null
+}
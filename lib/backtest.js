@@ -0,0 +1,247 @@
+/**
+ * Backtesting Engine
+ *
+ * Replays historical candles through analyzeMarket()/shouldTrade() with the
+ * signal logic executePairTrade() uses in live trading:
+ * - Each confirmed bar is analyzed with the same candle window the bot uses
+ * - The same per-pair cooldown applies between trades
+ * - Entries are sized as a fixed margin × leverage (from tradeConfig by default)
+ * - An opposite signal closes the open position and opens the new side
+ * - Fills happen at the bar close (the bot trades right after the close)
+ *
+ * Costs modeled: taker fees, slippage and perpetual funding (every 8h).
+ *
+ * Not simulated, so live results can differ:
+ * - TP/SL and trailing stops (positions only close on an opposite signal)
+ * - Sizing modes other than fixed margin, and rounding to contract lots
+ *   (minimum size and max leverage aren't enforced either)
+ * - Entry execution modes: every entry is a market fill, never a resting limit
+ * - Risk limits, the circuit breaker and exposure limits
+ *
+ * ⚠️ WARNING: Backtest results do not guarantee future performance!
+ */
+
+import { analyzeMarket, shouldTrade, getRequiredCandles } from '@/lib/strategy'
+import { getAnalysisWindow } from '@/lib/bot'
+import { botState, getTradeConfig, getStrategyConfig } from '@/lib/state'
+
+// Default cost assumptions (OKX USDT-margined perpetuals, regular tier)
+const DEFAULT_TAKER_FEE_RATE = 0.0005  // 0.05% per side
+const DEFAULT_SLIPPAGE_BPS = 2         // 0.02% against us on every fill
+const DEFAULT_FUNDING_RATE = 0.0001    // 0.01% per funding interval
+const DEFAULT_INITIAL_EQUITY = 1000    // USDT
+
+// OKX settles funding every 8 hours (00:00, 08:00, 16:00 UTC)
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000
+
+/**
+ * Count funding settlements in (from, to]
+ */
+function countFundingEvents(from, to) {
+  return Math.floor(to / FUNDING_INTERVAL_MS) - Math.floor(from / FUNDING_INTERVAL_MS)
+}
+
+/**
+ * Apply slippage against the trader
+ */
+function applySlippage(price, side, slippageBps) {
+  const slip = price * (slippageBps / 10000)
+  return side === 'buy' ? price + slip : price - slip
+}
+
+/**
+ * Unrealized P&L of an open position at a price
+ */
+function unrealizedPnl(position, price) {
+  const direction = position.side === 'buy' ? 1 : -1
+  return (price - position.entryPrice) * position.quantity * direction
+}
+
+/**
+ * Run a backtest over confirmed candles
+ *
+ * @param {Object[]} candles - Confirmed candles (oldest first)
+ * @param {Object} options
+ * @param {string} options.instId - Instrument (used for the default strategy)
+ * @param {Object} options.strategy - { name, params } (default: pair's active strategy)
+ * @param {number} options.margin - USDT margin per trade (default: tradeConfig)
+ * @param {number} options.leverage - Leverage (default: tradeConfig)
+ * @param {number} options.takerFeeRate - Fee rate per fill
+ * @param {number} options.slippageBps - Slippage in basis points per fill
+ * @param {number} options.fundingRate - Funding rate per 8h (longs pay when positive)
+ * @param {number} options.initialEquity - Starting equity in USDT
+ * @returns {Object} - { config, trades, equityCurve, stats }
+ */
+export function runBacktest(candles, options = {}) {
+  const tradeConfig = getTradeConfig()
+  const config = {
+    instId: options.instId || null,
+    strategy: options.strategy || getStrategyConfig(options.instId),
+    margin: options.margin ?? tradeConfig.margin,
+    leverage: options.leverage ?? tradeConfig.leverage,
+    takerFeeRate: options.takerFeeRate ?? DEFAULT_TAKER_FEE_RATE,
+    slippageBps: options.slippageBps ?? DEFAULT_SLIPPAGE_BPS,
+    fundingRate: options.fundingRate ?? DEFAULT_FUNDING_RATE,
+    initialEquity: options.initialEquity ?? DEFAULT_INITIAL_EQUITY,
+    cooldownSeconds: botState.pairCooldownSeconds,
+  }
+
+  const positionValue = config.margin * config.leverage
+  // Same number of confirmed bars the bot analyzes
+  const windowSize = getAnalysisWindow(config.strategy)
+  const firstBar = getRequiredCandles(config.strategy) - 1
+
+  const trades = []
+  const equityCurve = []
+  let position = null
+  let lastPosition = null
+  let lastTradeTime = null
+  let realizedPnl = 0
+  let totalFees = 0
+  let totalFunding = 0
+
+  /**
+   * Close the open position at a price
+   */
+  const closeOpenPosition = (candle, reason) => {
+    const exitSide = position.side === 'buy' ? 'sell' : 'buy'
+    const exitPrice = applySlippage(candle.close, exitSide, config.slippageBps)
+    const exitFee = exitPrice * position.quantity * config.takerFeeRate
+    const grossPnl = unrealizedPnl(position, exitPrice)
+    const netPnl = grossPnl - position.entryFee - exitFee - position.funding
+
+    realizedPnl += grossPnl - exitFee
+    totalFees += exitFee
+
+    trades.push({
+      side: position.side,
+      entryTime: new Date(position.entryTime).toISOString(),
+      entryPrice: position.entryPrice,
+      exitTime: new Date(candle.timestamp).toISOString(),
+      exitPrice,
+      positionValue: position.positionValue,
+      quantity: position.quantity,
+      grossPnl,
+      fees: position.entryFee + exitFee,
+      funding: position.funding,
+      pnl: netPnl,
+      pnlPercent: (netPnl / config.margin) * 100,
+      entrySignal: position.signal,
+      exitReason: reason,
+    })
+
+    position = null
+  }
+
+  for (let i = Math.max(firstBar, 0); i < candles.length; i++) {
+    const candle = candles[i]
+
+    // Funding settlements since the previous bar
+    if (position && i > 0) {
+      const events = countFundingEvents(candles[i - 1].timestamp, candle.timestamp)
+      if (events > 0) {
+        const direction = position.side === 'buy' ? 1 : -1
+        const funding = events * config.fundingRate * position.quantity * candle.close * direction
+        position.funding += funding
+        realizedPnl -= funding
+        totalFunding += funding
+      }
+    }
+
+    // Same pair cooldown as the live bot
+    const inCooldown = lastTradeTime !== null &&
+      (candle.timestamp - lastTradeTime) / 1000 < config.cooldownSeconds
+
+    if (!inCooldown) {
+      const window = candles.slice(Math.max(0, i + 1 - windowSize), i + 1)
+      const analysis = analyzeMarket(window, config.strategy)
+      const decision = shouldTrade(analysis.signal, lastPosition)
+
+      if (decision.shouldTrade) {
+        // Opposite position is closed first (same as addPosition's flip)
+        if (position && position.side !== decision.side) {
+          closeOpenPosition(candle, `${analysis.signal} signal`)
+        }
+
+        const entryPrice = applySlippage(candle.close, decision.side, config.slippageBps)
+        const quantity = positionValue / entryPrice
+        const entryFee = positionValue * config.takerFeeRate
+
+        realizedPnl -= entryFee
+        totalFees += entryFee
+
+        position = {
+          side: decision.side,
+          entryTime: candle.timestamp,
+          entryPrice,
+          quantity,
+          positionValue,
+          entryFee,
+          funding: 0,
+          signal: analysis.signal,
+        }
+        lastPosition = decision.side === 'buy' ? 'long' : 'short'
+        lastTradeTime = candle.timestamp
+      }
+    }
+
+    const equity = config.initialEquity + realizedPnl + (position ? unrealizedPnl(position, candle.close) : 0)
+    equityCurve.push({
+      timestamp: new Date(candle.timestamp).toISOString(),
+      equity: Math.round(equity * 10000) / 10000,
+    })
+  }
+
+  // Close anything still open at the last bar
+  if (position) {
+    closeOpenPosition(candles[candles.length - 1], 'End of data')
+    equityCurve[equityCurve.length - 1].equity = Math.round((config.initialEquity + realizedPnl) * 10000) / 10000
+  }
+
+  return {
+    config,
+    trades,
+    equityCurve,
+    stats: calculateStats(trades, equityCurve, config, { totalFees, totalFunding }),
+  }
+}
+
+/**
+ * Summary statistics for a backtest
+ */
+function calculateStats(trades, equityCurve, config, costs) {
+  const wins = trades.filter(t => t.pnl > 0)
+  const losses = trades.filter(t => t.pnl <= 0)
+  const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0)
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0))
+  const finalEquity = equityCurve.length > 0
+    ? equityCurve[equityCurve.length - 1].equity
+    : config.initialEquity
+
+  // Max drawdown from running equity peak
+  let peak = config.initialEquity
+  let maxDrawdown = 0
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity)
+    maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak)
+  }
+
+  return {
+    totalTrades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? ((wins.length / trades.length) * 100).toFixed(1) : 0,
+    netPnl: (finalEquity - config.initialEquity).toFixed(2),
+    returnPercent: (((finalEquity - config.initialEquity) / config.initialEquity) * 100).toFixed(2),
+    finalEquity: finalEquity.toFixed(2),
+    maxDrawdownPercent: (maxDrawdown * 100).toFixed(2),
+    profitFactor: grossLoss > 0 ? (grossProfit / grossLoss).toFixed(2) : null,
+    avgTradePnl: trades.length > 0
+      ? ((grossProfit - grossLoss) / trades.length).toFixed(4)
+      : '0.0000',
+    totalFees: costs.totalFees.toFixed(4),
+    totalFunding: costs.totalFunding.toFixed(4),
+    startTime: equityCurve[0]?.timestamp || null,
+    endTime: equityCurve[equityCurve.length - 1]?.timestamp || null,
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Trading Bot Engine
+ * 
+ * Runs the per-pair trading logic. Cycles are driven server-side by
+ * lib/scheduler.js while the bot is running, or triggered manually
+ * via GET /api/bot?action=cycle.
+ * 
+ * Analysis uses confirmed candles of the configured timeframe only.
+ * 
+ * ⚠️ WARNING: This bot trades with REAL MONEY in live mode!
+ * Use demo mode for testing. Always test with small amounts first.
+ */
+
+import { getTicker, isConfigured, getTradingMode, getEquity, getPositions as getOkxPositions } from '@/lib/okxClient'
+import { analyzeMarket, shouldTrade, getRequiredCandles } from '@/lib/strategy'
+import {
+  setSignal,
+  updateMarketPrice,
+  addLog,
+  getTradeConfig,
+  getPairState,
+  getWorkingOrder,
+  setPairLastPosition,
+  setPairSignal,
+  isPairInCooldown,
+  getPairCooldownRemaining,
+  getStrategyConfig,
+} from '@/lib/state'
+import { getRecentCandles } from '@/lib/candleStore'
+import { calculateATR, computeProtectionPrices } from '@/lib/protection'
+import { computePositionSize, EQUITY_SIZING_MODES } from '@/lib/sizing'
+import { getInstrument } from '@/lib/instruments'
+import { executeEntry, resolvePendingEntry } from '@/lib/execution'
+import { reconcilePositions } from '@/lib/reconcile'
+import { checkRisk, checkExposure } from '@/lib/riskManager'
+import { subscribeMarketFeed } from '@/lib/marketFeed'
+
+// Confirmed candles passed to the strategy per analysis
+const ANALYSIS_WINDOW = 99
+
+// Trading pairs to monitor
+export const TRADING_PAIRS = [
+  'BTC-USDT',
+  'ETH-USDT',
+  'SOL-USDT',
+  'XRP-USDT',
+  'DOGE-USDT',
+  'ADA-USDT',
+]
+
+/**
+ * Get how many confirmed candles a strategy is given per analysis
+ * (its required history, at least ANALYSIS_WINDOW)
+ */
+export function getAnalysisWindow(strategyConfig) {
+  return Math.max(ANALYSIS_WINDOW, getRequiredCandles(strategyConfig))
+}
+
+/**
+ * Execute trade for a single pair
+ */
+async function executePairTrade(instId) {
+  try {
+    // An entry whose submission was interrupted is settled before anything
+    // else, so its order is recorded instead of entered a second time
+    const recovered = await resolvePendingEntry(instId)
+    if (recovered) {
+      return {
+        instId,
+        executed: recovered.status === 'filled',
+        working: recovered.status === 'working',
+        reason: `Recovered entry ${recovered.orderId}`,
+        price: recovered.price,
+        orderId: recovered.orderId,
+      }
+    }
+    
+    // Check pair-specific cooldown
+    if (isPairInCooldown(instId)) {
+      const remaining = getPairCooldownRemaining(instId)
+      return { instId, executed: false, reason: `Cooldown ${remaining}s` }
+    }
+    
+    // A limit entry still working on the exchange must not be doubled
+    const working = getWorkingOrder(instId)
+    if (working) {
+      return { instId, executed: false, reason: `Working ${working.execution.mode} order ${working.orderId}` }
+    }
+    
+    // Fetch market data
+    // Candles come from the local store (synced with OKX as bars close);
+    // only confirmed bars are analyzed so signals don't flicker mid-candle
+    const { candleTimeframe } = getTradeConfig()
+    const strategyConfig = getStrategyConfig(instId)
+    const ticker = await getTicker(instId)
+    const candles = await getRecentCandles(instId, candleTimeframe, getAnalysisWindow(strategyConfig))
+    const candleTime = candles[candles.length - 1]?.timestamp || null
+    
+    // Analyze market with the pair's active strategy
+    const analysis = analyzeMarket(candles, strategyConfig)
+    
+    // Update market price for position tracking
+    updateMarketPrice(instId, ticker.last)
+    
+    // Update pair signal
+    setPairSignal(instId, analysis.signal)
+    
+    // Get pair-specific state
+    const pairState = getPairState(instId)
+    
+    // Check if we should trade for this pair
+    const tradeDecision = shouldTrade(analysis.signal, pairState.lastPosition)
+    
+    if (!tradeDecision.shouldTrade) {
+      return { instId, executed: false, reason: tradeDecision.reason, signal: analysis.signal, candleTime }
+    }
+    
+    // Execute trade
+    const mode = getTradingMode()
+    const tradeConfig = getTradeConfig()
+    const leverage = tradeConfig.leverage
+    
+    // TP/SL from the trade config, relative to the current price and
+    // rounded to the instrument's tick size.
+    // Throws (skipping the entry) rather than opening an unprotected position.
+    const instrument = await getInstrument(instId)
+    const protection = tradeConfig.tpsl.enabled
+      ? computeProtectionPrices({
+          side: tradeDecision.side,
+          referencePrice: ticker.last,
+          type: tradeConfig.tpsl.type,
+          takeProfit: tradeConfig.tpsl.takeProfit,
+          stopLoss: tradeConfig.tpsl.stopLoss,
+          atr: tradeConfig.tpsl.type === 'atr' ? calculateATR(candles, tradeConfig.tpsl.atrPeriod) : null,
+          tickSize: instrument.tickSz,
+        })
+      : { takeProfit: null, stopLoss: null }
+    
+    // Size the entry (margin × leverage = position value in USDT)
+    const { sizing } = tradeConfig
+    const size = computePositionSize({
+      sizing,
+      margin: tradeConfig.margin,
+      leverage,
+      price: ticker.last,
+      equity: EQUITY_SIZING_MODES.includes(sizing.mode) ? await getEquity() : null,
+      stopLoss: protection.stopLoss,
+      atr: sizing.mode === 'atr' ? calculateATR(candles, sizing.atrPeriod) : null,
+    })
+    const { margin, positionValue } = size
+    
+    // Risk and exposure limits are checked right before every entry
+    const risk = await checkRisk()
+    if (!risk.allowed) {
+      return { instId, executed: false, reason: risk.reason, signal: analysis.signal, candleTime }
+    }
+    const exposure = await checkExposure(instId, tradeDecision.side, positionValue)
+    if (!exposure.allowed) {
+      return { instId, executed: false, reason: exposure.reason, signal: analysis.signal, candleTime }
+    }
+    
+    const sizingText = size.mode === 'fixed' ? '' : ` (${size.mode} sizing)`
+    addLog(`[${instId}] ${tradeDecision.side.toUpperCase()} @ $${ticker.last} - $${margin} margin × ${leverage}x = $${positionValue} position${sizingText}`, 'trade')
+    
+    const entry = await executeEntry({
+      instId,
+      side: tradeDecision.side,
+      price: ticker.last,
+      positionValue,
+      margin,
+      leverage,
+      protection,
+      candleTime,
+      trade: {
+        signal: analysis.signal,
+        strategy: analysis.strategy,
+        strategyParams: strategyConfig.params,
+        fastMA: analysis.fastMA,
+        slowMA: analysis.slowMA,
+        sizing: { mode: size.mode, ...size.inputs },
+        reason: tradeDecision.reason,
+      },
+    })
+    
+    // Limit entries are recorded by lib/execution.js once they fill
+    if (entry.status === 'working') {
+      return {
+        instId,
+        executed: false,
+        working: true,
+        reason: `Working order ${entry.orderId} @ $${entry.price}`,
+        signal: analysis.signal,
+        candleTime,
+      }
+    }
+    
+    return {
+      instId,
+      executed: true,
+      mode: mode,
+      side: tradeDecision.side,
+      price: entry.price,
+      orderId: entry.orderId,
+      candleTime,
+    }
+    
+  } catch (error) {
+    addLog(`[${instId}] Error: ${error.message}`, 'error')
+    return { instId, executed: false, reason: error.message }
+  }
+}
+
+/**
+ * Execute one trading cycle for all pairs
+ * 
+ * 1. Reconcile local positions with OKX and check risk limits
+ * 2. Loop through all trading pairs
+ * 3. Analyze each pair independently
+ * 4. Execute trades where conditions are met (and risk limits allow)
+ */
+export async function executeTradingCycle() {
+  try {
+    addLog(`Scanning ${TRADING_PAIRS.length} pairs...`, 'info')
+    
+    // Check if API is configured
+    if (!isConfigured()) {
+      addLog('API not configured - skipping trade execution', 'error')
+      return { executed: false, reason: 'API not configured', trades: [] }
+    }
+    
+    // Bring local positions in line with OKX before making decisions
+    try {
+      await reconcilePositions()
+    } catch (reconcileError) {
+      addLog(`Position reconciliation failed: ${reconcileError.message}`, 'error')
+    }
+    
+    // Track equity every cycle so the drawdown peak isn't only sampled at entries
+    try {
+      await checkRisk()
+    } catch (riskError) {
+      addLog(`Risk check failed: ${riskError.message}`, 'error')
+    }
+    
+    const results = []
+    let tradesExecuted = 0
+    
+    // Process each pair with a small delay to avoid rate limits
+    for (const instId of TRADING_PAIRS) {
+      try {
+        const result = await executePairTrade(instId)
+        results.push(result)
+        
+        if (result.executed) {
+          tradesExecuted++
+        }
+        
+        // Small delay between pairs to avoid rate limits
+        await new Promise(resolve => setTimeout(resolve, 200))
+        
+      } catch (pairError) {
+        addLog(`[${instId}] Failed: ${pairError.message}`, 'error')
+        results.push({ instId, executed: false, reason: pairError.message })
+      }
+    }
+    
+    addLog(`Cycle complete: ${tradesExecuted}/${TRADING_PAIRS.length} trades executed`, 'info')
+    
+    // Update global state with first pair's data for backward compatibility
+    if (results.length > 0) {
+      const btcResult = results.find(r => r.instId === 'BTC-USDT')
+      if (btcResult && btcResult.signal) {
+        setSignal(btcResult.signal)
+      }
+    }
+    
+    return {
+      executed: tradesExecuted > 0,
+      tradesExecuted,
+      totalPairs: TRADING_PAIRS.length,
+      trades: results,
+    }
+    
+  } catch (error) {
+    addLog(`Trading cycle error: ${error.message}`, 'error')
+    throw error
+  }
+}
+
+/**
+ * Rebuild each pair's lastPosition from the actual OKX positions
+ *
+ * Run on startup: a restored snapshot may be stale (positions closed by
+ * TP/SL or on the OKX app while the server was down), and a missing one
+ * would let shouldTrade() re-enter a direction that is already open.
+ *
+ * @returns {Object} - { checked, corrected: [{ instId, from, to }] }
+ */
+export async function reconcilePairState() {
+  if (!isConfigured()) {
+    addLog('API not configured - skipping pair state reconciliation', 'info')
+    return { checked: 0, corrected: [] }
+  }
+
+  const okxPositions = await getOkxPositions()
+  const corrected = []
+
+  for (const instId of TRADING_PAIRS) {
+    const position = okxPositions.find(p => p.instId === `${instId}-SWAP` && p.size > 0)
+    const actual = position ? position.side : null
+    const recorded = getPairState(instId).lastPosition ?? null
+
+    if (recorded !== actual) {
+      setPairLastPosition(instId, actual)
+      corrected.push({ instId, from: recorded, to: actual })
+      addLog(`[${instId}] Pair state reconciled with OKX: ${recorded || 'flat'} → ${actual || 'flat'}`, 'info')
+    }
+  }
+
+  addLog(`Pair state reconciled: ${corrected.length} of ${TRADING_PAIRS.length} pairs corrected`, 'info')
+  return { checked: TRADING_PAIRS.length, corrected }
+}
+
+/**
+ * Stream tickers, mark prices and candles of the configured timeframe for
+ * the trading pairs (lib/marketFeed.js); call again when the timeframe changes
+ */
+export function syncMarketFeed() {
+  subscribeMarketFeed(TRADING_PAIRS, getTradeConfig().candleTimeframe)
+}
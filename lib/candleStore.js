@@ -0,0 +1,338 @@
+/**
+ * Historical Candle Store
+ *
+ * Persists confirmed candles per instrument and timeframe under
+ * .data/candles/ so the bot and backtests read from disk instead of
+ * refetching the same bars every cycle.
+ *
+ * - syncCandles(): appends bars closed since the last stored one
+ * - backfillCandles(): pages back through OKX history-candles
+ * - findGaps() / fillGaps(): detect and repair holes in a series
+ *
+ * Only confirmed bars are stored; the still-forming bar never is.
+ * Bars closed while the WebSocket feed (lib/marketFeed.js) streams the
+ * series are taken from it, so syncing doesn't call REST.
+ */
+
+import { getCandles, getHistoryCandles } from '@/lib/okxClient'
+import { getStreamedCandles } from '@/lib/marketFeed'
+import { dataPath, readJsonFile, writeJsonFileAtomic } from '@/lib/storage'
+import { getTimeframeMs } from '@/lib/timeframes'
+
+const LATEST_LIMIT = 300        // /market/candles maximum
+const HISTORY_PAGE_LIMIT = 100  // /market/history-candles maximum
+export const MAX_STORED_BARS = 50000
+
+// Base-quote pair as used for TRADING_PAIRS (e.g., 'BTC-USDT'); it names the series file
+const INST_ID_PATTERN = /^[A-Z0-9]+-[A-Z0-9]+$/
+
+// Loaded series keyed by `${instId}_${bar}` (oldest first)
+const seriesCache = new Map()
+
+/**
+ * Check if an instrument ID is safe to name a series file after
+ *
+ * Routes should also check that OKX lists the pair (findInstrument() in
+ * lib/instruments.js), so made-up pairs don't fill the cache.
+ */
+export function isValidInstId(instId) {
+  return typeof instId === 'string' && INST_ID_PATTERN.test(instId)
+}
+
+function seriesKey(instId, bar) {
+  return `${instId}_${bar}`
+}
+
+function seriesFile(instId, bar) {
+  if (!isValidInstId(instId)) {
+    throw new Error(`Invalid instrument ID: ${instId}`)
+  }
+  return dataPath('candles', `${seriesKey(instId, bar)}.json`)
+}
+
+// Compact on-disk row: [timestamp, open, high, low, close, volume]
+function toRow(c) {
+  return [c.timestamp, c.open, c.high, c.low, c.close, c.volume]
+}
+
+function fromRow(row) {
+  return {
+    timestamp: row[0],
+    open: row[1],
+    high: row[2],
+    low: row[3],
+    close: row[4],
+    volume: row[5],
+    confirm: true,
+  }
+}
+
+/**
+ * Load a series from cache or disk
+ */
+function loadSeries(instId, bar) {
+  const key = seriesKey(instId, bar)
+  if (!seriesCache.has(key)) {
+    const data = readJsonFile(seriesFile(instId, bar), null)
+    seriesCache.set(key, (data?.candles || []).map(fromRow))
+  }
+  return seriesCache.get(key)
+}
+
+/**
+ * Save a series to cache and disk
+ */
+function saveSeries(instId, bar, candles) {
+  seriesCache.set(seriesKey(instId, bar), candles)
+  writeJsonFileAtomic(seriesFile(instId, bar), {
+    instId,
+    bar,
+    updatedAt: new Date().toISOString(),
+    candles: candles.map(toRow),
+  })
+}
+
+/**
+ * Merge fetched candles into the stored series
+ *
+ * @returns {number} - Number of new bars stored
+ */
+function mergeCandles(instId, bar, incoming) {
+  const byTime = new Map(loadSeries(instId, bar).map(c => [c.timestamp, c]))
+  let added = 0
+
+  for (const candle of incoming) {
+    if (!candle.confirm) continue
+    if (!byTime.has(candle.timestamp)) added++
+    byTime.set(candle.timestamp, { ...candle, confirm: true })
+  }
+
+  if (added > 0) {
+    let merged = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp)
+    if (merged.length > MAX_STORED_BARS) {
+      merged = merged.slice(-MAX_STORED_BARS)
+    }
+    saveSeries(instId, bar, merged)
+  }
+
+  return added
+}
+
+/**
+ * Page backwards through OKX history
+ *
+ * @param {Object} options
+ * @param {number} options.after - Start paging before this timestamp (default: now)
+ * @param {number} options.untilTs - Stop once a bar at or before this time is reached
+ * @param {number} options.maxBars - Stop after this many bars
+ */
+async function fetchBackwards(instId, bar, { after, untilTs, maxBars }) {
+  const fetched = []
+  let cursor = after
+
+  while (fetched.length < maxBars) {
+    const page = await getHistoryCandles(instId, bar, { after: cursor, limit: HISTORY_PAGE_LIMIT })
+    if (page.length === 0) break
+
+    fetched.push(...page)
+    cursor = page[0].timestamp // oldest bar in the page
+    if (untilTs !== undefined && cursor <= untilTs) break
+  }
+
+  return fetched
+}
+
+/**
+ * Streamed bars that continue the stored series without a hole
+ *
+ * A bar missed while the feed was reconnecting would otherwise leave a gap
+ * that the REST sync never looks at.
+ */
+function continuingBars(stored, streamed, duration) {
+  const bars = []
+  let next = stored[stored.length - 1]?.timestamp + duration
+  if (Number.isNaN(next)) return bars
+
+  for (const candle of streamed) {
+    if (candle.timestamp < next) continue
+    if (candle.timestamp > next) break
+    bars.push(candle)
+    next += duration
+  }
+  return bars
+}
+
+/**
+ * Append bars closed since the last stored bar
+ *
+ * No network call is made when the series already holds the latest closed bar.
+ *
+ * @returns {number} - Number of new bars stored
+ */
+export async function syncCandles(instId, bar) {
+  const duration = getTimeframeMs(bar)
+  const lastClosedOpen = Math.floor(Date.now() / duration) * duration - duration
+
+  let added = 0
+  const streamed = getStreamedCandles(instId, bar)
+  if (streamed) {
+    added = mergeCandles(instId, bar, continuingBars(loadSeries(instId, bar), streamed, duration))
+  }
+
+  const stored = loadSeries(instId, bar)
+  const lastStored = stored[stored.length - 1]?.timestamp
+
+  if (lastStored !== undefined && lastStored >= lastClosedOpen) {
+    return added
+  }
+
+  // Missing closed bars plus the forming bar
+  const missing = lastStored === undefined
+    ? LATEST_LIMIT
+    : Math.round((lastClosedOpen - lastStored) / duration) + 1
+  const latest = await getCandles(instId, bar, Math.min(LATEST_LIMIT, missing))
+  added += mergeCandles(instId, bar, latest)
+
+  // Offline for longer than one page: fetch the rest from history
+  if (lastStored !== undefined && latest.length > 0 && latest[0].timestamp > lastStored + duration) {
+    const older = await fetchBackwards(instId, bar, {
+      after: latest[0].timestamp,
+      untilTs: lastStored,
+      maxBars: MAX_STORED_BARS,
+    })
+    added += mergeCandles(instId, bar, older)
+  }
+
+  return added
+}
+
+/**
+ * Backfill history until at least `bars` candles are stored
+ *
+ * @returns {Object} - { added, total }
+ */
+export async function backfillCandles(instId, bar, { bars = 1000 } = {}) {
+  await syncCandles(instId, bar)
+
+  const target = Math.min(bars, MAX_STORED_BARS)
+  const stored = loadSeries(instId, bar)
+  let added = 0
+
+  if (stored.length < target) {
+    const older = await fetchBackwards(instId, bar, {
+      after: stored[0]?.timestamp,
+      maxBars: target - stored.length,
+    })
+    added = mergeCandles(instId, bar, older)
+    console.log(`[CANDLES] Backfilled ${added} ${bar} bars for ${instId}`)
+  }
+
+  return { added, total: loadSeries(instId, bar).length }
+}
+
+/**
+ * Find missing bars between stored candles
+ *
+ * @returns {Object[]} - [{ from, to, missingBars }] (ISO timestamps of the missing range)
+ */
+export function findGaps(instId, bar) {
+  const duration = getTimeframeMs(bar)
+  const stored = loadSeries(instId, bar)
+  const gaps = []
+
+  for (let i = 1; i < stored.length; i++) {
+    const diff = stored[i].timestamp - stored[i - 1].timestamp
+    if (diff > duration) {
+      gaps.push({
+        from: new Date(stored[i - 1].timestamp + duration).toISOString(),
+        to: new Date(stored[i].timestamp - duration).toISOString(),
+        missingBars: diff / duration - 1,
+      })
+    }
+  }
+
+  return gaps
+}
+
+/**
+ * Try to fill gaps from OKX history
+ *
+ * Gaps can remain if OKX itself has no data for that range
+ * (e.g., exchange maintenance).
+ *
+ * @returns {Object} - { filled, remainingGaps }
+ */
+export async function fillGaps(instId, bar) {
+  const duration = getTimeframeMs(bar)
+  let filled = 0
+
+  for (const gap of findGaps(instId, bar)) {
+    const gapStart = new Date(gap.from).getTime()
+    const gapEnd = new Date(gap.to).getTime()
+    const fetched = await fetchBackwards(instId, bar, {
+      after: gapEnd + duration,
+      untilTs: gapStart,
+      maxBars: gap.missingBars + HISTORY_PAGE_LIMIT,
+    })
+    filled += mergeCandles(instId, bar, fetched.filter(c => c.timestamp >= gapStart && c.timestamp <= gapEnd))
+  }
+
+  const remainingGaps = findGaps(instId, bar)
+  if (filled > 0 || remainingGaps.length > 0) {
+    console.log(`[CANDLES] ${instId} ${bar}: filled ${filled} bars, ${remainingGaps.length} gaps remaining`)
+  }
+
+  return { filled, remainingGaps }
+}
+
+/**
+ * Read stored candles
+ *
+ * @param {Object} options
+ * @param {number} options.start - Earliest timestamp (ms, inclusive)
+ * @param {number} options.end - Latest timestamp (ms, inclusive)
+ * @param {number} options.limit - Return only the most recent N bars of the range
+ * @returns {Object[]} - Confirmed candles (oldest first)
+ */
+export function getStoredCandles(instId, bar, { start, end, limit } = {}) {
+  let candles = loadSeries(instId, bar)
+
+  if (start !== undefined || end !== undefined) {
+    candles = candles.filter(c =>
+      (start === undefined || c.timestamp >= start) &&
+      (end === undefined || c.timestamp <= end)
+    )
+  }
+
+  if (limit) {
+    candles = candles.slice(-limit)
+  }
+
+  return candles.map(c => ({ ...c }))
+}
+
+/**
+ * Summary of a stored series
+ */
+export function getStoreStatus(instId, bar) {
+  const stored = loadSeries(instId, bar)
+  return {
+    instId,
+    bar,
+    count: stored.length,
+    first: stored[0] ? new Date(stored[0].timestamp).toISOString() : null,
+    last: stored.length > 0 ? new Date(stored[stored.length - 1].timestamp).toISOString() : null,
+    gaps: findGaps(instId, bar),
+  }
+}
+
+/**
+ * Get at least `count` recent confirmed candles, syncing and backfilling as needed
+ */
+export async function getRecentCandles(instId, bar, count) {
+  await syncCandles(instId, bar)
+  if (loadSeries(instId, bar).length < count) {
+    await backfillCandles(instId, bar, { bars: count })
+  }
+  return getStoredCandles(instId, bar, { limit: count })
+}
@@ -0,0 +1,112 @@
+/**
+ * Dashboard Event Bus
+ *
+ * State changes the dashboard shows are published here and pushed to it by
+ * the /api/stream Server-Sent Events endpoint:
+ * - 'log': a new log entry (lib/state.js addLog)
+ * - 'signal': a pair's signal changed (setPairSignal)
+ * - 'positions': the local positions changed
+ * - 'price': a pair's market price was updated (updateMarketPrice)
+ * - 'ticker': a streamed ticker (lib/marketFeed.js, at most every TICKER_EVENT_MS per pair)
+ * - 'bot': running flag, scheduler, risk or working orders changed
+ * - 'trade': a trade was recorded (lib/tradeLog.js)
+ *
+ * Events get increasing ids and the last MAX_EVENTS are kept, so a client
+ * that reconnects with Last-Event-ID is sent what it missed. Ids include
+ * the epoch the bus was created in; after a server restart, or once the
+ * missed events are no longer kept, the client has to reload instead.
+ */
+
+const MAX_EVENTS = 1000
+
+// Ticker events per pair are throttled; tickers arrive several times a second
+export const TICKER_EVENT_MS = 2000
+
+// Bus lives on globalThis so the route and lib modules share one instance
+// across dev hot-reloads
+const BUS_KEY = Symbol.for('okx-bot.events')
+
+function getBus() {
+  if (!globalThis[BUS_KEY]) {
+    globalThis[BUS_KEY] = {
+      epoch: Date.now().toString(36),
+      seq: 0,
+      events: [],             // Oldest first, at most MAX_EVENTS
+      listeners: new Set(),
+    }
+  }
+  return globalThis[BUS_KEY]
+}
+
+/**
+ * Publish an event to all stream clients
+ *
+ * @param {string} type - Event type (see above)
+ * @param {Object} data - JSON-serializable payload
+ */
+export function publishEvent(type, data) {
+  const bus = getBus()
+  const event = {
+    id: `${bus.epoch}-${++bus.seq}`,
+    seq: bus.seq,
+    type,
+    data,
+    timestamp: new Date().toISOString(),
+  }
+
+  bus.events.push(event)
+  if (bus.events.length > MAX_EVENTS) {
+    bus.events.shift()
+  }
+
+  for (const listener of bus.listeners) {
+    try {
+      listener(event)
+    } catch (error) {
+      console.error('[EVENTS] Listener error:', error.message)
+    }
+  }
+  return event
+}
+
+/**
+ * Call listener(event) for every published event
+ *
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeEvents(listener) {
+  const bus = getBus()
+  bus.listeners.add(listener)
+  return () => bus.listeners.delete(listener)
+}
+
+/**
+ * Get the events published after an event id
+ *
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Object[]|null} - Missed events (oldest first), or null if they can't be replayed
+ */
+export function getEventsSince(lastEventId) {
+  const bus = getBus()
+  const [epoch, seqText] = String(lastEventId).split('-')
+  const seq = parseInt(seqText)
+
+  if (epoch !== bus.epoch || !Number.isInteger(seq) || seq > bus.seq) return null
+
+  const oldest = bus.events[0]?.seq ?? bus.seq + 1
+  if (seq < oldest - 1) return null
+
+  return bus.events.filter(event => event.seq > seq)
+}
+
+/**
+ * Bus status for the stream endpoint
+ */
+export function getEventBusStatus() {
+  const bus = getBus()
+  return {
+    lastEventId: bus.seq > 0 ? `${bus.epoch}-${bus.seq}` : null,
+    buffered: bus.events.length,
+    clients: bus.listeners.size,
+  }
+}
@@ -0,0 +1,566 @@
+/**
+ * Entry Execution
+ *
+ * Places entry orders as configured in tradeConfig.execution:
+ * - 'market': market order, recorded right away
+ * - 'limit': limit order at the best bid (buy) / ask (sell)
+ * - 'post_only': maker-only order at the best bid / ask; OKX cancels it
+ *   instead of letting it take liquidity
+ * - 'limit_offset': limit order offsetTicks behind the best bid / ask
+ *
+ * Limit entries become a working order in botState.workingOrders while they
+ * rest on the book, so the pair doesn't enter again. A monitor polls them
+ * every few seconds; once waitSeconds pass the order is canceled and,
+ * depending on onTimeout, the unfilled rest is bought at market ('market'),
+ * re-placed at the same price ('retry') or at the new best bid / ask
+ * ('chase'). Retries and chases give up after maxRetries and keep whatever
+ * filled; a re-placement OKX rejects counts as an attempt. The market
+ * fallback is a new order, so the risk and exposure limits are checked
+ * again first. The entry is recorded (position, trade log, trailing stop)
+ * once the working order is done.
+ *
+ * Entries are recorded from confirmed fills (lib/orderTracker.js): the
+ * average fill price, filled contracts and fee reported for the order,
+ * not the ticker price at submission.
+ *
+ * Every entry order carries a clOrdId derived from the pair, the candle
+ * (cycle), the signal and the trading mode. It is saved as the pair's
+ * pendingEntry before the order is sent and cleared once the order is
+ * confirmed; if the submission fails half-way (timeout, lost response,
+ * restart) the next cycle looks the order up by its clOrdId and records
+ * or resumes it instead of entering a second time.
+ */
+
+import crypto from 'crypto'
+import {
+  placeMarketOrder,
+  placeLimitOrder,
+  cancelOrder,
+  getOrder,
+  getTicker,
+  getTradingMode,
+} from '@/lib/okxClient'
+import {
+  addLog,
+  addPosition,
+  getPairPendingEntry,
+  getTradeConfig,
+  getWorkingOrders,
+  setPairPendingEntry,
+  setWorkingOrder,
+  updatePairState,
+  recordTrade as recordTradeState,
+} from '@/lib/state'
+import { recordTrade as logTrade } from '@/lib/tradeLog'
+import { getInstrument, roundToLot } from '@/lib/instruments'
+import { roundPrice, roundUsdt } from '@/lib/protection'
+import { confirmFill, TERMINAL_ORDER_STATES } from '@/lib/orderTracker'
+import { setPositionTrail } from '@/lib/positionManager'
+import { checkRisk, checkExposure } from '@/lib/riskManager'
+
+// How often working orders are checked
+const ORDER_POLL_MS = 2000
+
+// Keep the timer handle on globalThis so a dev hot-reload of this module
+// doesn't leave a second monitor polling the same orders
+const MONITOR_KEY = Symbol.for('okx-bot.execution.monitor')
+
+// Guard against overlapping checks (slow API responses)
+let checkInProgress = false
+
+/**
+ * Limit price for an entry: best bid (buy) / ask (sell), moved offsetTicks
+ * away from the market for 'limit_offset'
+ */
+async function getLimitPrice(instId, side, execution) {
+  const ticker = await getTicker(instId)
+  const { tickSz } = await getInstrument(instId)
+  const touch = side === 'buy' ? ticker.bid : ticker.ask
+  if (!(touch > 0)) {
+    throw new Error(`No ${side === 'buy' ? 'bid' : 'ask'} price for ${instId}`)
+  }
+
+  const offset = execution.mode === 'limit_offset' ? execution.offsetTicks * tickSz : 0
+  return roundPrice(side === 'buy' ? touch - offset : touch + offset, tickSz)
+}
+
+/**
+ * Client order IDs of an entry order and its TP/SL (alphanumeric, max 32 chars)
+ *
+ * The same decision - pair, candle, signal and trading mode - always gives
+ * the same IDs; `leg` numbers the further orders of a working entry.
+ */
+function entryOrderIds(entry, leg = 0) {
+  const decision = [entry.mode, entry.instId, entry.candleTime, entry.trade.signal, entry.side].join('|')
+  const hash = crypto.createHash('sha256').update(decision).digest('hex').slice(0, 26)
+  return { clOrdId: `ent${hash}${leg}`, algoClOrdId: `tpsl${hash}${leg}` }
+}
+
+/**
+ * Place a limit / post-only order for (the rest of) a working entry
+ */
+function placeWorkingOrder(entry, { price, contracts, leg = 0 }) {
+  return placeLimitOrder(entry.instId, entry.side, entry.positionValue, entry.leverage, {
+    price,
+    postOnly: entry.execution.mode === 'post_only',
+    contracts,
+    ...entryOrderIds(entry, leg),
+    ...entry.protection,
+  })
+}
+
+/**
+ * Track a placed limit order as the pair's working entry
+ */
+function startWorkingOrder(working, order, price) {
+  const now = Date.now()
+
+  setWorkingOrder(working.instId, {
+    ...working,
+    orderId: order.orderId,
+    limitPrice: price,
+    contracts: order.contracts,        // Target size of the whole entry
+    orderContracts: order.contracts,   // Size of the current order
+    filledContracts: 0,                // Filled by earlier (canceled) orders
+    filledValue: 0,                    // Σ contracts × fill price of those
+    fee: 0,                            // Fees of those (negative = paid)
+    orderIds: [order.orderId],
+    tpslAlgoClOrdId: order.tpslAlgoClOrdId,
+    simulated: order.simulated,
+    attempts: 1,
+    placedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + working.execution.waitSeconds * 1000).toISOString(),
+  })
+  startOrderMonitor()
+}
+
+/**
+ * Execute an entry
+ *
+ * @param {Object} entry
+ * @param {string} entry.instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} entry.side - 'buy' or 'sell'
+ * @param {number} entry.price - Current price
+ * @param {number} entry.positionValue - Position value in USDT
+ * @param {number} entry.margin - Margin in USDT
+ * @param {number} entry.leverage - Leverage
+ * @param {Object} entry.protection - { takeProfit, stopLoss } to attach
+ * @param {string} entry.candleTime - Candle the decision was made on
+ * @param {Object} entry.trade - Extra trade log fields (signal, strategy, sizing, reason, ...)
+ * @returns {Object} - { status: 'filled' | 'working', orderId, price }
+ * @throws If a market order ends without any fill
+ */
+export async function executeEntry(entry) {
+  const execution = { ...getTradeConfig().execution }
+  const pending = { ...entry, mode: getTradingMode(), execution }
+  const { clOrdId } = entryOrderIds(pending)
+  let order = null
+
+  setPairPendingEntry(entry.instId, { clOrdId, entry: pending, submittedAt: new Date().toISOString() })
+
+  try {
+    if (execution.mode === 'market') {
+      order = await placeMarketOrder(
+        entry.instId,
+        entry.side,
+        entry.positionValue,  // Pass position value (not margin) for contract calculation
+        entry.leverage,
+        { ...entry.protection, ...entryOrderIds(pending) }
+      )
+      const fill = await confirmFill(entry.instId, order.orderId)
+      setPairPendingEntry(entry.instId, null)
+      await recordMarketEntry(pending, fill, order)
+      return { status: 'filled', orderId: order.orderId, price: fill.avgPrice }
+    }
+
+    const price = await getLimitPrice(entry.instId, entry.side, execution)
+    order = await placeWorkingOrder(pending, { price })
+    startWorkingOrder(pending, order, price)
+    setPairPendingEntry(entry.instId, null)
+    addLog(`[${entry.instId}] ${execution.mode} ${entry.side.toUpperCase()} ${order.contracts} contracts @ $${price} working (${execution.waitSeconds}s, then ${execution.onTimeout})`, 'trade')
+
+    return { status: 'working', orderId: order.orderId, price }
+  } catch (error) {
+    // Keep the pending entry only if OKX may have the order
+    if (!order && !error.ambiguous) {
+      setPairPendingEntry(entry.instId, null)
+    }
+    throw error
+  }
+}
+
+/**
+ * Check if an entry attaches a TP/SL to its order
+ */
+function hasProtection(entry) {
+  return Boolean(entry.protection.takeProfit || entry.protection.stopLoss)
+}
+
+/**
+ * Record a confirmed market entry
+ */
+function recordMarketEntry(entry, fill, order) {
+  return recordEntry(entry, {
+    orderId: fill.orderId,
+    contracts: fill.contracts,
+    price: fill.avgPrice,
+    positionValue: fill.positionValue,
+    margin: roundUsdt(fill.positionValue / entry.leverage),
+    fee: fill.fee,
+    orderState: fill.state,
+    tpslAlgoClOrdId: order.tpslAlgoClOrdId ?? null,
+    simulated: order.simulated,
+  })
+}
+
+/**
+ * Resolve an entry order whose submission didn't complete
+ *
+ * Looks the pair's pendingEntry up on OKX by its clOrdId: an order that
+ * exists is recorded (market) or resumed as a working order (limit); one
+ * that doesn't, or was canceled without fills, is forgotten. Throws if the
+ * lookup fails, so the pair doesn't enter while it is unknown.
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @returns {Object|null} - { status: 'filled' | 'working', orderId, price } or null if nothing was pending
+ */
+export async function resolvePendingEntry(instId) {
+  const pendingEntry = getPairPendingEntry(instId)
+  // Orders of another trading mode's account are resolved when it's back
+  if (!pendingEntry || pendingEntry.entry.mode !== getTradingMode()) return null
+
+  const { clOrdId, entry } = pendingEntry
+  const order = await getOrder(`${instId}-SWAP`, { clOrdId })
+
+  if (!order || (order.filledSize === 0 && TERMINAL_ORDER_STATES.includes(order.state))) {
+    setPairPendingEntry(instId, null)
+    addLog(`[${instId}] Pending entry ${clOrdId} was not placed - cleared`, 'info')
+    return null
+  }
+
+  if (order.ordType === 'market') {
+    const fill = await confirmFill(instId, order.orderId)
+    setPairPendingEntry(instId, null)
+    addLog(`[${instId}] Recovered entry ${order.orderId} (${clOrdId}) from an interrupted submission`, 'trade')
+    await recordMarketEntry(entry, fill, {
+      tpslAlgoClOrdId: hasProtection(entry) ? entryOrderIds(entry).algoClOrdId : null,
+      simulated: entry.mode !== 'live',
+    })
+    return { status: 'filled', orderId: order.orderId, price: fill.avgPrice }
+  }
+
+  startWorkingOrder(entry, {
+    orderId: order.orderId,
+    contracts: order.size,
+    tpslAlgoClOrdId: hasProtection(entry) ? entryOrderIds(entry).algoClOrdId : null,
+    simulated: entry.mode !== 'live',
+  }, order.price)
+  setPairPendingEntry(instId, null)
+  addLog(`[${instId}] Resumed ${entry.execution.mode} entry ${order.orderId} (${clOrdId}) from an interrupted submission`, 'trade')
+  return { status: 'working', orderId: order.orderId, price: order.price }
+}
+
+/**
+ * Record a filled entry: pair state, local position, trade log and
+ * trailing stop
+ */
+async function recordEntry(entry, fill) {
+  const { instId, side, mode, trade } = entry
+  const tradeConfig = getTradeConfig()
+
+  // Update pair state
+  updatePairState(instId, side)
+
+  // Record trade in state (global)
+  recordTradeState(side, fill.price, fill.margin)
+
+  // Add to active positions
+  addPosition({
+    instId: instId,
+    side: side,
+    size: fill.positionValue,  // Position value
+    margin: fill.margin,       // Actual margin used
+    price: fill.price,
+    orderId: fill.orderId,
+    mode: mode,
+    leverage: entry.leverage,
+    contracts: fill.contracts,
+    takeProfit: entry.protection.takeProfit,
+    stopLoss: entry.protection.stopLoss,
+    tpslAlgoClOrdId: fill.tpslAlgoClOrdId,
+  })
+
+  // Log trade for analysis
+  logTrade({
+    mode: mode,
+    instId: instId,
+    side: side,
+    price: fill.price,
+    margin: fill.margin,
+    positionValue: fill.positionValue,
+    leverage: entry.leverage,
+    ...trade,
+    takeProfit: entry.protection.takeProfit,
+    stopLoss: entry.protection.stopLoss,
+    contracts: fill.contracts,
+    fee: fill.fee,
+    orderState: fill.orderState,
+    execution: fill.execution ?? { mode: 'market' },
+    orderId: fill.orderId,
+  })
+
+  const simText = fill.simulated ? ' (SIM)' : ''
+  addLog(`[${instId}] Order ${fill.orderState}! ${fill.orderId}: ${fill.contracts} contracts @ $${fill.price} | Fee: ${fill.fee}${simText}`, 'trade')
+  if (fill.tpslAlgoClOrdId) {
+    addLog(`[${instId}] TP ${entry.protection.takeProfit ?? '-'} / SL ${entry.protection.stopLoss ?? '-'} attached`, 'trade')
+  }
+
+  // Trailing stops can't be attached to the entry order; place one now
+  // that the position exists. The entry stands even if this fails.
+  if (tradeConfig.trailing.enabled) {
+    try {
+      await setPositionTrail(instId, tradeConfig.trailing)
+    } catch (trailError) {
+      addLog(`[${instId}] Trailing stop failed: ${trailError.message}`, 'error')
+    }
+  }
+}
+
+/**
+ * Add an order's fills to a working entry
+ */
+function addFill(working, contracts, avgPrice, fee) {
+  working.filledContracts += contracts
+  working.filledValue += contracts * avgPrice
+  working.fee = (working.fee || 0) + (fee || 0)
+}
+
+/**
+ * Finish a working entry with whatever filled (abandon it if nothing did)
+ */
+async function completeWorkingOrder(working, outcome) {
+  setWorkingOrder(working.instId, null)
+
+  if (working.filledContracts <= 0) {
+    addLog(`[${working.instId}] ${working.execution.mode} entry abandoned (${outcome}) - nothing filled`, 'info')
+    return
+  }
+
+  const { ctVal } = await getInstrument(working.instId)
+  const price = working.filledValue / working.filledContracts
+  const positionValue = roundUsdt(working.filledContracts * ctVal * price)
+
+  if (working.filledContracts < working.contracts) {
+    addLog(`[${working.instId}] Entry partially filled: ${working.filledContracts}/${working.contracts} contracts (${outcome})`, 'trade')
+  }
+
+  await recordEntry(working, {
+    orderId: working.orderIds[0],
+    contracts: working.filledContracts,
+    price,
+    positionValue,
+    margin: roundUsdt(positionValue / working.leverage),
+    fee: working.fee,
+    orderState: working.filledContracts < working.contracts ? 'partially_filled' : 'filled',
+    // Remainder orders carry their own attached TP/SL; the first one is tracked
+    tpslAlgoClOrdId: working.tpslAlgoClOrdId,
+    simulated: working.simulated,
+    execution: {
+      mode: working.execution.mode,
+      onTimeout: working.execution.onTimeout,
+      outcome,
+      attempts: working.attempts,
+      orderIds: working.orderIds,
+    },
+  })
+}
+
+/**
+ * Deal with a working order that timed out or was canceled, after its
+ * fills were added to the entry
+ */
+async function handleUnfilled(working, reason) {
+  const { instId, execution } = working
+  const { lotSz, minSz, ctVal } = await getInstrument(instId)
+  const remaining = roundToLot(working.contracts - working.filledContracts, lotSz)
+
+  if (remaining < minSz) {
+    return completeWorkingOrder(working, 'filled')
+  }
+
+  if (execution.onTimeout === 'market') {
+    try {
+      // The limit order may have been placed long ago
+      const { last } = await getTicker(instId)
+      const risk = await checkRisk()
+      const exposure = risk.allowed ? await checkExposure(instId, working.side, remaining * ctVal * last) : risk
+      if (!exposure.allowed) {
+        addLog(`[${instId}] ${reason} - market fallback blocked: ${exposure.reason}`, 'info')
+        return completeWorkingOrder(working, 'market_fallback_blocked')
+      }
+
+      const order = await placeMarketOrder(instId, working.side, null, working.leverage, {
+        contracts: remaining,
+        ...entryOrderIds(working, working.orderIds.length),
+        ...working.protection,
+      })
+      working.orderIds.push(order.orderId)
+      const fill = await confirmFill(instId, order.orderId)
+      addFill(working, fill.contracts, fill.avgPrice, fill.fee)
+      working.tpslAlgoClOrdId = working.tpslAlgoClOrdId ?? order.tpslAlgoClOrdId
+      addLog(`[${instId}] ${reason} - ${remaining} contracts bought at market`, 'trade')
+      return completeWorkingOrder(working, 'market_fallback')
+    } catch (err) {
+      addLog(`[${instId}] Market fallback failed: ${err.message}`, 'error')
+      return completeWorkingOrder(working, 'market_fallback_failed')
+    }
+  }
+
+  if (working.attempts > execution.maxRetries) {
+    return completeWorkingOrder(working, 'retries_exhausted')
+  }
+
+  let price
+  let order
+  try {
+    price = execution.onTimeout === 'chase'
+      ? await getLimitPrice(instId, working.side, execution)
+      : working.limitPrice
+    order = await placeWorkingOrder(working, {
+      price,
+      contracts: remaining,
+      leg: working.orderIds.length,
+    })
+  } catch (err) {
+    // The previous order is done and its fills are counted: keep them and
+    // try again on the next check, until the attempts run out
+    const attempts = working.attempts + 1
+    addLog(`[${instId}] ${reason} - re-placing ${remaining} contracts failed (attempt ${attempts}/${execution.maxRetries + 1}): ${err.message}`, 'error')
+    if (attempts > execution.maxRetries) {
+      return completeWorkingOrder({ ...working, attempts }, 'replace_failed')
+    }
+    setWorkingOrder(instId, { ...working, orderId: null, attempts })
+    return
+  }
+  const now = Date.now()
+
+  setWorkingOrder(instId, {
+    ...working,
+    orderId: order.orderId,
+    limitPrice: price,
+    orderContracts: order.contracts,
+    orderIds: [...working.orderIds, order.orderId],
+    tpslAlgoClOrdId: working.tpslAlgoClOrdId ?? order.tpslAlgoClOrdId,
+    attempts: working.attempts + 1,
+    placedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + execution.waitSeconds * 1000).toISOString(),
+  })
+  addLog(`[${instId}] ${reason} - ${execution.onTimeout === 'chase' ? 'chasing' : 'retrying'} ${remaining} contracts @ $${price} (attempt ${working.attempts + 1}/${execution.maxRetries + 1})`, 'trade')
+}
+
+/**
+ * Check one working order: record fills, time it out or move it along
+ */
+async function checkWorkingOrder(working) {
+  const { instId } = working
+
+  // Orders of another trading mode's account are picked up when it's back
+  if (working.mode !== getTradingMode()) return
+
+  // The last re-placement failed. If it reached OKX after all (e.g. the
+  // response was lost), its clOrdId finds it and it is tracked as usual
+  if (!working.orderId) {
+    const { clOrdId } = entryOrderIds(working, working.orderIds.length)
+    const placed = await getOrder(`${instId}-SWAP`, { clOrdId })
+    if (!placed) {
+      return handleUnfilled({ ...working, orderIds: [...working.orderIds] }, `${working.execution.mode} order re-placement`)
+    }
+    const now = Date.now()
+    Object.assign(working, {
+      orderId: placed.orderId,
+      limitPrice: placed.price ?? working.limitPrice,
+      orderContracts: placed.size,
+      orderIds: [...working.orderIds, placed.orderId],
+      placedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + working.execution.waitSeconds * 1000).toISOString(),
+    })
+    setWorkingOrder(instId, working)
+  }
+
+  // Fetching the ticker also fills resting paper orders the price reached
+  await getTicker(instId)
+  let order = await getOrder(`${instId}-SWAP`, { ordId: working.orderId })
+
+  if (order?.state === 'filled') {
+    addFill(working, order.filledSize, order.avgPrice, order.fee)
+    return completeWorkingOrder(working, working.attempts > 1 ? `${working.execution.onTimeout}_filled` : 'filled')
+  }
+
+  const open = order && ['live', 'partially_filled'].includes(order.state)
+  const expired = Date.now() >= new Date(working.expiresAt).getTime()
+  if (open && !expired) return
+
+  let reason = `${working.execution.mode} order canceled`
+  if (open) {
+    reason = `${working.execution.mode} order timed out after ${working.execution.waitSeconds}s`
+    try {
+      await cancelOrder(instId, working.orderId)
+    } catch (err) {
+      // Usually filled in the meantime; the order state below decides
+      console.error(`[EXECUTION] Cancel ${working.orderId} failed:`, err.message)
+    }
+    order = await getOrder(`${instId}-SWAP`, { ordId: working.orderId })
+    if (order && ['live', 'partially_filled'].includes(order.state)) {
+      throw new Error(`Order ${working.orderId} could not be canceled`)
+    }
+  }
+
+  if (order?.filledSize > 0) {
+    addFill(working, order.filledSize, order.avgPrice, order.fee)
+  }
+  if (order?.state === 'filled') {
+    return completeWorkingOrder(working, 'filled')
+  }
+
+  await handleUnfilled({ ...working, orderIds: [...working.orderIds] }, reason)
+}
+
+/**
+ * Check all working orders once
+ */
+export async function checkWorkingOrders() {
+  if (checkInProgress) return
+  checkInProgress = true
+
+  try {
+    for (const working of getWorkingOrders()) {
+      try {
+        await checkWorkingOrder({ ...working })
+      } catch (error) {
+        addLog(`[${working.instId}] Working order check failed: ${error.message}`, 'error')
+      }
+    }
+  } finally {
+    checkInProgress = false
+    if (getWorkingOrders().length === 0) {
+      stopOrderMonitor()
+    }
+  }
+}
+
+/**
+ * Start polling working orders (no-op if there are none or it's running)
+ */
+export function startOrderMonitor() {
+  if (globalThis[MONITOR_KEY] || getWorkingOrders().length === 0) return
+
+  globalThis[MONITOR_KEY] = setInterval(checkWorkingOrders, ORDER_POLL_MS)
+  console.log(`[EXECUTION] Monitoring ${getWorkingOrders().length} working order(s)`)
+}
+
+function stopOrderMonitor() {
+  if (globalThis[MONITOR_KEY]) {
+    clearInterval(globalThis[MONITOR_KEY])
+    globalThis[MONITOR_KEY] = null
+  }
+}
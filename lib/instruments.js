@@ -0,0 +1,191 @@
+/**
+ * Instrument Metadata
+ *
+ * Caches OKX perpetual (SWAP) instrument specs - contract value, lot size,
+ * minimum size, tick size, max leverage and trading state - so orders don't
+ * fetch them every time. The whole list is fetched in one request and
+ * refreshed every INSTRUMENT_TTL_MS in the background (and on lookup if it
+ * is older than that); if a refresh fails the previous list keeps being used.
+ * IDs OKX doesn't list are remembered for MISS_TTL_MS, so looking them up
+ * again doesn't refetch the list each time.
+ *
+ * Also converts a USDT notional into a valid contract count.
+ */
+
+import { getInstruments } from '@/lib/okxClient'
+
+// Specs rarely change; refresh hourly to pick up lot size or state changes
+const INSTRUMENT_TTL_MS = 60 * 60 * 1000
+
+// How long an unknown instId is answered from cache; new listings show up after this
+const MISS_TTL_MS = 5 * 60 * 1000
+const MAX_MISSES = 1000
+
+// Cache lives on globalThis so every module instance shares one fetch
+const CACHE_KEY = Symbol.for('okx-bot.instruments')
+
+function getCache() {
+  if (!globalThis[CACHE_KEY]) {
+    globalThis[CACHE_KEY] = { byInstId: new Map(), updatedAt: 0, refreshing: null, misses: new Map(), timer: null }
+  }
+  return globalThis[CACHE_KEY]
+}
+
+/**
+ * Number of decimals of a size/price increment (0.001 -> 3)
+ */
+function stepDecimals(step) {
+  const text = String(step)
+  if (text.includes('e-')) return parseInt(text.split('e-')[1], 10)
+  return text.includes('.') ? text.split('.')[1].length : 0
+}
+
+/**
+ * Keep refreshing in the background once the list has been loaded
+ */
+function scheduleRefresh(cache) {
+  if (cache.timer) return
+  cache.timer = setInterval(() => {
+    refreshInstruments().catch(err => {
+      console.error('[INSTRUMENTS] Scheduled refresh failed:', err.message)
+    })
+  }, INSTRUMENT_TTL_MS)
+  // Don't keep the process alive just for this
+  cache.timer.unref?.()
+}
+
+/**
+ * Refetch all SWAP instruments
+ */
+export async function refreshInstruments() {
+  const cache = getCache()
+
+  // Concurrent callers share one request
+  if (!cache.refreshing) {
+    cache.refreshing = getInstruments('SWAP')
+      .then(instruments => {
+        cache.byInstId = new Map(instruments.map(inst => [inst.instId, inst]))
+        cache.updatedAt = Date.now()
+        cache.misses.clear()
+        console.log(`[INSTRUMENTS] Loaded ${instruments.length} SWAP instruments`)
+        scheduleRefresh(cache)
+      })
+      .finally(() => {
+        cache.refreshing = null
+      })
+  }
+
+  await cache.refreshing
+}
+
+/**
+ * Look up the specs of a perpetual contract
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT' or 'BTC-USDT-SWAP')
+ * @returns {Object|null} - Specs, or null if OKX doesn't list the contract
+ */
+export async function findInstrument(instId) {
+  const actualInstId = instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+  const cache = getCache()
+  const now = Date.now()
+  const recentMiss = now - (cache.misses.get(actualInstId) || 0) < MISS_TTL_MS
+
+  if (now - cache.updatedAt > INSTRUMENT_TTL_MS || (!cache.byInstId.has(actualInstId) && !recentMiss)) {
+    try {
+      await refreshInstruments()
+    } catch (err) {
+      if (cache.byInstId.size === 0) throw err
+      console.error('[INSTRUMENTS] Refresh failed, using cached specs:', err.message)
+    }
+  }
+
+  const instrument = cache.byInstId.get(actualInstId)
+  if (!instrument && !recentMiss) {
+    // IDs come from requests too; don't let made-up ones pile up
+    if (cache.misses.size >= MAX_MISSES) cache.misses.clear()
+    cache.misses.set(actualInstId, Date.now())
+  }
+  return instrument || null
+}
+
+/**
+ * Get the specs of a perpetual contract
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT' or 'BTC-USDT-SWAP')
+ * @returns {Object} - { instId, ctVal, lotSz, minSz, tickSz, maxLever, state, ... }
+ */
+export async function getInstrument(instId) {
+  const instrument = await findInstrument(instId)
+  if (!instrument) {
+    throw new Error(`Unknown instrument ${instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`}`)
+  }
+  return instrument
+}
+
+/**
+ * Round a contract count down to the instrument's lot size
+ */
+export function roundToLot(contracts, lotSz) {
+  const decimals = stepDecimals(lotSz)
+  // The epsilon keeps e.g. 0.3 / 0.1 = 2.9999999999999996 from losing a lot
+  const lots = Math.floor(contracts / lotSz + 1e-9)
+  return parseFloat((lots * lotSz).toFixed(decimals))
+}
+
+/**
+ * Reject orders on instruments that aren't trading or above max leverage
+ */
+function assertTradable(instrument, leverage) {
+  if (instrument.state !== 'live') {
+    throw new Error(`${instrument.instId} is not trading (state: ${instrument.state})`)
+  }
+  if (leverage > instrument.maxLever) {
+    throw new Error(`${leverage}x exceeds the maximum leverage of ${instrument.maxLever}x for ${instrument.instId}`)
+  }
+}
+
+/**
+ * Convert a USDT notional into a contract count for an order
+ *
+ * Rounds down to the lot size and rejects (rather than upsizing) orders
+ * below the minimum size, as well as instruments that aren't trading and
+ * leverage above the instrument's maximum.
+ *
+ * @param {Object} instrument - Specs from getInstrument()
+ * @param {number} notional - Order value in USDT
+ * @param {number} price - Current price
+ * @param {number} leverage - Requested leverage
+ * @returns {number} - Contracts
+ */
+export function contractsForNotional(instrument, notional, price, leverage = 1) {
+  assertTradable(instrument, leverage)
+
+  const contractValue = price * instrument.ctVal
+  const contracts = roundToLot(notional / contractValue, instrument.lotSz)
+
+  if (contracts < instrument.minSz) {
+    const minNotional = instrument.minSz * contractValue
+    throw new Error(`${notional} USDT is below the minimum order size for ${instrument.instId} (${instrument.minSz} contracts ≈ ${minNotional.toFixed(2)} USDT)`)
+  }
+
+  return contracts
+}
+
+/**
+ * Validate a contract count for an order (e.g. the unfilled rest of one)
+ *
+ * @param {Object} instrument - Specs from getInstrument()
+ * @param {number} contracts - Requested contracts
+ * @param {number} leverage - Requested leverage
+ * @returns {number} - Contracts rounded down to the lot size
+ */
+export function contractsForSize(instrument, contracts, leverage = 1) {
+  assertTradable(instrument, leverage)
+
+  const rounded = roundToLot(contracts, instrument.lotSz)
+  if (rounded < instrument.minSz) {
+    throw new Error(`${contracts} contracts is below the minimum order size for ${instrument.instId} (${instrument.minSz})`)
+  }
+
+  return rounded
+}
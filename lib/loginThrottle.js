@@ -0,0 +1,88 @@
+/**
+ * Failed Login Throttling
+ *
+ * After MAX_FAILED_LOGINS within FAILED_LOGIN_WINDOW_MS further attempts
+ * are refused until the window has passed.
+ *
+ * Failures are counted per username and client address, so one client
+ * guessing passwords doesn't lock the same user out everywhere else. When
+ * the address isn't known (see lib/session.js getTrustedClientIp) they are
+ * counted per username only - never in one bucket shared by every client,
+ * which anyone could fill to lock out all users.
+ *
+ * Plain module without '@/' imports so `npm test` can load it directly.
+ */
+
+const MAX_FAILED_LOGINS = 5
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000
+
+// Usernames are attacker-chosen: past this many tracked keys, expired ones are dropped
+const MAX_TRACKED_KEYS = 10000
+
+// Failed attempts live on globalThis so a dev hot-reload doesn't reset them
+const THROTTLE_KEY = Symbol.for('okx-bot.loginThrottle')
+
+function getFailedLogins() {
+  if (!globalThis[THROTTLE_KEY]) {
+    globalThis[THROTTLE_KEY] = new Map()  // throttle key -> [attempt times]
+  }
+  return globalThis[THROTTLE_KEY]
+}
+
+/**
+ * Throttle key of a login attempt
+ *
+ * @param {string} username - Username as submitted
+ * @param {string|null} clientIp - Client address, or null if unknown
+ */
+export function getLoginThrottleKey(username, clientIp) {
+  const user = String(username ?? '').slice(0, 64).toLowerCase()
+  return clientIp ? `${user}@${clientIp}` : `${user}@*`
+}
+
+function recentFailures(key) {
+  const cutoff = Date.now() - FAILED_LOGIN_WINDOW_MS
+  const attempts = (getFailedLogins().get(key) || []).filter(time => time > cutoff)
+  if (attempts.length > 0) {
+    getFailedLogins().set(key, attempts)
+  } else {
+    getFailedLogins().delete(key)
+  }
+  return attempts
+}
+
+/**
+ * Drop keys whose failures have all expired
+ */
+function pruneFailedLogins() {
+  const cutoff = Date.now() - FAILED_LOGIN_WINDOW_MS
+  for (const [key, attempts] of getFailedLogins()) {
+    if (attempts[attempts.length - 1] <= cutoff) getFailedLogins().delete(key)
+  }
+}
+
+/**
+ * Seconds until a throttled key may try again (0 = not throttled)
+ */
+export function getLoginRetryAfter(key) {
+  const attempts = recentFailures(key)
+  if (attempts.length < MAX_FAILED_LOGINS) return 0
+  return Math.ceil((attempts[0] + FAILED_LOGIN_WINDOW_MS - Date.now()) / 1000)
+}
+
+/**
+ * Record a login attempt (a success clears the key's failures)
+ */
+export function recordLoginAttempt(key, success) {
+  if (success) {
+    getFailedLogins().delete(key)
+    return
+  }
+  if (getFailedLogins().size >= MAX_TRACKED_KEYS) pruneFailedLogins()
+  // Still full: forget the oldest keys (Maps iterate in insertion order)
+  for (const oldest of getFailedLogins().keys()) {
+    if (getFailedLogins().size < MAX_TRACKED_KEYS) break
+    getFailedLogins().delete(oldest)
+  }
+  getFailedLogins().set(key, [...recentFailures(key), Date.now()])
+}
@@ -0,0 +1,38 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { getLoginThrottleKey, getLoginRetryAfter, recordLoginAttempt } from './loginThrottle.js'
+
+beforeEach(() => {
+  globalThis[Symbol.for('okx-bot.loginThrottle')] = new Map()
+})
+
+function failLogins(key, count) {
+  for (let i = 0; i < count; i++) recordLoginAttempt(key, false)
+}
+
+test('locks a username out of the client that failed', () => {
+  const key = getLoginThrottleKey('admin', '203.0.113.7')
+  failLogins(key, 4)
+  assert.equal(getLoginRetryAfter(key), 0)
+  failLogins(key, 1)
+  assert.ok(getLoginRetryAfter(key) > 0)
+})
+
+test('failures from one client do not block another', () => {
+  failLogins(getLoginThrottleKey('admin', '203.0.113.7'), 5)
+  assert.ok(getLoginRetryAfter(getLoginThrottleKey('admin', '203.0.113.7')) > 0)
+  assert.equal(getLoginRetryAfter(getLoginThrottleKey('admin', '198.51.100.20')), 0)
+})
+
+test('without a client address failures only count against that username', () => {
+  failLogins(getLoginThrottleKey('admin', null), 5)
+  assert.ok(getLoginRetryAfter(getLoginThrottleKey('admin', null)) > 0)
+  assert.equal(getLoginRetryAfter(getLoginThrottleKey('operator', null)), 0)
+})
+
+test('a successful login clears the failures', () => {
+  const key = getLoginThrottleKey('admin', '203.0.113.7')
+  failLogins(key, 5)
+  recordLoginAttempt(key, true)
+  assert.equal(getLoginRetryAfter(key), 0)
+})
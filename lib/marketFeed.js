@@ -0,0 +1,287 @@
+/**
+ * OKX Public WebSocket Feed
+ *
+ * Streams market data for the trading pairs from OKX's public WebSocket
+ * channels into an in-memory cache, so cycles and dashboard polls read the
+ * latest values instead of calling REST for every pair:
+ * - 'tickers' and 'mark-price' on /ws/v5/public
+ * - 'candle<bar>' on /ws/v5/business (the candle channels live there)
+ *
+ * Connections (lib/okxSocket.js) ping when silent and reconnect with
+ * backoff, subscribing to their channels again. Cached data is only served
+ * while its connection is up and it was received on that connection;
+ * otherwise the callers in lib/okxClient.js and lib/candleStore.js fall
+ * back to REST.
+ *
+ * Every streamed ticker also marks the paper account (resting orders, TP/SL,
+ * trailing stops, liquidation) and the local positions, so they follow the
+ * market between cycles without anything polling getTicker().
+ *
+ * Set MARKET_FEED_ENABLED=false to use REST only.
+ */
+
+import {
+  createConnection,
+  openConnection,
+  closeConnection,
+  sendMessage,
+  describeConnection,
+} from '@/lib/okxSocket'
+import { publishEvent, TICKER_EVENT_MS } from '@/lib/events'
+import { isPaperTradingMode } from '@/lib/okxClient'
+import { updatePaperPrice } from '@/lib/paperBroker'
+import { updateMarketPrice } from '@/lib/state'
+
+// Public market data is the same in every trading mode (REST uses it too)
+const PUBLIC_URL = process.env.OKX_WS_PUBLIC_URL || 'wss://ws.okx.com:8443/ws/v5/public'
+const BUSINESS_URL = process.env.OKX_WS_BUSINESS_URL || 'wss://ws.okx.com:8443/ws/v5/business'
+
+// Confirmed bars kept per series until the candle store picks them up
+const STREAMED_BARS = 10
+
+// Connections and cache live on globalThis so a dev hot-reload of this
+// module doesn't open a second set of sockets
+const FEED_KEY = Symbol.for('okx-bot.marketFeed')
+
+function getFeed() {
+  if (!globalThis[FEED_KEY]) {
+    const handlers = { onOpen: subscribeAll, onMessage: handleMessage }
+    globalThis[FEED_KEY] = {
+      started: false,
+      instIds: [],
+      bar: null,
+      connections: {
+        public: createConnection('public', PUBLIC_URL, handlers),
+        business: createConnection('business', BUSINESS_URL, handlers),
+      },
+      args: { public: [], business: [] },  // Channels per connection
+      tickers: new Map(),     // instId -> { ticker, receivedAt }
+      markPrices: new Map(),  // instId -> { markPrice, receivedAt }
+      candles: new Map(),     // `${instId}_${bar}` -> { forming, confirmed: [], receivedAt }
+      tickerEventAt: new Map(), // instId -> last ticker event published
+    }
+  }
+  return globalThis[FEED_KEY]
+}
+
+/**
+ * Check if the market feed is enabled (MARKET_FEED_ENABLED, default true)
+ */
+export function isMarketFeedEnabled() {
+  return process.env.MARKET_FEED_ENABLED !== 'false'
+}
+
+function argKey(arg) {
+  return `${arg.channel}:${arg.instId}`
+}
+
+/**
+ * Subscribe a (re)opened connection to its channels
+ */
+function subscribeAll(conn) {
+  const args = getFeed().args[conn.name]
+  if (args.length > 0) {
+    sendMessage(conn, { op: 'subscribe', args })
+  }
+}
+
+/**
+ * Handle a subscription event or data push
+ */
+function handleMessage(conn, message) {
+  if (message.event === 'error') {
+    console.error(`[FEED] ${conn.name}: ${message.msg} (code: ${message.code})`)
+    return
+  }
+  if (message.event || !message.data) return
+
+  const feed = getFeed()
+  const { channel, instId } = message.arg
+  const receivedAt = Date.now()
+
+  if (channel === 'tickers') {
+    const t = message.data[0]
+    feed.tickers.set(instId, {
+      ticker: {
+        instId: t.instId,
+        last: parseFloat(t.last),
+        bid: parseFloat(t.bidPx),
+        ask: parseFloat(t.askPx),
+        high24h: parseFloat(t.high24h),
+        low24h: parseFloat(t.low24h),
+        volume24h: parseFloat(t.vol24h),
+      },
+      receivedAt,
+    })
+    applyTicker(feed, instId, receivedAt)
+  } else if (channel === 'mark-price') {
+    feed.markPrices.set(instId, { markPrice: parseFloat(message.data[0].markPx), receivedAt })
+  } else if (channel.startsWith('candle')) {
+    storeCandles(feed, instId, channel.slice('candle'.length), message.data, receivedAt)
+  }
+}
+
+/**
+ * Apply a pair's new ticker
+ *
+ * The paper broker sees every tick so triggers fire at the price that
+ * crossed them; local positions and dashboard stream clients are updated
+ * at most every TICKER_EVENT_MS per pair.
+ */
+function applyTicker(feed, instId, receivedAt) {
+  const { ticker } = feed.tickers.get(instId)
+  if (!(ticker.last > 0)) return
+
+  if (isPaperTradingMode()) {
+    updatePaperPrice(instId, ticker.last)
+  }
+
+  if (receivedAt - (feed.tickerEventAt.get(instId) || 0) < TICKER_EVENT_MS) return
+  feed.tickerEventAt.set(instId, receivedAt)
+  updateMarketPrice(instId, ticker.last)
+  publishEvent('ticker', ticker)
+}
+
+/**
+ * Keep the forming bar and the last few confirmed bars of a series
+ */
+function storeCandles(feed, instId, bar, rows, receivedAt) {
+  const key = `${instId}_${bar}`
+  const series = feed.candles.get(key) || { forming: null, confirmed: [], receivedAt }
+  series.receivedAt = receivedAt
+
+  // [ts, open, high, low, close, vol, volCcy, volCcyQuote, confirm]
+  for (const row of rows) {
+    const candle = {
+      timestamp: parseInt(row[0]),
+      open: parseFloat(row[1]),
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+      volume: parseFloat(row[5]),
+      confirm: row[8] === '1',
+    }
+    if (candle.confirm) {
+      series.confirmed = [...series.confirmed.filter(c => c.timestamp !== candle.timestamp), candle]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-STREAMED_BARS)
+      if (series.forming?.timestamp === candle.timestamp) series.forming = null
+    } else {
+      series.forming = candle
+    }
+  }
+
+  feed.candles.set(key, series)
+}
+
+/**
+ * Point a connection at a new set of channels
+ */
+function setConnectionArgs(conn, args) {
+  const feed = getFeed()
+  const previous = new Map(feed.args[conn.name].map(arg => [argKey(arg), arg]))
+  const next = new Map(args.map(arg => [argKey(arg), arg]))
+  const removed = [...previous.keys()].filter(key => !next.has(key)).map(key => previous.get(key))
+  const added = [...next.keys()].filter(key => !previous.has(key)).map(key => next.get(key))
+
+  feed.args[conn.name] = args
+
+  if (conn.connected) {
+    if (removed.length > 0) sendMessage(conn, { op: 'unsubscribe', args: removed })
+    if (added.length > 0) sendMessage(conn, { op: 'subscribe', args: added })
+  } else if (args.length > 0) {
+    openConnection(conn)
+  }
+}
+
+/**
+ * Subscribe the feed to a set of pairs and a candle timeframe
+ *
+ * Starts the connections on the first call; later calls (e.g. after the
+ * timeframe changed) only swap the subscriptions.
+ *
+ * @param {string[]} instIds - Instrument IDs (e.g., ['BTC-USDT'])
+ * @param {string} bar - Candle timeframe (e.g., '1m')
+ */
+export function subscribeMarketFeed(instIds, bar) {
+  if (!isMarketFeedEnabled()) return
+
+  const feed = getFeed()
+  const changed = !feed.started || feed.bar !== bar || feed.instIds.join() !== instIds.join()
+  feed.started = true
+  feed.instIds = [...instIds]
+  feed.bar = bar
+  if (!changed) return
+
+  setConnectionArgs(feed.connections.public, instIds.flatMap(instId => [
+    { channel: 'tickers', instId },
+    { channel: 'mark-price', instId: `${instId}-SWAP` },
+  ]))
+  setConnectionArgs(feed.connections.business, instIds.map(instId => ({ channel: `candle${bar}`, instId })))
+  console.log(`[FEED] Subscribed ${instIds.length} pairs (${bar} candles)`)
+}
+
+/**
+ * Close both connections and stop reconnecting
+ */
+export function stopMarketFeed() {
+  const feed = getFeed()
+  feed.started = false
+  for (const conn of Object.values(feed.connections)) {
+    closeConnection(conn)
+  }
+}
+
+/**
+ * Cached entry if its connection is up and it arrived on that connection
+ */
+function fresh(conn, entry) {
+  return entry && conn.connected && entry.receivedAt >= conn.connectedAt ? entry : null
+}
+
+/**
+ * Get the streamed ticker of a pair
+ *
+ * @returns {Object|null} - Same shape as okxClient.getTicker(), or null when not streamed
+ */
+export function getCachedTicker(instId) {
+  const feed = getFeed()
+  return fresh(feed.connections.public, feed.tickers.get(instId))?.ticker ?? null
+}
+
+/**
+ * Get the streamed mark price of a pair's perpetual contract
+ *
+ * @returns {number|null}
+ */
+export function getCachedMarkPrice(instId) {
+  const feed = getFeed()
+  const actualInstId = instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+  return fresh(feed.connections.public, feed.markPrices.get(actualInstId))?.markPrice ?? null
+}
+
+/**
+ * Get the confirmed bars streamed for a series
+ *
+ * @returns {Object[]|null} - Confirmed candles (oldest first), or null when not streamed
+ */
+export function getStreamedCandles(instId, bar) {
+  const feed = getFeed()
+  const series = fresh(feed.connections.business, feed.candles.get(`${instId}_${bar}`))
+  return series ? series.confirmed : null
+}
+
+/**
+ * Connection status for the dashboard and /api/market
+ */
+export function getFeedStatus() {
+  const feed = getFeed()
+  return {
+    enabled: isMarketFeedEnabled(),
+    started: feed.started,
+    instIds: feed.instIds,
+    bar: feed.bar,
+    public: { ...describeConnection(feed.connections.public), channels: feed.args.public.length },
+    business: { ...describeConnection(feed.connections.business), channels: feed.args.business.length },
+  }
+}
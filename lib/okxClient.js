@@ -9,10 +9,29 @@
  * Demo Trading:
  * - Set OKX_DEMO_MODE=true in .env or use setDemoMode(true)
  * - Uses x-simulated-trading header for paper trading
+ * 
+ * Paper Trading:
+ * - Set OKX_PAPER_TRADING=true in .env or use setPaperTradingMode(true)
+ * - Private calls go to the local paper broker (lib/paperBroker.js);
+ *   only public market data is fetched from OKX, no API keys needed
  */
 
 import crypto from 'crypto'
 import https from 'https'
+import {
+  placePaperOrder,
+  getPaperOrder,
+  cancelPaperOrder,
+  getPaperPositions,
+  getPaperBalance,
+  updatePaperPrice,
+  placePaperAlgo,
+  getPaperAlgo,
+  cancelPaperAlgo,
+} from '@/lib/paperBroker'
+import { getInstrument, contractsForNotional, contractsForSize } from '@/lib/instruments'
+import { getCachedTicker, getCachedMarkPrice } from '@/lib/marketFeed'
+import { getStreamedPositions, getStreamedOrder } from '@/lib/accountFeed'
 
 // OKX API base URL
 const BASE_URL = 'https://www.okx.com'
@@ -21,7 +40,8 @@ const BASE_URL = 'https://www.okx.com'
 let demoMode = process.env.OKX_DEMO_MODE === 'true'
 
 // Paper trading mode - simulates trades locally without calling OKX API
-let paperTradingMode = true // Default to paper trading for safety
+// (takes precedence over demo mode)
+let paperTradingMode = process.env.OKX_PAPER_TRADING === 'true'
 
 // Rate limiting configuration
 const MIN_REQUEST_INTERVAL = 100 // Minimum 100ms between requests
@@ -59,6 +79,15 @@ export function isPaperTradingMode() {
   return paperTradingMode
 }
 
+/**
+ * Get the active trading mode: 'paper', 'demo' or 'live'
+ * (recorded as the `mode` of positions and trades)
+ */
+export function getTradingMode() {
+  if (paperTradingMode) return 'paper'
+  return demoMode ? 'demo' : 'live'
+}
+
 // Create a custom HTTPS agent to handle SSL issues in some environments
 const httpsAgent = new https.Agent({
   rejectUnauthorized: process.env.NODE_ENV === 'production'
@@ -78,30 +107,41 @@ async function waitForRateLimit() {
   lastRequestTime = Date.now()
 }
 
+/**
+ * Check if an error is an OKX rate limit (the request was rejected)
+ */
+function isRateLimitError(error) {
+  return error.message?.includes('Too many requests') || 
+         error.message?.includes('rate limit') ||
+         error.message?.includes('50011')
+}
+
 /**
  * Retry wrapper with exponential backoff
+ * 
+ * Only rate-limit errors are retried by default. `retryable` widens that;
+ * callers doing so must make sure a retry can't repeat a side effect
+ * (see submitOrder). fn receives the attempt number (0 = first try).
  */
-async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
+async function withRetry(fn, maxRetries = 3, baseDelay = 1000, { retryable = isRateLimitError } = {}) {
   let lastError
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       await waitForRateLimit()
-      return await fn()
+      return await fn(attempt)
     } catch (error) {
       lastError = error
       
-      // Check if it's a rate limit error
-      const isRateLimit = error.message?.includes('Too many requests') || 
-                          error.message?.includes('rate limit') ||
-                          error.message?.includes('50011')
+      if (!retryable(error)) {
+        throw error // Don't retry errors the caller can't safely repeat
+      }
       
-      if (isRateLimit && attempt < maxRetries - 1) {
+      if (attempt < maxRetries - 1) {
         const delay = baseDelay * Math.pow(2, attempt) // Exponential backoff
-        console.log(`Rate limited, waiting ${delay}ms before retry ${attempt + 1}/${maxRetries}`)
+        const reason = isRateLimitError(error) ? 'Rate limited' : `Request failed (${error.message})`
+        console.log(`${reason}, waiting ${delay}ms before retry ${attempt + 1}/${maxRetries}`)
         await new Promise(resolve => setTimeout(resolve, delay))
-      } else if (!isRateLimit) {
-        throw error // Don't retry non-rate-limit errors
       }
     }
   }
@@ -205,6 +245,23 @@ function generateSignature(timestamp, method, requestPath, body = '') {
   return signature
 }
 
+/**
+ * Build the login request arguments for the private WebSocket
+ * (signs timestamp + 'GET' + '/users/self/verify' with the mode's secret)
+ * 
+ * @returns {Object} - { apiKey, passphrase, timestamp, sign }
+ */
+export function getWebSocketLogin() {
+  const { apiKey, passphrase } = getCredentials()
+  const timestamp = Math.floor(Date.now() / 1000).toString()  // Unix seconds, unlike REST
+  return {
+    apiKey,
+    passphrase,
+    timestamp,
+    sign: generateSignature(timestamp, 'GET', '/users/self/verify'),
+  }
+}
+
 /**
  * Get authentication headers for private endpoints
  * Uses different credentials for Demo vs Live mode
@@ -242,12 +299,30 @@ function getAuthHeaders(method, requestPath, body = '') {
   return headers
 }
 
+/**
+ * Parse OKX candle rows (newest first) into candle objects (oldest first)
+ */
+function parseCandles(rows) {
+  // OKX returns: [timestamp, open, high, low, close, vol, volCcy, volCcyQuote, confirm]
+  // We need to reverse because OKX returns newest first
+  // confirm is '0' for the still-forming bar and '1' once the bar has closed
+  return [...rows].reverse().map(candle => ({
+    timestamp: parseInt(candle[0]),
+    open: parseFloat(candle[1]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    close: parseFloat(candle[4]),
+    volume: parseFloat(candle[5]),
+    confirm: candle[8] === '1',
+  }))
+}
+
 /**
  * Fetch market candles (public endpoint - no auth required)
  * 
  * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
  * @param {string} bar - Candle timeframe (e.g., '1m', '5m', '1H')
- * @param {number} limit - Number of candles to fetch
+ * @param {number} limit - Number of candles to fetch (max 300)
  */
 export async function getCandles(instId = 'BTC-USDT', bar = '1m', limit = 100) {
   const endpoint = `/api/v5/market/candles?instId=${instId}&bar=${bar}&limit=${limit}`
@@ -261,25 +336,55 @@ export async function getCandles(instId = 'BTC-USDT', bar = '1m', limit = 100) {
       throw new Error(`OKX API error: ${data.msg} (code: ${data.code})`)
     }
     
-    // OKX returns: [timestamp, open, high, low, close, vol, volCcy, volCcyQuote, confirm]
-    // We need to reverse because OKX returns newest first
-    return data.data.reverse().map(candle => ({
-      timestamp: parseInt(candle[0]),
-      open: parseFloat(candle[1]),
-      high: parseFloat(candle[2]),
-      low: parseFloat(candle[3]),
-      close: parseFloat(candle[4]),
-      volume: parseFloat(candle[5]),
-    }))
+    return parseCandles(data.data)
+  })
+}
+
+/**
+ * Fetch historical candles (public endpoint - no auth required)
+ * 
+ * Pages backwards through history: pass the oldest timestamp of the
+ * previous page as `after` to get the page before it.
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} bar - Candle timeframe (e.g., '1m', '5m', '1H')
+ * @param {Object} options - { after, before, limit } (limit max 100)
+ */
+export async function getHistoryCandles(instId = 'BTC-USDT', bar = '1m', { after, before, limit = 100 } = {}) {
+  let endpoint = `/api/v5/market/history-candles?instId=${instId}&bar=${bar}&limit=${limit}`
+  if (after) endpoint += `&after=${after}`
+  if (before) endpoint += `&before=${before}`
+  const url = BASE_URL + endpoint
+  
+  return withRetry(async () => {
+    const response = await secureFetch(url)
+    const data = await response.json()
+    
+    if (data.code !== '0') {
+      throw new Error(`OKX API error: ${data.msg} (code: ${data.code})`)
+    }
+    
+    return parseCandles(data.data)
   })
 }
 
 /**
  * Get current ticker price (public endpoint)
  * 
+ * Served from the WebSocket feed (lib/marketFeed.js) while it streams the
+ * pair, otherwise fetched over REST.
+ * 
  * @param {string} instId - Instrument ID
  */
 export async function getTicker(instId = 'BTC-USDT') {
+  const cached = getCachedTicker(instId)
+  if (cached) {
+    if (paperTradingMode) {
+      updatePaperPrice(instId, cached.last)
+    }
+    return cached
+  }
+  
   const endpoint = `/api/v5/market/ticker?instId=${instId}`
   const url = BASE_URL + endpoint
   
@@ -291,6 +396,11 @@ export async function getTicker(instId = 'BTC-USDT') {
       throw new Error(`OKX API error: ${data.msg} (code: ${data.code})`)
     }
     
+    // Paper positions are marked (and their TP/SL triggered) on every ticker
+    if (paperTradingMode) {
+      updatePaperPrice(instId, parseFloat(data.data[0].last))
+    }
+    
     return {
       instId: data.data[0].instId,
       last: parseFloat(data.data[0].last),
@@ -303,6 +413,68 @@ export async function getTicker(instId = 'BTC-USDT') {
   })
 }
 
+/**
+ * Get the mark price of a pair's perpetual contract (public endpoint)
+ * 
+ * Served from the WebSocket feed while it streams the pair, otherwise
+ * fetched over REST.
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @returns {number}
+ */
+export async function getMarkPrice(instId = 'BTC-USDT') {
+  const cached = getCachedMarkPrice(instId)
+  if (cached) return cached
+  
+  const actualInstId = instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+  const endpoint = `/api/v5/public/mark-price?instType=SWAP&instId=${actualInstId}`
+  const url = BASE_URL + endpoint
+  
+  return withRetry(async () => {
+    const response = await secureFetch(url)
+    const data = await response.json()
+    
+    if (data.code !== '0') {
+      throw new Error(`OKX API error: ${data.msg} (code: ${data.code})`)
+    }
+    
+    return parseFloat(data.data[0].markPx)
+  })
+}
+
+/**
+ * Fetch instrument metadata (public endpoint)
+ * 
+ * Use lib/instruments.js for cached lookups.
+ * 
+ * @param {string} instType - Instrument type (e.g., 'SWAP')
+ * @returns {Object[]} - [{ instId, ctVal, lotSz, minSz, tickSz, maxLever, state }]
+ */
+export async function getInstruments(instType = 'SWAP') {
+  const endpoint = `/api/v5/public/instruments?instType=${instType}`
+  const url = BASE_URL + endpoint
+  
+  return withRetry(async () => {
+    const response = await secureFetch(url)
+    const data = await response.json()
+    
+    if (data.code !== '0') {
+      throw new Error(`OKX API error: ${data.msg} (code: ${data.code})`)
+    }
+    
+    return data.data.map(inst => ({
+      instId: inst.instId,
+      ctVal: parseFloat(inst.ctVal),       // Contract value (e.g., 0.01 BTC)
+      ctValCcy: inst.ctValCcy,
+      lotSz: parseFloat(inst.lotSz),       // Order size increment (contracts)
+      minSz: parseFloat(inst.minSz),       // Minimum order size (contracts)
+      tickSz: parseFloat(inst.tickSz),     // Price increment
+      maxLever: parseFloat(inst.lever),    // Maximum leverage
+      state: inst.state,                   // 'live', 'suspend', 'preopen', ...
+    }))
+  })
+}
+
 /**
  * Get account configuration
  */
@@ -340,7 +512,7 @@ let accountModeSet = false
 async function ensureAccountMode() {
   if (accountModeSet) return true
   
-  const mode = demoMode ? 'DEMO' : 'LIVE'
+  const mode = getTradingMode().toUpperCase()
   
   // First check current account config
   const config = await getAccountConfig()
@@ -393,7 +565,7 @@ async function ensureAccountMode() {
  * posMode: 'long_short_mode' for hedge mode, 'net_mode' for one-way mode
  */
 async function setPositionMode(posMode = 'net_mode') {
-  const mode = demoMode ? 'DEMO' : 'LIVE'
+  const mode = getTradingMode().toUpperCase()
   const requestPath = '/api/v5/account/set-position-mode'
   const url = BASE_URL + requestPath
   
@@ -432,7 +604,7 @@ async function setPositionMode(posMode = 'net_mode') {
  * @param {string} mgnMode - Margin mode: 'cross' or 'isolated'
  */
 async function setLeverage(instId, lever, mgnMode = 'cross') {
-  const mode = demoMode ? 'DEMO' : 'LIVE'
+  const mode = getTradingMode().toUpperCase()
   
   const requestPath = '/api/v5/account/set-leverage'
   const url = BASE_URL + requestPath
@@ -473,6 +645,244 @@ async function setLeverage(instId, lever, mgnMode = 'cross') {
   }
 }
 
+/**
+ * Generate a client ID for TP/SL algo orders (alphanumeric, max 32 chars)
+ */
+function generateAlgoClOrdId() {
+  return `tpsl${Date.now()}${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Generate a client order ID for orders without a caller-supplied one
+ * (alphanumeric, max 32 chars)
+ */
+function generateClOrdId(prefix) {
+  return `${prefix}${Date.now()}${Math.random().toString(36).slice(2, 8)}`
+}
+
+// An order POST that hasn't answered by then is treated as lost
+const ORDER_REQUEST_TIMEOUT_MS = 10000
+
+/**
+ * Submit an order so that retries can't place it twice
+ * 
+ * The order must carry a clOrdId. Rate-limited requests were rejected by
+ * OKX and are simply sent again. Network errors, timeouts and unreadable
+ * responses are ambiguous - OKX may have accepted the order - so before
+ * sending again the order is looked up by its clOrdId and returned if it
+ * exists. An ambiguous failure on the last attempt is thrown with
+ * `error.ambiguous` set.
+ * 
+ * @param {Object} orderBody - /api/v5/trade/order body with clOrdId
+ * @param {string} errorLabel - Prefix for OKX error messages
+ * @returns {Object} - { ordId, clOrdId }
+ */
+async function submitOrder(orderBody, errorLabel) {
+  const requestPath = '/api/v5/trade/order'
+  const url = BASE_URL + requestPath
+  const bodyString = JSON.stringify(orderBody)
+  
+  return withRetry(async (attempt) => {
+    if (attempt > 0) {
+      let existing
+      try {
+        existing = await getOrder(orderBody.instId, { clOrdId: orderBody.clOrdId })
+      } catch (error) {
+        error.ambiguous = true // Still unknown whether the order exists
+        throw error
+      }
+      if (existing) {
+        console.log(`[ORDER] ${orderBody.clOrdId} was accepted before the retry: ${existing.orderId}`)
+        return { ordId: existing.orderId, clOrdId: orderBody.clOrdId }
+      }
+    }
+    
+    let data
+    try {
+      const response = await secureFetch(url, {
+        method: 'POST',
+        headers: getAuthHeaders('POST', requestPath, bodyString),
+        body: bodyString,
+        signal: AbortSignal.timeout(ORDER_REQUEST_TIMEOUT_MS),
+      })
+      data = await response.json()
+    } catch (error) {
+      error.ambiguous = true
+      throw error
+    }
+    
+    if (data.code !== '0') {
+      throw new Error(`${errorLabel}: ${data.msg} (${data.data?.[0]?.sMsg || ''})`)
+    }
+    
+    return { ordId: data.data[0].ordId, clOrdId: data.data[0].clOrdId }
+  }, 3, 1000, { retryable: error => error.ambiguous || isRateLimitError(error) })
+}
+
+/**
+ * Build TP/SL trigger parameters (market execution when triggered)
+ */
+function buildTpSlParams({ takeProfit, stopLoss }, algoClOrdId) {
+  const params = {}
+  if (algoClOrdId) {
+    params.attachAlgoClOrdId = algoClOrdId
+  }
+  if (takeProfit) {
+    params.tpTriggerPx = String(takeProfit)
+    params.tpOrdPx = '-1' // -1 = market price
+  }
+  if (stopLoss) {
+    params.slTriggerPx = String(stopLoss)
+    params.slOrdPx = '-1'
+  }
+  return params
+}
+
+/**
+ * Send a signed POST request and return the first data item
+ */
+async function signedPost(requestPath, body, errorLabel) {
+  const url = BASE_URL + requestPath
+  const bodyString = JSON.stringify(body)
+  const headers = getAuthHeaders('POST', requestPath, bodyString)
+  
+  const response = await secureFetch(url, {
+    method: 'POST',
+    headers: headers,
+    body: bodyString,
+  })
+  
+  const data = await response.json()
+  
+  if (data.code !== '0') {
+    throw new Error(`${errorLabel}: ${data.msg} (${data.data?.[0]?.sMsg || data.code})`)
+  }
+  
+  return data.data?.[0]
+}
+
+/**
+ * Get an algo order by its client ID (private endpoint)
+ * 
+ * @returns {Object|null} - { algoId, algoClOrdId, state, takeProfit, stopLoss } or null
+ */
+export async function getAlgoOrder(algoClOrdId) {
+  if (paperTradingMode) {
+    return getPaperAlgo(algoClOrdId)
+  }
+  
+  const requestPath = `/api/v5/trade/order-algo?algoClOrdId=${algoClOrdId}`
+  const url = BASE_URL + requestPath
+  const headers = getAuthHeaders('GET', requestPath)
+  
+  return withRetry(async () => {
+    const response = await secureFetch(url, { method: 'GET', headers })
+    const data = await response.json()
+    
+    // 51603: Order does not exist
+    if (data.code === '51603' || !data.data?.[0]) {
+      return null
+    }
+    if (data.code !== '0') {
+      throw new Error(`Failed to get algo order: ${data.msg} (code: ${data.code})`)
+    }
+    
+    const algo = data.data[0]
+    return {
+      algoId: algo.algoId,
+      algoClOrdId: algo.algoClOrdId,
+      instId: algo.instId,
+      ordType: algo.ordType,
+      state: algo.state, // 'live', 'pause', 'partially_effective', 'effective', 'canceled', 'order_failed'
+      takeProfit: parseFloat(algo.tpTriggerPx) || null,
+      stopLoss: parseFloat(algo.slTriggerPx) || null,
+    }
+  })
+}
+
+/**
+ * Cancel an algo order (private endpoint)
+ * 
+ * @param {string} instId - Full instrument ID (e.g., 'BTC-USDT-SWAP')
+ * @param {string} algoId - OKX algo order ID
+ */
+export async function cancelAlgoOrder(instId, algoId) {
+  if (paperTradingMode) {
+    cancelPaperAlgo(algoId)
+    return { success: true, algoId }
+  }
+  
+  await signedPost('/api/v5/trade/cancel-algos', [{ instId, algoId }], 'Cancel algo failed')
+  return { success: true, algoId }
+}
+
+/**
+ * Place a TP/SL algo order that closes the whole position when triggered
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {Object} options - { positionSide: 'long'|'short', takeProfit, stopLoss }
+ * @returns {Object} - { algoId, algoClOrdId }
+ */
+export async function placeTpSlOrder(instId, { positionSide, takeProfit, stopLoss }) {
+  const mode = getTradingMode().toUpperCase()
+  const actualInstId = `${instId}-SWAP`
+  const algoClOrdId = generateAlgoClOrdId()
+  
+  const body = {
+    instId: actualInstId,
+    tdMode: 'cross',
+    side: positionSide === 'long' ? 'sell' : 'buy',
+    ordType: takeProfit && stopLoss ? 'oco' : 'conditional',
+    closeFraction: '1', // Close the entire position
+    reduceOnly: true,
+    algoClOrdId,
+    ...buildTpSlParams({ takeProfit, stopLoss }),
+  }
+  
+  console.log(`[${mode}] Placing TP/SL for ${positionSide} ${actualInstId}: TP ${takeProfit || '-'} / SL ${stopLoss || '-'}`)
+  const result = paperTradingMode
+    ? placePaperAlgo(body)
+    : await signedPost('/api/v5/trade/order-algo', body, 'TP/SL order failed')
+  
+  return { algoId: result.algoId, algoClOrdId }
+}
+
+/**
+ * Place a trailing stop (move_order_stop) that closes the whole position
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {Object} options - { positionSide: 'long'|'short', type: 'ratio'|'spread', value }
+ *   type 'ratio': value is the callback in percent; 'spread': absolute price distance
+ * @returns {Object} - { algoId, algoClOrdId }
+ */
+export async function placeTrailingStop(instId, { positionSide, type, value }) {
+  const mode = getTradingMode().toUpperCase()
+  const actualInstId = `${instId}-SWAP`
+  const algoClOrdId = `trail${Date.now()}${Math.random().toString(36).slice(2, 8)}`
+  
+  const body = {
+    instId: actualInstId,
+    tdMode: 'cross',
+    side: positionSide === 'long' ? 'sell' : 'buy',
+    ordType: 'move_order_stop',
+    closeFraction: '1', // Close the entire position
+    reduceOnly: true,
+    algoClOrdId,
+  }
+  if (type === 'ratio') {
+    body.callbackRatio = String(value / 100) // OKX expects a ratio (0.01 = 1%)
+  } else {
+    body.callbackSpread = String(value)
+  }
+  
+  console.log(`[${mode}] Placing trailing stop for ${positionSide} ${actualInstId}: ${type === 'ratio' ? `${value}%` : value}`)
+  const result = paperTradingMode
+    ? placePaperAlgo(body)
+    : await signedPost('/api/v5/trade/order-algo', body, 'Trailing stop failed')
+  
+  return { algoId: result.algoId, algoClOrdId }
+}
+
 /**
  * Place a market order (private endpoint - requires auth)
  * 
@@ -485,63 +895,125 @@ async function setLeverage(instId, lever, mgnMode = 'cross') {
  * @param {string} side - 'buy' or 'sell'
  * @param {string} size - Order size in quote currency (USDT)
  * @param {number} leverage - Leverage multiplier (default 1x)
+ * @param {Object} options - { takeProfit, stopLoss } trigger prices to attach,
+ *   { contracts } to size the order in contracts instead of USDT,
+ *   { clOrdId, algoClOrdId } client order IDs of the order and its TP/SL
+ *   (see submitOrder; generated if missing)
+ * @throws If the size is below the instrument's minimum order size
  */
-export async function placeMarketOrder(instId, side, size, leverage = 1) {
-  const mode = demoMode ? 'DEMO' : 'LIVE'
+export async function placeMarketOrder(instId, side, size, leverage = 1, options = {}) {
+  return placeOrder(instId, side, size, leverage, { ...options, ordType: 'market' })
+}
+
+/**
+ * Place a limit or post-only order (private endpoint - requires auth)
+ * 
+ * ⚠️ WARNING: This places REAL orders with REAL money in live mode!
+ * 
+ * The order may rest on the book; poll it with getOrder() and cancel it
+ * with cancelOrder(). Post-only orders that would take liquidity are
+ * canceled by OKX instead of filling.
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} side - 'buy' or 'sell'
+ * @param {string} size - Order size in quote currency (USDT)
+ * @param {number} leverage - Leverage multiplier (default 1x)
+ * @param {Object} options - { price, postOnly, contracts, clOrdId, algoClOrdId, takeProfit, stopLoss }
+ * @throws If the size is below the instrument's minimum order size
+ */
+export async function placeLimitOrder(instId, side, size, leverage = 1, options = {}) {
+  if (!(options.price > 0)) {
+    throw new Error('Limit order needs a price')
+  }
+  return placeOrder(instId, side, size, leverage, {
+    ...options,
+    ordType: options.postOnly ? 'post_only' : 'limit',
+  })
+}
+
+/**
+ * Place a market, limit or post-only entry order
+ */
+async function placeOrder(instId, side, size, leverage, options) {
+  const mode = getTradingMode().toUpperCase()
+  const { ordType, price } = options
+  const clOrdId = options.clOrdId || generateClOrdId('ord')
   
   // Ensure account is in margin mode for perpetual trading
-  await ensureAccountMode()
+  if (!paperTradingMode) {
+    await ensureAccountMode()
+  }
   
   // ALWAYS use perpetual contracts (SWAP) for futures trading
   // Convert BTC-USDT -> BTC-USDT-SWAP
   const actualInstId = `${instId}-SWAP`
   const tdMode = 'cross' // Cross margin for perpetual
   
-  console.log(`[${mode}] Placing ${side} PERPETUAL order for ${size} USDT of ${actualInstId} @ ${leverage}x`)
+  const priceText = ordType === 'market' ? '' : ` @ ${price}`
+  console.log(`[${mode}] Placing ${side} ${ordType} PERPETUAL order for ${options.contracts ? `${options.contracts} contracts` : `${size} USDT`} of ${actualInstId}${priceText} @ ${leverage}x`)
   
-  // Get current price and instrument info to calculate contract size
+  // Get current price and the cached instrument specs to calculate contract size
   const ticker = await getTicker(instId)
   const currentPrice = ticker.last
+  const instrument = await getInstrument(actualInstId)
+  const ctVal = instrument.ctVal // Contract value (e.g., 0.01 BTC)
   
-  // Get instrument info to find contract value
-  const instInfoUrl = `${BASE_URL}/api/v5/public/instruments?instType=SWAP&instId=${actualInstId}`
-  const instResponse = await secureFetch(instInfoUrl, { method: 'GET' })
-  const instData = await instResponse.json()
-  
-  if (instData.code !== '0' || !instData.data?.[0]) {
-    throw new Error(`Failed to get instrument info for ${actualInstId}`)
-  }
-  
-  const ctVal = parseFloat(instData.data[0].ctVal) // Contract value (e.g., 0.01 BTC)
-  const lotSz = parseFloat(instData.data[0].lotSz) // Minimum lot size
-  
-  // Calculate number of contracts: USDT_amount / (price * ctVal)
-  const contractValue = currentPrice * ctVal
-  let numContracts = Math.floor(size / contractValue)
+  // USDT_amount / (price * ctVal), rounded down to the lot size.
+  // Throws if that's below the minimum size instead of upsizing the order.
+  const numContracts = options.contracts
+    ? contractsForSize(instrument, options.contracts, leverage)
+    : contractsForNotional(instrument, size, price || currentPrice, leverage)
   
-  // Ensure minimum lot size
-  if (numContracts < lotSz) {
-    numContracts = lotSz
+  if (!options.contracts) {
+    console.log(`[${mode}] ${actualInstId}: $${size} USDT @ $${price || currentPrice} = ${numContracts} contracts (ctVal=${ctVal})`)
   }
   
-  console.log(`[${mode}] ${actualInstId}: $${size} USDT @ $${currentPrice} = ${numContracts} contracts (ctVal=${ctVal})`)
-  
-  // Both demo and live use the real OKX API
-  // Demo mode uses x-simulated-trading header (added in getAuthHeaders)
-  const requestPath = '/api/v5/trade/order'
-  const url = BASE_URL + requestPath
-  
   // Perpetual contract order parameters
   const orderBody = {
     instId: actualInstId,
     tdMode: tdMode,
     side: side,
-    ordType: 'market',
+    ordType: ordType,
     sz: numContracts.toString(),    // Number of contracts
+    clOrdId: clOrdId,               // Lets a retry find an accepted order
+  }
+  if (ordType !== 'market') {
+    orderBody.px = String(price)
   }
   
-  const bodyString = JSON.stringify(orderBody)
-  const headers = getAuthHeaders('POST', requestPath, bodyString)
+  // Attach TP/SL: OKX turns these into a reduce-only algo order once filled
+  let tpslAlgoClOrdId = null
+  if (options.takeProfit || options.stopLoss) {
+    tpslAlgoClOrdId = options.algoClOrdId || generateAlgoClOrdId()
+    orderBody.attachAlgoOrds = [buildTpSlParams(options, tpslAlgoClOrdId)]
+    console.log(`[${mode}] Attaching TP ${options.takeProfit || '-'} / SL ${options.stopLoss || '-'}`)
+  }
+  
+  // Paper trading: fill (or rest) locally against the ticker we just fetched
+  if (paperTradingMode) {
+    const fill = placePaperOrder({
+      instId: actualInstId,
+      side,
+      ordType,
+      contracts: numContracts,
+      price: currentPrice,
+      px: price,
+      ctVal,
+      leverage,
+      clOrdId,
+      attachAlgoOrds: orderBody.attachAlgoOrds,
+    })
+    return {
+      orderId: fill.orderId,
+      clientOrderId: fill.clientOrderId,
+      ordType,
+      price: price ?? null,
+      contracts: numContracts,
+      tpslAlgoClOrdId,
+      success: true,
+      simulated: true,
+    }
+  }
   
   try {
     // Set position mode and leverage for perpetual contracts
@@ -550,42 +1022,231 @@ export async function placeMarketOrder(instId, side, size, leverage = 1) {
       await setLeverage(actualInstId, leverage)
     }
     
+    // Both demo and live use the real OKX API
+    // Demo mode uses x-simulated-trading header (added in getAuthHeaders)
+    const placed = await submitOrder(orderBody, 'Order failed')
+    
+    console.log(`[${mode}] Order placed successfully: ${placed.ordId}`)
+    
+    return {
+      orderId: placed.ordId,
+      clientOrderId: placed.clOrdId,
+      ordType,
+      price: price ?? null,
+      contracts: numContracts,
+      tpslAlgoClOrdId,
+      success: true,
+      simulated: demoMode, // Demo trades are simulated on OKX's side
+    }
+  } catch (error) {
+    console.error('Failed to place order:', error)
+    throw error
+  }
+}
+
+/**
+ * Cancel an open order (private endpoint)
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} ordId - OKX order ID
+ */
+export async function cancelOrder(instId, ordId) {
+  const actualInstId = instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+  
+  if (paperTradingMode) {
+    const order = cancelPaperOrder(ordId)
+    if (!order) {
+      throw new Error(`Cancel failed: order ${ordId} not found`)
+    }
+    return { orderId: ordId }
+  }
+  
+  const result = await signedPost('/api/v5/trade/cancel-order', { instId: actualInstId, ordId }, 'Cancel failed')
+  return { orderId: result?.ordId ?? ordId }
+}
+
+/**
+ * Get order details (private endpoint)
+ * 
+ * @param {string} instId - Full instrument ID (e.g., 'BTC-USDT-SWAP')
+ * @param {Object} ids - { ordId } or { clOrdId }
+ * @returns {Object|null} - Order details or null if not found
+ */
+export async function getOrder(instId, { ordId, clOrdId }) {
+  if (paperTradingMode) {
+    return getPaperOrder({ ordId, clOrdId })
+  }
+  
+  // Final order states pushed by the private WebSocket don't change any more
+  const streamed = getStreamedOrder({ ordId, clOrdId })
+  if (streamed && ['filled', 'canceled', 'mmp_canceled'].includes(streamed.state)) {
+    return streamed
+  }
+  
+  const idParam = ordId ? `ordId=${ordId}` : `clOrdId=${clOrdId}`
+  const requestPath = `/api/v5/trade/order?instId=${instId}&${idParam}`
+  const url = BASE_URL + requestPath
+  
+  const headers = getAuthHeaders('GET', requestPath)
+  
+  return withRetry(async () => {
     const response = await secureFetch(url, {
-      method: 'POST',
+      method: 'GET',
       headers: headers,
-      body: bodyString,
     })
     
     const data = await response.json()
     
-    if (data.code !== '0') {
-      throw new Error(`Order failed: ${data.msg} (${data.data?.[0]?.sMsg || ''})`)
+    // 51603: Order does not exist
+    if (data.code === '51603') {
+      return null
     }
     
-    console.log(`[${mode}] Order placed successfully: ${data.data[0].ordId}`)
+    if (data.code !== '0') {
+      throw new Error(`Failed to get order: ${data.msg} (code: ${data.code})`)
+    }
     
-    return {
-      orderId: data.data[0].ordId,
-      clientOrderId: data.data[0].clOrdId,
-      success: true,
-      simulated: demoMode, // Demo trades are simulated on OKX's side
+    const order = data.data?.[0]
+    return order ? normalizeOrder(order) : null
+  })
+}
+
+/**
+ * Convert an OKX order (REST or the private WebSocket 'orders' channel)
+ */
+export function normalizeOrder(order) {
+  return {
+    instId: order.instId,
+    orderId: order.ordId,
+    clientOrderId: order.clOrdId,
+    side: order.side,
+    ordType: order.ordType,
+    state: order.state, // 'live', 'partially_filled', 'filled', 'canceled', 'mmp_canceled'
+    size: parseFloat(order.sz),
+    filledSize: parseFloat(order.accFillSz) || 0,
+    price: parseFloat(order.px) || null,  // Limit price (null for market orders)
+    avgPrice: parseFloat(order.avgPx) || null,
+    fee: parseFloat(order.fee) || 0,      // Negative = fee paid
+    feeCcy: order.feeCcy,
+    pnl: parseFloat(order.pnl) || 0,      // Realized P&L for closing orders
+    reduceOnly: order.reduceOnly === 'true',
+    category: order.category,             // 'normal', 'full_liquidation', 'partial_liquidation', 'adl', ...
+    algoClOrdId: order.algoClOrdId || null,  // Set on orders triggered by an algo (TP/SL, trailing stop)
+    updatedAt: order.uTime ? new Date(parseInt(order.uTime)).toISOString() : null,
+  }
+}
+
+/**
+ * Poll an order until it reaches a terminal state (filled or canceled)
+ * 
+ * @param {string} instId - Full instrument ID (e.g., 'BTC-USDT-SWAP')
+ * @param {string} ordId - OKX order ID
+ * @param {Object} options - { timeoutMs, intervalMs }
+ * @returns {Object} - Last known order details
+ */
+export async function waitForOrderFill(instId, ordId, { timeoutMs = 10000, intervalMs = 500 } = {}) {
+  const deadline = Date.now() + timeoutMs
+  let order = null
+  
+  while (Date.now() < deadline) {
+    order = await getOrder(instId, { ordId })
+    if (order && ['filled', 'canceled', 'mmp_canceled'].includes(order.state)) {
+      return order
     }
-  } catch (error) {
-    console.error('Failed to place order:', error)
-    throw error
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+  
+  if (!order) {
+    throw new Error(`Order ${ordId} not found on OKX`)
+  }
+  return order
+}
+
+/**
+ * Close an open perpetual position with a reduce-only market order
+ * 
+ * ⚠️ WARNING: This closes REAL positions in live mode!
+ * 
+ * Looks up the actual position size on OKX, submits a reduce-only market
+ * order for the full size and waits for the fill.
+ * 
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @returns {Object} - Closed position with fill price, realized P&L and fee
+ */
+export async function closeSwapPosition(instId) {
+  const mode = getTradingMode().toUpperCase()
+  const actualInstId = `${instId}-SWAP`
+  
+  const position = (await getPositions()).find(p => p.instId === actualInstId && p.size > 0)
+  if (!position) {
+    throw new Error(`No open OKX position for ${actualInstId}`)
+  }
+  
+  const side = position.side === 'long' ? 'sell' : 'buy'
+  console.log(`[${mode}] Closing ${position.side} ${actualInstId}: ${side} ${position.size} contracts (reduce-only)`)
+  
+  const orderBody = {
+    instId: actualInstId,
+    tdMode: position.marginMode || 'cross',
+    side: side,
+    ordType: 'market',
+    sz: position.size.toString(),
+    reduceOnly: true,
+    clOrdId: generateClOrdId('cls'),
+  }
+  
+  let orderId
+  if (paperTradingMode) {
+    const ticker = await getTicker(instId)
+    orderId = placePaperOrder({
+      ...orderBody,
+      contracts: position.size,
+      price: ticker.last,
+      leverage: position.leverage,
+    }).orderId
+  } else {
+    orderId = (await submitOrder(orderBody, 'Close order failed')).ordId
+  }
+  
+  const fill = await waitForOrderFill(actualInstId, orderId)
+  
+  if (fill.state !== 'filled') {
+    throw new Error(`Close order ${orderId} not filled (state: ${fill.state}, filled ${fill.filledSize}/${fill.size})`)
+  }
+  
+  console.log(`[${mode}] Closed ${actualInstId} @ ${fill.avgPrice} | P&L: ${fill.pnl} | Fee: ${fill.fee}`)
+  
+  return {
+    instId,
+    instIdFull: actualInstId,
+    side: position.side,
+    contracts: position.size,
+    entryPrice: position.entryPrice,
+    exitPrice: fill.avgPrice,
+    leverage: position.leverage,
+    margin: position.margin,
+    positionValue: position.positionValue,
+    realizedPnl: fill.pnl,
+    fee: fill.fee,
+    orderId,
+    simulated: demoMode || paperTradingMode,
   }
 }
 
 /**
  * Get account balance (private endpoint)
  * 
- * In demo mode: Returns simulated balance
- * In live mode: Fetches real balance from OKX
+ * In paper mode: Returns the local paper account (OKX response shape)
+ * In demo/live mode: Fetches balance from OKX
  */
 export async function getBalance() {
-  const mode = demoMode ? 'DEMO' : 'LIVE'
+  const mode = getTradingMode().toUpperCase()
   console.log(`[${mode}] Fetching account balance`)
   
+  if (paperTradingMode) {
+    return getPaperBalance()
+  }
+  
   // Both demo and live fetch real balance from OKX API
   // Demo mode uses x-simulated-trading header (added in getAuthHeaders)
   const requestPath = '/api/v5/account/balance'
@@ -609,13 +1270,39 @@ export async function getBalance() {
   })
 }
 
+/**
+ * Get total account equity in USDT (totalEq of the balance)
+ */
+export async function getEquity() {
+  const balance = await getBalance()
+  const equity = parseFloat(balance?.totalEq)
+  if (!Number.isFinite(equity)) {
+    throw new Error('Account equity unavailable')
+  }
+  return equity
+}
+
 /**
  * Get positions from OKX (private endpoint)
  * Fetches real positions from OKX account
  */
 export async function getPositions() {
-  const mode = demoMode ? 'DEMO' : 'LIVE'
-  console.log(`[${mode}] Fetching positions from OKX`)
+  const mode = getTradingMode().toUpperCase()
+  console.log(`[${mode}] Fetching positions`)
+  
+  // Paper positions are marked to the latest ticker first
+  if (paperTradingMode) {
+    for (const pos of getPaperPositions()) {
+      await getTicker(pos.instId.replace('-SWAP', ''))
+    }
+    return getPaperPositions()
+  }
+  
+  // Kept up to date by the private WebSocket while it's logged in
+  const streamed = getStreamedPositions()
+  if (streamed) {
+    return streamed
+  }
   
   const requestPath = '/api/v5/account/positions'
   const url = BASE_URL + requestPath
@@ -634,36 +1321,51 @@ export async function getPositions() {
       throw new Error(`Failed to get positions: ${data.msg} (code: ${data.code})`)
     }
     
-    // Transform OKX position data to our format
-    // OKX field reference:
-    // - imr: initial margin requirement (the margin)
-    // - mmr: maintenance margin requirement
-    // - notionalUsd: position value in USD
-    // - pos: position size in contracts
-    // - avgPx: average entry price
-    return (data.data || []).map(pos => ({
-      instId: pos.instId,
-      side: parseFloat(pos.pos) > 0 ? 'long' : 'short',
-      size: Math.abs(parseFloat(pos.pos)),
-      entryPrice: parseFloat(pos.avgPx),
-      currentPrice: parseFloat(pos.markPx) || parseFloat(pos.last),
-      margin: parseFloat(pos.imr) || parseFloat(pos.margin) || 0,  // Initial margin requirement
-      mmr: parseFloat(pos.mmr) || 0,  // Maintenance margin
-      leverage: parseFloat(pos.lever),
-      unrealizedPnl: parseFloat(pos.upl),
-      unrealizedPnlPercent: parseFloat(pos.uplRatio) * 100,
-      positionValue: parseFloat(pos.notionalUsd),
-      liquidationPrice: parseFloat(pos.liqPx) || null,
-      marginMode: pos.mgnMode,
-      timestamp: new Date(parseInt(pos.cTime)).toISOString(),
-    }))
+    return (data.data || []).map(normalizePosition)
   })
 }
 
 /**
- * Check if API credentials are configured
+ * Convert an OKX position (REST or the private WebSocket 'positions' channel)
+ * 
+ * OKX field reference:
+ * - imr: initial margin requirement (the margin)
+ * - mmr: maintenance margin requirement
+ * - notionalUsd: position value in USD
+ * - pos: position size in contracts
+ * - avgPx: average entry price
+ */
+export function normalizePosition(pos) {
+  // closeOrderAlgo lists the algo orders placed on the position with
+  // closeFraction = 1; TP/SL ones carry trigger prices, trailing stops don't
+  const tpslAlgos = (pos.closeOrderAlgo || []).filter(algo => algo.tpTriggerPx || algo.slTriggerPx)
+  
+  return {
+    instId: pos.instId,
+    side: parseFloat(pos.pos) > 0 ? 'long' : 'short',
+    size: Math.abs(parseFloat(pos.pos)),
+    entryPrice: parseFloat(pos.avgPx),
+    currentPrice: parseFloat(pos.markPx) || parseFloat(pos.last),
+    margin: parseFloat(pos.imr) || parseFloat(pos.margin) || 0,  // Initial margin requirement
+    mmr: parseFloat(pos.mmr) || 0,  // Maintenance margin
+    leverage: parseFloat(pos.lever),
+    unrealizedPnl: parseFloat(pos.upl),
+    unrealizedPnlPercent: parseFloat(pos.uplRatio) * 100,
+    positionValue: parseFloat(pos.notionalUsd),
+    liquidationPrice: parseFloat(pos.liqPx) || null,
+    marginMode: pos.mgnMode,
+    takeProfit: parseFloat(tpslAlgos[0]?.tpTriggerPx) || null,
+    stopLoss: parseFloat(tpslAlgos[0]?.slTriggerPx) || null,
+    tpslAlgoIds: tpslAlgos.map(algo => algo.algoId),
+    timestamp: new Date(parseInt(pos.cTime)).toISOString(),
+  }
+}
+
+/**
+ * Check if API credentials are configured (always true in paper trading mode)
  */
 export function isConfigured() {
+  if (paperTradingMode) return true
   const { apiKey, secretKey, passphrase } = getCredentials()
   return !!(apiKey && secretKey && passphrase)
 }
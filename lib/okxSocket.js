@@ -0,0 +1,174 @@
+/**
+ * OKX WebSocket Connection
+ *
+ * Connection handling shared by the public market data feed
+ * (lib/marketFeed.js) and the private account feed (lib/accountFeed.js):
+ * - Sends 'ping' after PING_INTERVAL_MS without a message and drops the
+ *   connection when no 'pong' (or data) follows within PONG_TIMEOUT_MS
+ * - Reopens dropped connections with exponential backoff while active
+ * - Calls onOpen(conn) on every (re)connect so the owner can log in and
+ *   subscribe again, and onMessage(conn, message) for every JSON message
+ */
+
+import WebSocket from 'ws'
+import { addLog } from '@/lib/state'
+
+// OKX closes connections that stay silent for 30s
+const PING_INTERVAL_MS = 20000
+const PONG_TIMEOUT_MS = 5000
+
+const RECONNECT_BASE_MS = 1000
+const RECONNECT_MAX_MS = 30000
+
+/**
+ * Create a (closed) connection
+ *
+ * @param {string} name - Name used in logs (e.g., 'public')
+ * @param {string} url - WebSocket URL
+ * @param {Object} handlers - { onOpen(conn), onMessage(conn, message) }
+ */
+export function createConnection(name, url, { onOpen, onMessage }) {
+  return {
+    name,
+    url,
+    onOpen,
+    onMessage,
+    active: false,       // Reconnect when dropped
+    socket: null,
+    connected: false,
+    connectedAt: null,
+    lastMessageAt: null,
+    reconnects: 0,
+    attempt: 0,          // Failed attempts in a row (backoff)
+    reconnectTimer: null,
+    pingTimer: null,
+    pongTimer: null,
+  }
+}
+
+/**
+ * Open a connection (and keep it open until closeConnection)
+ */
+export function openConnection(conn) {
+  conn.active = true
+  if (!conn.socket && !conn.reconnectTimer) {
+    connect(conn)
+  }
+}
+
+/**
+ * Close a connection and stop reconnecting
+ */
+export function closeConnection(conn) {
+  conn.active = false
+  clearTimeout(conn.reconnectTimer)
+  conn.reconnectTimer = null
+  conn.socket?.close()
+}
+
+/**
+ * Send a message (objects are sent as JSON) if the connection is up
+ */
+export function sendMessage(conn, message) {
+  if (conn.connected) {
+    conn.socket.send(typeof message === 'string' ? message : JSON.stringify(message))
+  }
+}
+
+/**
+ * Connection status for the dashboard and API responses
+ */
+export function describeConnection(conn) {
+  return {
+    connected: conn.connected,
+    connectedAt: conn.connectedAt ? new Date(conn.connectedAt).toISOString() : null,
+    lastMessageAt: conn.lastMessageAt ? new Date(conn.lastMessageAt).toISOString() : null,
+    reconnects: conn.reconnects,
+  }
+}
+
+function clearHeartbeat(conn) {
+  clearTimeout(conn.pingTimer)
+  clearTimeout(conn.pongTimer)
+  conn.pingTimer = null
+  conn.pongTimer = null
+}
+
+/**
+ * Restart the silence timer: ping when nothing arrives for a while and
+ * drop the connection if the ping isn't answered either
+ */
+function resetHeartbeat(conn) {
+  clearHeartbeat(conn)
+  conn.pingTimer = setTimeout(() => {
+    sendMessage(conn, 'ping')
+    conn.pongTimer = setTimeout(() => {
+      console.log(`[WS] ${conn.name}: no pong within ${PONG_TIMEOUT_MS}ms - reconnecting`)
+      conn.socket?.terminate()
+    }, PONG_TIMEOUT_MS)
+  }, PING_INTERVAL_MS)
+}
+
+function connect(conn) {
+  clearTimeout(conn.reconnectTimer)
+  conn.reconnectTimer = null
+
+  const socket = new WebSocket(conn.url)
+  conn.socket = socket
+
+  socket.on('open', () => {
+    conn.connected = true
+    conn.connectedAt = Date.now()
+    conn.lastMessageAt = conn.connectedAt
+    conn.attempt = 0
+    resetHeartbeat(conn)
+    addLog(`OKX ${conn.name} WebSocket connected`, 'info')
+    conn.onOpen(conn)
+  })
+
+  socket.on('message', (raw) => {
+    conn.lastMessageAt = Date.now()
+    resetHeartbeat(conn)
+
+    const text = raw.toString()
+    if (text === 'pong') return
+
+    let message
+    try {
+      message = JSON.parse(text)
+    } catch {
+      console.error(`[WS] ${conn.name}: unreadable message`, text.slice(0, 200))
+      return
+    }
+    conn.onMessage(conn, message)
+  })
+
+  socket.on('error', (error) => {
+    // 'close' follows and schedules the reconnect
+    console.error(`[WS] ${conn.name} error:`, error.message)
+  })
+
+  socket.on('close', () => {
+    const wasConnected = conn.connected
+    conn.connected = false
+    conn.socket = null
+    clearHeartbeat(conn)
+
+    if (!conn.active) {
+      console.log(`[WS] ${conn.name} closed`)
+      return
+    }
+    if (wasConnected) {
+      addLog(`OKX ${conn.name} WebSocket disconnected - using REST until it reconnects`, 'error')
+    }
+    scheduleReconnect(conn)
+  })
+}
+
+function scheduleReconnect(conn) {
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, conn.attempt))
+  conn.attempt++
+  conn.reconnects++
+  console.log(`[WS] ${conn.name}: reconnecting in ${delay}ms (attempt ${conn.attempt})`)
+  conn.reconnectTimer = setTimeout(() => connect(conn), delay)
+}
@@ -0,0 +1,73 @@
+/**
+ * Order Tracking
+ *
+ * OKX accepts an order before it fills, so the accept response says
+ * nothing about the price or size actually traded. Entries are recorded
+ * from the order's confirmed state instead: the order is polled on
+ * /api/v5/trade/order (the paper broker in paper mode) until it is
+ * filled or canceled, and its average fill price, filled size and fee
+ * are used for the local position and the trade log.
+ *
+ * Order states: 'live', 'partially_filled', 'filled', 'canceled',
+ * 'mmp_canceled'. A market order normally fills within a second; one that
+ * is still open when the wait runs out is reported with what has filled.
+ */
+
+import { waitForOrderFill } from '@/lib/okxClient'
+import { getInstrument } from '@/lib/instruments'
+import { roundUsdt } from '@/lib/protection'
+
+// Order states that won't change any more
+export const TERMINAL_ORDER_STATES = ['filled', 'canceled', 'mmp_canceled']
+
+// How long to wait for a market order to reach a terminal state
+const FILL_TIMEOUT_MS = 10000
+
+/**
+ * Summarize an order's fills
+ *
+ * @param {Object} order - Order from okxClient.getOrder()
+ * @param {number} ctVal - Contract value of the instrument
+ * @returns {Object} - { orderId, state, confirmed, contracts, orderedContracts, avgPrice, positionValue, fee, feeCcy }
+ */
+export function summarizeFill(order, ctVal) {
+  const contracts = order.filledSize || 0
+  const avgPrice = contracts > 0 ? order.avgPrice : null
+
+  return {
+    orderId: order.orderId,
+    state: order.state,
+    confirmed: TERMINAL_ORDER_STATES.includes(order.state),
+    contracts,
+    orderedContracts: order.size,
+    avgPrice,
+    positionValue: avgPrice ? roundUsdt(contracts * ctVal * avgPrice) : 0,
+    fee: order.fee || 0,  // Negative = fee paid (OKX convention)
+    feeCcy: order.feeCcy,
+  }
+}
+
+/**
+ * Wait for an order to fill and return its confirmed fills
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} ordId - OKX order ID
+ * @param {Object} options - { timeoutMs }
+ * @returns {Object} - Fill summary (see summarizeFill)
+ * @throws If the order ended without any fill
+ */
+export async function confirmFill(instId, ordId, { timeoutMs = FILL_TIMEOUT_MS } = {}) {
+  const actualInstId = instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+  const order = await waitForOrderFill(actualInstId, ordId, { timeoutMs })
+  const { ctVal } = await getInstrument(actualInstId)
+  const fill = summarizeFill(order, ctVal)
+
+  if (fill.contracts === 0) {
+    throw new Error(`Order ${ordId} ${fill.state} without a fill`)
+  }
+  if (!fill.confirmed) {
+    console.log(`[ORDERS] ${actualInstId} order ${ordId} still ${fill.state} after ${timeoutMs}ms - using ${fill.contracts}/${fill.orderedContracts} filled`)
+  }
+
+  return fill
+}
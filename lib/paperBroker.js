@@ -0,0 +1,763 @@
+/**
+ * Paper Broker
+ *
+ * Local execution engine used by lib/okxClient.js in paper trading mode.
+ * Market orders fill immediately against the latest ticker price (plus
+ * slippage and taker fees); limit orders rest until the price trades
+ * through them and fill at their price with maker fees. No API keys or
+ * private OKX endpoints are needed.
+ *
+ * Mirrors the OKX account as the bot uses it:
+ * - USDT-margined perpetuals in net mode with cross margin
+ * - Virtual USDT wallet balance, margin, unrealized P&L and liquidation price
+ * - TP/SL and trailing stop algo orders, triggered on price updates
+ *
+ * The ledger is persisted to .data/paper/ledger.json so paper positions
+ * survive restarts. Funding payments are not simulated.
+ */
+
+import { dataPath, readJsonFile, writeJsonFileAtomic } from '@/lib/storage'
+
+/**
+ * Read a non-negative number from the environment (0 is a valid setting)
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+const DEFAULT_INITIAL_BALANCE = envNumber('PAPER_INITIAL_BALANCE', 10000) // USDT
+const DEFAULT_FEE_RATE = envNumber('PAPER_FEE_RATE', 0.0005)               // 0.05% taker
+const DEFAULT_MAKER_FEE_RATE = envNumber('PAPER_MAKER_FEE_RATE', 0.0002)   // 0.02% maker
+const DEFAULT_SLIPPAGE_BPS = envNumber('PAPER_SLIPPAGE_BPS', 2)            // 0.02%
+
+// Maintenance margin rate (OKX tier 1 for major perpetuals)
+const MAINTENANCE_MARGIN_RATE = 0.004
+
+// Filled orders / finished algos kept in the ledger
+const MAX_ORDER_HISTORY = 500
+
+let ledger = null
+let orderCounter = 0
+
+function ledgerFile() {
+  return dataPath('paper', 'ledger.json')
+}
+
+function createLedger(config = {}) {
+  const initialBalance = config.initialBalance ?? DEFAULT_INITIAL_BALANCE
+  return {
+    config: {
+      initialBalance,
+      feeRate: config.feeRate ?? DEFAULT_FEE_RATE,
+      makerFeeRate: config.makerFeeRate ?? DEFAULT_MAKER_FEE_RATE,
+      slippageBps: config.slippageBps ?? DEFAULT_SLIPPAGE_BPS,
+    },
+    balance: initialBalance, // Wallet balance: deposits + realized P&L - fees
+    positions: {},           // Keyed by full instId (e.g., 'BTC-USDT-SWAP')
+    orders: [],              // Newest first
+    algos: [],               // Newest first
+    createdAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * Load the ledger from disk on first use
+ */
+function getLedger() {
+  if (!ledger) {
+    ledger = readJsonFile(ledgerFile(), null) || createLedger()
+  }
+  return ledger
+}
+
+function saveLedger() {
+  ledger.updatedAt = new Date().toISOString()
+  ledger.orders = ledger.orders.filter((order, i) => order.state === 'live' || i < MAX_ORDER_HISTORY)
+  ledger.algos = ledger.algos.filter((algo, i) => algo.state === 'live' || i < MAX_ORDER_HISTORY)
+  writeJsonFileAtomic(ledgerFile(), ledger)
+}
+
+function generateId(prefix) {
+  orderCounter = (orderCounter + 1) % 1000
+  return `${prefix}${Date.now()}${String(orderCounter).padStart(3, '0')}`
+}
+
+function toSwapInstId(instId) {
+  return instId.endsWith('-SWAP') ? instId : `${instId}-SWAP`
+}
+
+// ---------------------------------------------------------------------------
+// Account math
+// ---------------------------------------------------------------------------
+
+function positionDirection(pos) {
+  return pos.side === 'long' ? 1 : -1
+}
+
+function positionNotional(pos) {
+  return pos.contracts * pos.ctVal * pos.markPrice
+}
+
+function positionUpl(pos) {
+  return (pos.markPrice - pos.entryPrice) * pos.contracts * pos.ctVal * positionDirection(pos)
+}
+
+function positionMargin(pos) {
+  return positionNotional(pos) / pos.leverage
+}
+
+function getAccountTotals() {
+  const { balance, positions } = getLedger()
+  let upl = 0
+  let usedMargin = 0
+  let maintenanceMargin = 0
+
+  for (const pos of Object.values(positions)) {
+    upl += positionUpl(pos)
+    usedMargin += positionMargin(pos)
+    maintenanceMargin += positionNotional(pos) * MAINTENANCE_MARGIN_RATE
+  }
+
+  const equity = balance + upl
+  return {
+    equity,
+    upl,
+    usedMargin,
+    maintenanceMargin,
+    available: Math.max(0, equity - usedMargin),
+  }
+}
+
+/**
+ * Cross-margin liquidation price: the price at which account equity falls
+ * to the maintenance margin, other positions held at their mark price
+ */
+function getLiquidationPrice(pos) {
+  const totals = getAccountTotals()
+  const quantity = pos.contracts * pos.ctVal
+  const otherMaintenance = totals.maintenanceMargin - positionNotional(pos) * MAINTENANCE_MARGIN_RATE
+  const equityExcluding = totals.equity - positionUpl(pos) - otherMaintenance
+
+  const price = pos.side === 'long'
+    ? (pos.entryPrice * quantity - equityExcluding) / (quantity * (1 - MAINTENANCE_MARGIN_RATE))
+    : (pos.entryPrice * quantity + equityExcluding) / (quantity * (1 + MAINTENANCE_MARGIN_RATE))
+
+  return price > 0 ? price : null
+}
+
+function applySlippage(price, side) {
+  const slip = price * (getLedger().config.slippageBps / 10000)
+  return side === 'buy' ? price + slip : price - slip
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+// ---------------------------------------------------------------------------
+
+/**
+ * Cancel all live algo orders of an instrument (position closed)
+ */
+function cancelInstrumentAlgos(instId) {
+  for (const algo of getLedger().algos) {
+    if (algo.instId === instId && algo.state === 'live') {
+      algo.state = 'canceled'
+      algo.updatedAt = Date.now()
+    }
+  }
+}
+
+/**
+ * Fill an order against the net position of an instrument
+ *
+ * Market orders fill at the price plus slippage with taker fees; limit
+ * orders (maker) fill exactly at their price with maker fees.
+ *
+ * @returns {Object} - Order record
+ */
+function fillOrder({ instId, side, contracts, price, leverage, ctVal, reduceOnly = false, clOrdId = null, category = 'normal', ordType = 'market', maker = false }) {
+  const book = getLedger()
+  const fillPrice = maker ? price : applySlippage(price, side)
+  const feeRate = maker ? book.config.makerFeeRate ?? DEFAULT_MAKER_FEE_RATE : book.config.feeRate
+  const orderSide = side === 'buy' ? 'long' : 'short'
+  const pos = book.positions[instId]
+  const contractValue = ctVal ?? pos?.ctVal ?? 1
+
+  if (reduceOnly && (!pos || pos.side === orderSide)) {
+    throw new Error(`Paper order rejected: no ${side === 'buy' ? 'short' : 'long'} position to reduce on ${instId}`)
+  }
+
+  // Net mode: an opposite position is reduced (or flipped) first
+  const closedQty = pos && pos.side !== orderSide ? Math.min(contracts, pos.contracts) : 0
+  const openQty = reduceOnly ? 0 : contracts - closedQty
+  const filledContracts = closedQty + openQty
+  const pnl = closedQty > 0
+    ? (fillPrice - pos.entryPrice) * closedQty * pos.ctVal * positionDirection(pos)
+    : 0
+  const fee = fillPrice * filledContracts * contractValue * feeRate
+
+  if (openQty > 0) {
+    const requiredMargin = (openQty * contractValue * fillPrice) / leverage
+    const releasedMargin = closedQty > 0 ? (closedQty * pos.ctVal * pos.markPrice) / pos.leverage : 0
+    const available = getAccountTotals().available + releasedMargin + pnl
+    if (requiredMargin + fee > available) {
+      throw new Error(`Paper order rejected: insufficient balance (need ${(requiredMargin + fee).toFixed(2)} USDT, available ${available.toFixed(2)})`)
+    }
+  }
+
+  if (closedQty > 0) {
+    pos.contracts -= closedQty
+    if (pos.contracts <= 1e-9) {
+      delete book.positions[instId]
+      cancelInstrumentAlgos(instId)
+    }
+  }
+
+  if (openQty > 0) {
+    const existing = book.positions[instId]
+    if (existing) {
+      const total = existing.contracts + openQty
+      existing.entryPrice = (existing.entryPrice * existing.contracts + fillPrice * openQty) / total
+      existing.contracts = total
+      existing.leverage = leverage
+    } else {
+      book.positions[instId] = {
+        instId,
+        side: orderSide,
+        contracts: openQty,
+        ctVal: contractValue,
+        entryPrice: fillPrice,
+        markPrice: price,
+        leverage,
+        openedAt: Date.now(),
+      }
+    }
+  }
+
+  book.balance += pnl - fee
+
+  const order = {
+    ordId: generateId('P'),
+    clOrdId: clOrdId || '',
+    instId,
+    side,
+    ordType,
+    category,
+    state: 'filled',
+    sz: contracts,
+    accFillSz: filledContracts,
+    avgPx: fillPrice,
+    fee: -fee,           // OKX convention: negative = fee paid
+    pnl,
+    reduceOnly,
+    uTime: Date.now(),
+  }
+  book.orders.unshift(order)
+
+  console.log(`[PAPER] ${side.toUpperCase()} ${filledContracts} ${instId} @ ${fillPrice.toFixed(6)} | P&L ${pnl.toFixed(4)} | Fee ${fee.toFixed(4)}`)
+  return order
+}
+
+/**
+ * Turn the TP/SL attached to a filled order into live algo orders
+ */
+function attachAlgos(instId, attachAlgoOrds) {
+  for (const attach of attachAlgoOrds) {
+    if (getLedger().positions[instId]) {
+      createAlgo({
+        instId,
+        ordType: attach.tpTriggerPx && attach.slTriggerPx ? 'oco' : 'conditional',
+        algoClOrdId: attach.attachAlgoClOrdId,
+        tpTriggerPx: parseFloat(attach.tpTriggerPx) || null,
+        slTriggerPx: parseFloat(attach.slTriggerPx) || null,
+      })
+    }
+  }
+}
+
+/**
+ * Place an order
+ *
+ * Market orders fill immediately. Limit and post-only orders that would
+ * cross the price fill as taker (limit) or are canceled (post-only, like
+ * OKX); otherwise they rest until updatePaperPrice() trades through them.
+ *
+ * @param {Object} order
+ * @param {string} order.instId - Full instrument ID (e.g., 'BTC-USDT-SWAP')
+ * @param {string} order.side - 'buy' or 'sell'
+ * @param {string} order.ordType - 'market', 'limit' or 'post_only'
+ * @param {number} order.contracts - Number of contracts
+ * @param {number} order.price - Latest ticker price
+ * @param {number} order.px - Limit price (limit / post_only)
+ * @param {number} order.ctVal - Contract value (from instrument info)
+ * @param {number} order.leverage - Leverage multiplier
+ * @param {boolean} order.reduceOnly - Only reduce an existing position
+ * @param {Object[]} order.attachAlgoOrds - TP/SL to attach (OKX format)
+ * @returns {Object} - Normalized order (same shape as okxClient.getOrder)
+ */
+export function placePaperOrder({ instId, side, ordType = 'market', contracts, price, px, ctVal, leverage = 1, reduceOnly = false, clOrdId, attachAlgoOrds = [] }) {
+  const book = getLedger()
+  const marketable = ordType === 'market' || (side === 'buy' ? px >= price : px <= price)
+
+  let order
+  if (!marketable) {
+    order = {
+      ordId: generateId('P'),
+      clOrdId: clOrdId || '',
+      instId,
+      side,
+      ordType,
+      category: 'normal',
+      state: 'live',
+      sz: contracts,
+      px,
+      accFillSz: 0,
+      avgPx: null,
+      fee: 0,
+      pnl: 0,
+      reduceOnly,
+      ctVal,
+      leverage,
+      attachAlgoOrds,
+      uTime: Date.now(),
+    }
+    book.orders.unshift(order)
+    console.log(`[PAPER] ${ordType} ${side.toUpperCase()} ${contracts} ${instId} @ ${px} resting`)
+  } else if (ordType === 'post_only') {
+    // Post-only orders that would take liquidity are canceled by OKX
+    order = {
+      ordId: generateId('P'),
+      clOrdId: clOrdId || '',
+      instId,
+      side,
+      ordType,
+      category: 'normal',
+      state: 'canceled',
+      sz: contracts,
+      px,
+      accFillSz: 0,
+      avgPx: null,
+      fee: 0,
+      pnl: 0,
+      reduceOnly,
+      uTime: Date.now(),
+    }
+    book.orders.unshift(order)
+    console.log(`[PAPER] post_only ${side.toUpperCase()} ${instId} @ ${px} canceled (would take liquidity)`)
+  } else {
+    order = fillOrder({ instId, side, contracts, price, ctVal, leverage, reduceOnly, clOrdId, ordType })
+    attachAlgos(instId, attachAlgoOrds)
+  }
+
+  saveLedger()
+  return normalizeOrder(order)
+}
+
+/**
+ * Cancel a resting paper order
+ *
+ * @returns {Object|null} - Normalized order or null if not found
+ */
+export function cancelPaperOrder(ordId) {
+  const order = getLedger().orders.find(o => o.ordId === ordId)
+  if (!order) return null
+
+  if (order.state === 'live') {
+    order.state = 'canceled'
+    order.uTime = Date.now()
+    saveLedger()
+  }
+  return normalizeOrder(order)
+}
+
+/**
+ * Fill the resting limit orders of an instrument the price traded through
+ *
+ * @returns {boolean} - Whether any order changed
+ */
+function fillRestingOrders(instId, price) {
+  const book = getLedger()
+  let changed = false
+
+  for (const resting of book.orders.filter(o => o.instId === instId && o.state === 'live')) {
+    const touched = resting.side === 'buy' ? price <= resting.px : price >= resting.px
+    if (!touched) continue
+
+    try {
+      const fill = fillOrder({
+        instId,
+        side: resting.side,
+        contracts: resting.sz,
+        price: resting.px,
+        ctVal: resting.ctVal,
+        leverage: resting.leverage,
+        reduceOnly: resting.reduceOnly,
+        clOrdId: resting.clOrdId,
+        ordType: resting.ordType,
+        maker: true,
+      })
+      // The fill record replaces the resting order under its original ID
+      book.orders = book.orders.filter(o => o !== resting)
+      fill.ordId = resting.ordId
+      fill.px = resting.px
+      attachAlgos(instId, resting.attachAlgoOrds || [])
+    } catch (err) {
+      resting.state = 'canceled'
+      resting.uTime = Date.now()
+      console.log(`[PAPER] ${resting.ordType} order ${resting.ordId} canceled: ${err.message}`)
+    }
+    changed = true
+  }
+
+  return changed
+}
+
+/**
+ * Get a paper order by ID
+ *
+ * @returns {Object|null} - Normalized order (same shape as okxClient.getOrder)
+ */
+export function getPaperOrder({ ordId, clOrdId }) {
+  const order = getLedger().orders.find(o => (ordId ? o.ordId === ordId : o.clOrdId === clOrdId))
+  return order ? normalizeOrder(order) : null
+}
+
+function normalizeOrder(order) {
+  return {
+    instId: order.instId,
+    orderId: order.ordId,
+    clientOrderId: order.clOrdId,
+    side: order.side,
+    ordType: order.ordType,
+    state: order.state,
+    price: order.px ?? null,
+    size: order.sz,
+    filledSize: order.accFillSz,
+    avgPrice: order.avgPx,
+    fee: order.fee,
+    feeCcy: 'USDT',
+    pnl: order.pnl,
+    reduceOnly: order.reduceOnly,
+    updatedAt: new Date(order.uTime).toISOString(),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Algo orders (TP/SL and trailing stops)
+// ---------------------------------------------------------------------------
+
+function createAlgo({ instId, ordType, algoClOrdId, tpTriggerPx = null, slTriggerPx = null, callbackRatio = null, callbackSpread = null }) {
+  const pos = getLedger().positions[instId]
+  const algo = {
+    algoId: generateId('A'),
+    algoClOrdId: algoClOrdId || '',
+    instId,
+    ordType,
+    state: 'live',
+    tpTriggerPx,
+    slTriggerPx,
+    callbackRatio,
+    callbackSpread,
+    bestPrice: pos?.markPrice ?? null, // Trailing stops ratchet from here
+    cTime: Date.now(),
+    updatedAt: Date.now(),
+  }
+  getLedger().algos.unshift(algo)
+  return algo
+}
+
+/**
+ * Place a TP/SL or trailing stop algo that closes the whole position
+ *
+ * @param {Object} params - OKX order-algo body (instId, ordType, algoClOrdId,
+ *   tpTriggerPx, slTriggerPx, callbackRatio, callbackSpread)
+ * @returns {Object} - { algoId, algoClOrdId }
+ */
+export function placePaperAlgo(params) {
+  const instId = toSwapInstId(params.instId)
+  if (!getLedger().positions[instId]) {
+    throw new Error(`Paper algo rejected: no open position on ${instId}`)
+  }
+
+  const algo = createAlgo({
+    instId,
+    ordType: params.ordType,
+    algoClOrdId: params.algoClOrdId,
+    tpTriggerPx: parseFloat(params.tpTriggerPx) || null,
+    slTriggerPx: parseFloat(params.slTriggerPx) || null,
+    callbackRatio: parseFloat(params.callbackRatio) || null,
+    callbackSpread: parseFloat(params.callbackSpread) || null,
+  })
+  saveLedger()
+
+  return { algoId: algo.algoId, algoClOrdId: algo.algoClOrdId }
+}
+
+/**
+ * Get a paper algo order by client ID
+ *
+ * @returns {Object|null} - Same shape as okxClient.getAlgoOrder
+ */
+export function getPaperAlgo(algoClOrdId) {
+  const algo = getLedger().algos.find(a => a.algoClOrdId === algoClOrdId)
+  if (!algo) return null
+
+  return {
+    algoId: algo.algoId,
+    algoClOrdId: algo.algoClOrdId,
+    instId: algo.instId,
+    ordType: algo.ordType,
+    state: algo.state,
+    takeProfit: algo.tpTriggerPx,
+    stopLoss: algo.slTriggerPx,
+  }
+}
+
+/**
+ * Cancel a paper algo order
+ */
+export function cancelPaperAlgo(algoId) {
+  const algo = getLedger().algos.find(a => a.algoId === algoId)
+  if (!algo || algo.state !== 'live') {
+    throw new Error(`Paper algo ${algoId} is not live`)
+  }
+  algo.state = 'canceled'
+  algo.updatedAt = Date.now()
+  saveLedger()
+}
+
+/**
+ * Trailing stop level of a move_order_stop algo
+ */
+function trailingStopPrice(algo, side) {
+  const distance = algo.callbackRatio ? algo.bestPrice * algo.callbackRatio : algo.callbackSpread
+  return side === 'long' ? algo.bestPrice - distance : algo.bestPrice + distance
+}
+
+/**
+ * Check whether an algo triggers at a price (ratchets trailing stops)
+ */
+function isAlgoTriggered(algo, pos, price) {
+  const long = pos.side === 'long'
+
+  if (algo.ordType === 'move_order_stop') {
+    if (algo.bestPrice === null || (long ? price > algo.bestPrice : price < algo.bestPrice)) {
+      algo.bestPrice = price
+      algo.updatedAt = Date.now()
+    }
+    const stop = trailingStopPrice(algo, pos.side)
+    return long ? price <= stop : price >= stop
+  }
+
+  const tpHit = algo.tpTriggerPx !== null && (long ? price >= algo.tpTriggerPx : price <= algo.tpTriggerPx)
+  const slHit = algo.slTriggerPx !== null && (long ? price <= algo.slTriggerPx : price >= algo.slTriggerPx)
+  return tpHit || slHit
+}
+
+// ---------------------------------------------------------------------------
+// Price updates
+// ---------------------------------------------------------------------------
+
+/**
+ * Feed the latest price of an instrument
+ *
+ * Fills resting limit orders the price reached, marks the position to
+ * market, fires triggered TP/SL and trailing stop algos, and liquidates when equity falls below the maintenance margin.
+ *
+ * @param {string} instId - Instrument ID ('BTC-USDT' or 'BTC-USDT-SWAP')
+ * @param {number} price - Latest price
+ */
+export function updatePaperPrice(instId, price) {
+  const book = getLedger()
+  const swapInstId = toSwapInstId(instId)
+  if (!(price > 0)) return
+
+  const ordersFilled = fillRestingOrders(swapInstId, price)
+  const pos = book.positions[swapInstId]
+  if (!pos) {
+    if (ordersFilled) saveLedger()
+    return
+  }
+
+  pos.markPrice = price
+  let changed = ordersFilled
+
+  for (const algo of book.algos.filter(a => a.instId === swapInstId && a.state === 'live')) {
+    const previousBest = algo.bestPrice
+    if (isAlgoTriggered(algo, pos, price)) {
+      fillOrder({
+        instId: swapInstId,
+        side: pos.side === 'long' ? 'sell' : 'buy',
+        contracts: pos.contracts,
+        price,
+        leverage: pos.leverage,
+        reduceOnly: true,
+      })
+      algo.state = 'effective'
+      algo.actualPx = price
+      algo.updatedAt = Date.now()
+      cancelInstrumentAlgos(swapInstId)
+      console.log(`[PAPER] ${algo.ordType} algo ${algo.algoId} triggered on ${swapInstId} @ ${price}`)
+      changed = true
+      break
+    }
+    if (algo.bestPrice !== previousBest) changed = true
+  }
+
+  // Cross-margin liquidation of the whole account
+  const totals = getAccountTotals()
+  if (Object.keys(book.positions).length > 0 && totals.equity <= totals.maintenanceMargin) {
+    for (const open of Object.values(book.positions)) {
+      fillOrder({
+        instId: open.instId,
+        side: open.side === 'long' ? 'sell' : 'buy',
+        contracts: open.contracts,
+        price: open.markPrice,
+        leverage: open.leverage,
+        reduceOnly: true,
+        category: 'full_liquidation',
+      })
+    }
+    // Losses beyond the wallet are absorbed (OKX insurance fund)
+    book.balance = Math.max(0, book.balance)
+    console.log(`[PAPER] Account liquidated (equity ${totals.equity.toFixed(2)} <= maintenance ${totals.maintenanceMargin.toFixed(2)})`)
+    changed = true
+  }
+
+  if (changed) saveLedger()
+}
+
+// ---------------------------------------------------------------------------
+// Account queries
+// ---------------------------------------------------------------------------
+
+/**
+ * Open paper positions
+ *
+ * @returns {Object[]} - Same shape as okxClient.getPositions
+ */
+export function getPaperPositions() {
+  const book = getLedger()
+
+  return Object.values(book.positions).map(pos => {
+    const margin = positionMargin(pos)
+    const upl = positionUpl(pos)
+    const tpslAlgos = book.algos.filter(a => a.instId === pos.instId && a.state === 'live' && a.ordType !== 'move_order_stop')
+
+    return {
+      instId: pos.instId,
+      side: pos.side,
+      size: pos.contracts,
+      entryPrice: pos.entryPrice,
+      currentPrice: pos.markPrice,
+      margin,
+      mmr: positionNotional(pos) * MAINTENANCE_MARGIN_RATE,
+      leverage: pos.leverage,
+      unrealizedPnl: upl,
+      unrealizedPnlPercent: margin > 0 ? (upl / margin) * 100 : 0,
+      positionValue: positionNotional(pos),
+      liquidationPrice: getLiquidationPrice(pos),
+      marginMode: 'cross',
+      takeProfit: tpslAlgos[0]?.tpTriggerPx ?? null,
+      stopLoss: tpslAlgos[0]?.slTriggerPx ?? null,
+      tpslAlgoIds: tpslAlgos.map(a => a.algoId),
+      timestamp: new Date(pos.openedAt).toISOString(),
+    }
+  })
+}
+
+/**
+ * Paper account balance
+ *
+ * @returns {Object} - Same shape as the OKX /account/balance data item
+ */
+export function getPaperBalance() {
+  const { balance } = getLedger()
+  const totals = getAccountTotals()
+
+  return {
+    totalEq: String(totals.equity),
+    upl: String(totals.upl),
+    imr: String(totals.usedMargin),
+    mmr: String(totals.maintenanceMargin),
+    details: [{
+      ccy: 'USDT',
+      eq: String(totals.equity),
+      cashBal: String(balance),
+      availBal: String(totals.available),
+      frozenBal: String(totals.equity - totals.available),
+      upl: String(totals.upl),
+    }],
+  }
+}
+
+/**
+ * Paper account summary for the dashboard and /api/paper
+ */
+export function getPaperAccount() {
+  const book = getLedger()
+  const totals = getAccountTotals()
+
+  return {
+    config: book.config,
+    balance: book.balance,
+    equity: totals.equity,
+    unrealizedPnl: totals.upl,
+    usedMargin: totals.usedMargin,
+    available: totals.available,
+    realizedPnl: book.balance - book.config.initialBalance,
+    positions: getPaperPositions(),
+    openOrders: book.orders.filter(o => o.state === 'live').map(normalizeOrder),
+    openAlgos: book.algos.filter(a => a.state === 'live'),
+    recentOrders: book.orders.slice(0, 50).map(normalizeOrder),
+    createdAt: book.createdAt,
+  }
+}
+
+/**
+ * Update fee and slippage settings
+ *
+ * @param {Object} config - { feeRate, makerFeeRate, slippageBps }
+ */
+export function setPaperConfig({ feeRate, makerFeeRate, slippageBps } = {}) {
+  const book = getLedger()
+
+  if (feeRate !== undefined) {
+    if (typeof feeRate !== 'number' || feeRate < 0 || feeRate > 0.01) {
+      throw new Error('feeRate must be between 0 and 0.01')
+    }
+    book.config.feeRate = feeRate
+  }
+  if (makerFeeRate !== undefined) {
+    if (typeof makerFeeRate !== 'number' || makerFeeRate < -0.01 || makerFeeRate > 0.01) {
+      throw new Error('makerFeeRate must be between -0.01 and 0.01')
+    }
+    book.config.makerFeeRate = makerFeeRate
+  }
+  if (slippageBps !== undefined) {
+    if (typeof slippageBps !== 'number' || slippageBps < 0 || slippageBps > 500) {
+      throw new Error('slippageBps must be between 0 and 500')
+    }
+    book.config.slippageBps = slippageBps
+  }
+
+  saveLedger()
+  return book.config
+}
+
+/**
+ * Reset the paper account (closes everything without fills)
+ *
+ * @param {Object} options - { initialBalance }
+ */
+export function resetPaperAccount({ initialBalance } = {}) {
+  if (initialBalance !== undefined && (typeof initialBalance !== 'number' || initialBalance <= 0)) {
+    throw new Error('initialBalance must be a positive number')
+  }
+
+  const { config } = getLedger()
+  ledger = createLedger({ ...config, initialBalance: initialBalance ?? config.initialBalance })
+  saveLedger()
+  console.log(`[PAPER] Account reset to ${ledger.balance} USDT`)
+  return getPaperAccount()
+}
@@ -0,0 +1,258 @@
+/**
+ * Position Manager
+ *
+ * Closes positions on OKX and only then updates local state and the
+ * trade log with the actual fill price and realized P&L reported by OKX.
+ * Also manages the TP/SL and trailing stop algo orders of open positions.
+ *
+ * ⚠️ WARNING: This closes REAL positions in live mode!
+ */
+
+import {
+  closeSwapPosition,
+  getPositions as getOkxPositions,
+  getTradingMode,
+  getAlgoOrder,
+  cancelAlgoOrder,
+  placeTpSlOrder,
+  placeTrailingStop,
+} from '@/lib/okxClient'
+import {
+  addLog,
+  removePositionsForInstrument,
+  getPositions as getLocalPositions,
+  updatePositionProtection,
+  updatePositionTrail,
+  getTradeConfig,
+} from '@/lib/state'
+import { recordTrade } from '@/lib/tradeLog'
+import { getRecentCandles } from '@/lib/candleStore'
+import { calculateATR, computeProtectionPrices, createTrail } from '@/lib/protection'
+import { getInstrument } from '@/lib/instruments'
+
+// Algo order states that still protect the position
+const ACTIVE_ALGO_STATES = ['live', 'partially_effective']
+
+/**
+ * Close the OKX position for an instrument
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} reason - Reason recorded in the trade log
+ * @returns {Object} - Closed position with exit price and realized P&L
+ */
+export async function closeExchangePosition(instId, reason = 'Manual close') {
+  const result = await closeSwapPosition(instId)
+  const mode = getTradingMode()
+
+  // P&L relative to the margin, like the exchange's uplRatio
+  const pnlPercent = result.margin > 0 ? (result.realizedPnl / result.margin) * 100 : 0
+  const entrySide = result.side === 'long' ? 'buy' : 'sell'
+
+  removePositionsForInstrument(instId)
+
+  recordTrade({
+    mode: mode,
+    instId: instId,
+    side: entrySide === 'buy' ? 'sell' : 'buy', // Opposite side for close
+    price: result.exitPrice,
+    size: result.positionValue,
+    contracts: result.contracts,
+    leverage: result.leverage,
+    signal: 'CLOSE',
+    orderId: result.orderId,
+    reason: reason,
+    action: 'close',
+    entryPrice: result.entryPrice,
+    pnlPercent: pnlPercent.toFixed(2),
+    pnlUsdt: result.realizedPnl.toFixed(4),
+    fee: result.fee,
+  })
+
+  addLog(`[${instId}] Position closed on OKX @ $${result.exitPrice} | P/L: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% ($${result.realizedPnl.toFixed(2)}) | Fee: ${result.fee}`, 'trade')
+
+  return {
+    ...result,
+    pnlPercent: pnlPercent.toFixed(2),
+    pnlUsdt: result.realizedPnl.toFixed(4),
+  }
+}
+
+/**
+ * Close every open OKX position
+ *
+ * Positions are closed one by one; a failure on one instrument doesn't
+ * stop the others.
+ *
+ * @returns {Object} - { closed: [...], failed: [{ instId, error }] }
+ */
+export async function closeAllExchangePositions(reason = 'Close all') {
+  const okxPositions = await getOkxPositions()
+  const closed = []
+  const failed = []
+
+  for (const pos of okxPositions.filter(p => p.size > 0)) {
+    const instId = pos.instId.replace('-SWAP', '')
+    try {
+      closed.push(await closeExchangePosition(instId, reason))
+    } catch (error) {
+      addLog(`[${instId}] Close failed: ${error.message}`, 'error')
+      failed.push({ instId, error: error.message })
+    }
+  }
+
+  return { closed, failed }
+}
+
+/**
+ * Get an algo order by client ID if it is still active
+ */
+async function getActiveAlgo(algoClOrdId) {
+  if (!algoClOrdId) return null
+  const algo = await getAlgoOrder(algoClOrdId)
+  return algo && ACTIVE_ALGO_STATES.includes(algo.state) ? algo : null
+}
+
+/**
+ * Find the open OKX position for an instrument
+ */
+async function getOpenOkxPosition(instId) {
+  const actualInstId = `${instId}-SWAP`
+  const position = (await getOkxPositions()).find(p => p.instId === actualInstId && p.size > 0)
+  if (!position) {
+    throw new Error(`No open OKX position for ${actualInstId}`)
+  }
+  return position
+}
+
+/**
+ * Replace the TP/SL of an open OKX position
+ *
+ * Places a new TP/SL algo, then cancels the algo orders that protected the
+ * position until then (the one attached at entry and any placed later), so
+ * the position is never left unprotected if OKX rejects the new one.
+ * Passing neither takeProfit nor stopLoss just removes the protection.
+ *
+ * Percent and ATR values are measured from the entry price; 'price'
+ * values are absolute trigger prices.
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {Object} options - { type, takeProfit, stopLoss }
+ * @returns {Object} - { instId, takeProfit, stopLoss, algoClOrdId }
+ */
+export async function updatePositionTpSl(instId, { type = 'price', takeProfit = null, stopLoss = null } = {}) {
+  const position = await getOpenOkxPosition(instId)
+
+  const entrySide = position.side === 'long' ? 'buy' : 'sell'
+  let atr = null
+  if (type === 'atr') {
+    const { candleTimeframe, tpsl } = getTradeConfig()
+    atr = calculateATR(await getRecentCandles(instId, candleTimeframe, tpsl.atrPeriod + 1), tpsl.atrPeriod)
+  }
+
+  // Validate against the current price so OKX doesn't trigger immediately
+  const { tickSz } = await getInstrument(instId)
+  const prices = computeProtectionPrices({
+    side: entrySide,
+    referencePrice: type === 'price' ? position.currentPrice : position.entryPrice,
+    type,
+    takeProfit,
+    stopLoss,
+    atr,
+    tickSize: tickSz,
+  })
+  if (type !== 'price') {
+    computeProtectionPrices({ side: entrySide, referencePrice: position.currentPrice, type: 'price', ...prices })
+  }
+
+  // Existing protection, replaced once the new TP/SL is accepted
+  const algoIds = [...position.tpslAlgoIds]
+  const local = getLocalPositions().find(p => p.instId === instId)
+  const attached = await getActiveAlgo(local?.tpslAlgoClOrdId)
+  if (attached && !algoIds.includes(attached.algoId)) {
+    algoIds.push(attached.algoId)
+  }
+
+  // Place first: if OKX rejects it the old TP/SL stays in force
+  let algoClOrdId = null
+  if (prices.takeProfit || prices.stopLoss) {
+    const algo = await placeTpSlOrder(instId, { positionSide: position.side, ...prices })
+    algoClOrdId = algo.algoClOrdId
+  }
+
+  await cancelReplacedAlgos(instId, algoIds, 'TP/SL')
+
+  updatePositionProtection(instId, { ...prices, tpslAlgoClOrdId: algoClOrdId })
+  addLog(algoClOrdId
+    ? `[${instId}] TP/SL updated: TP ${prices.takeProfit ?? '-'} / SL ${prices.stopLoss ?? '-'}`
+    : `[${instId}] TP/SL removed`, 'trade')
+
+  return { instId, ...prices, algoClOrdId }
+}
+
+/**
+ * Set or replace the trailing stop of an open OKX position
+ *
+ * Places a move_order_stop algo on OKX (then cancels any trail it replaces) and
+ * starts tracking the trail level locally from the current price.
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {Object} options - { type: 'ratio'|'spread', value }
+ * @returns {Object} - Trail { type, value, bestPrice, stopPrice, algoId, algoClOrdId }
+ */
+export async function setPositionTrail(instId, { type = 'ratio', value } = {}) {
+  const position = await getOpenOkxPosition(instId)
+  const trail = createTrail({
+    side: position.side === 'long' ? 'buy' : 'sell',
+    price: position.currentPrice,
+    type,
+    value,
+  })
+
+  // Place first: if OKX rejects it the old trail stays in force
+  const local = getLocalPositions().find(p => p.instId === instId)
+  const previous = await getActiveAlgo(local?.trail?.algoClOrdId)
+  const algo = await placeTrailingStop(instId, { positionSide: position.side, type, value })
+  await cancelReplacedAlgos(instId, previous ? [previous.algoId] : [], 'trailing stop')
+
+  const placed = { ...trail, algoId: algo.algoId, algoClOrdId: algo.algoClOrdId }
+  updatePositionTrail(instId, placed)
+  addLog(`[${instId}] Trailing stop set: ${type === 'ratio' ? `${value}%` : value} (stop ${placed.stopPrice})`, 'trade')
+
+  return placed
+}
+
+/**
+ * Remove the trailing stop of a position
+ */
+export async function removePositionTrail(instId) {
+  await cancelPositionTrail(instId)
+  updatePositionTrail(instId, null)
+  addLog(`[${instId}] Trailing stop removed`, 'trade')
+}
+
+/**
+ * Cancel algos superseded by a newly placed one
+ *
+ * The position is already protected by the new algo, so a failed cancel is
+ * logged instead of failing the update.
+ */
+async function cancelReplacedAlgos(instId, algoIds, label) {
+  for (const algoId of algoIds) {
+    try {
+      await cancelAlgoOrder(`${instId}-SWAP`, algoId)
+    } catch (error) {
+      addLog(`[${instId}] Failed to cancel previous ${label} ${algoId}: ${error.message} - cancel it on OKX`, 'error')
+    }
+  }
+}
+
+/**
+ * Cancel the active trailing stop algo of a position on OKX (if any)
+ */
+async function cancelPositionTrail(instId) {
+  const local = getLocalPositions().find(p => p.instId === instId)
+  const algo = await getActiveAlgo(local?.trail?.algoClOrdId)
+  if (algo) {
+    await cancelAlgoOrder(`${instId}-SWAP`, algo.algoId)
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Position Protection: Take-Profit / Stop-Loss and Trailing Stops
+ *
+ * Converts TP/SL settings into trigger prices. Supported types:
+ * - 'percent': takeProfit/stopLoss are % price moves from the entry
+ * - 'atr': takeProfit/stopLoss are multiples of the ATR
+ * - 'price': takeProfit/stopLoss are absolute trigger prices
+ *
+ * A null/0 takeProfit or stopLoss leaves that side unprotected.
+ */
+
+import { ATR } from 'technicalindicators'
+
+export const PROTECTION_TYPES = ['percent', 'atr', 'price']
+
+/**
+ * Calculate the latest Average True Range
+ *
+ * @param {Object[]} candles - Candles (oldest first)
+ * @param {number} period - ATR period
+ * @returns {number|null} - Latest ATR value
+ */
+export function calculateATR(candles, period = 14) {
+  if (!candles || candles.length <= period) return null
+
+  const values = ATR.calculate({
+    period,
+    high: candles.map(c => c.high),
+    low: candles.map(c => c.low),
+    close: candles.map(c => c.close),
+  })
+
+  return values[values.length - 1] ?? null
+}
+
+/**
+ * Round a price for order submission
+ *
+ * @param {number} price - Raw price
+ * @param {number} tickSize - Instrument tick size (optional)
+ */
+export function roundPrice(price, tickSize) {
+  if (price === null || price === undefined) return null
+  if (tickSize) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(tickSize)))
+    return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(decimals))
+  }
+  return parseFloat(price.toPrecision(6))
+}
+
+/**
+ * Round a USDT amount to cents
+ */
+export function roundUsdt(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Compute take-profit and stop-loss trigger prices
+ *
+ * @param {Object} options
+ * @param {string} options.side - Entry side: 'buy' (long) or 'sell' (short)
+ * @param {number} options.referencePrice - Entry (or current) price
+ * @param {string} options.type - 'percent', 'atr' or 'price'
+ * @param {number} options.takeProfit - TP value for the type
+ * @param {number} options.stopLoss - SL value for the type
+ * @param {number} options.atr - ATR value (required for type 'atr')
+ * @param {number} options.tickSize - Instrument tick size (optional)
+ * @returns {Object} - { takeProfit, stopLoss } trigger prices (null if unset)
+ */
+export function computeProtectionPrices({ side, referencePrice, type = 'percent', takeProfit, stopLoss, atr, tickSize }) {
+  if (!PROTECTION_TYPES.includes(type)) {
+    throw new Error(`Unsupported TP/SL type: ${type}`)
+  }
+  if (type === 'atr' && !atr) {
+    throw new Error('ATR unavailable for TP/SL calculation')
+  }
+
+  const direction = side === 'buy' ? 1 : -1
+  const distance = (value) => type === 'percent' ? referencePrice * (value / 100) : value * atr
+
+  let tpPrice = null
+  let slPrice = null
+
+  if (takeProfit) {
+    tpPrice = type === 'price' ? takeProfit : referencePrice + direction * distance(takeProfit)
+  }
+  if (stopLoss) {
+    slPrice = type === 'price' ? stopLoss : referencePrice - direction * distance(stopLoss)
+  }
+
+  if ((tpPrice !== null && tpPrice <= 0) || (slPrice !== null && slPrice <= 0)) {
+    throw new Error('TP/SL prices must be positive')
+  }
+
+  // TP must be on the profit side and SL on the loss side of the reference price
+  if (tpPrice !== null && (tpPrice - referencePrice) * direction <= 0) {
+    throw new Error(`Take-profit ${tpPrice} is on the wrong side of ${referencePrice} for a ${side === 'buy' ? 'long' : 'short'}`)
+  }
+  if (slPrice !== null && (referencePrice - slPrice) * direction <= 0) {
+    throw new Error(`Stop-loss ${slPrice} is on the wrong side of ${referencePrice} for a ${side === 'buy' ? 'long' : 'short'}`)
+  }
+
+  return {
+    takeProfit: roundPrice(tpPrice, tickSize),
+    stopLoss: roundPrice(slPrice, tickSize),
+  }
+}
+
+/**
+ * Trailing stops
+ *
+ * The trail is enforced on OKX by a move_order_stop algo order. A local copy
+ * follows the same rule on every price update so the dashboard can show
+ * the current trail level:
+ * - 'ratio': stop trails the best price by `value` percent
+ * - 'spread': stop trails the best price by `value` (absolute price distance)
+ */
+export const TRAIL_TYPES = ['ratio', 'spread']
+
+/**
+ * Stop level for a trail at its best price
+ */
+function trailStopPrice(side, bestPrice, type, value) {
+  const distance = type === 'ratio' ? bestPrice * (value / 100) : value
+  return side === 'buy' ? bestPrice - distance : bestPrice + distance
+}
+
+/**
+ * Create a trail for a position
+ *
+ * @param {Object} options
+ * @param {string} options.side - Entry side: 'buy' (long) or 'sell' (short)
+ * @param {number} options.price - Current price (starting best price)
+ * @param {string} options.type - 'ratio' or 'spread'
+ * @param {number} options.value - Callback percent (ratio) or price distance (spread)
+ * @returns {Object} - { type, value, bestPrice, stopPrice }
+ */
+export function createTrail({ side, price, type = 'ratio', value }) {
+  if (!TRAIL_TYPES.includes(type)) {
+    throw new Error(`Unsupported trail type: ${type}`)
+  }
+  if (typeof value !== 'number' || value <= 0) {
+    throw new Error('Trail value must be a positive number')
+  }
+  // OKX accepts callback ratios between 0.1% and 100%
+  if (type === 'ratio' && (value < 0.1 || value > 100)) {
+    throw new Error('Trail ratio must be between 0.1 and 100 (%)')
+  }
+  if (type === 'spread' && value >= price && side === 'buy') {
+    throw new Error(`Trail distance ${value} must be below the price ${price}`)
+  }
+
+  return {
+    type,
+    value,
+    bestPrice: price,
+    stopPrice: roundPrice(trailStopPrice(side, price, type, value)),
+  }
+}
+
+/**
+ * Ratchet a trail with a new price (the stop only moves in our favor)
+ *
+ * @returns {Object} - Updated trail (same object if unchanged)
+ */
+export function updateTrail(trail, side, price) {
+  const improved = side === 'buy' ? price > trail.bestPrice : price < trail.bestPrice
+  if (!improved) return trail
+
+  return {
+    ...trail,
+    bestPrice: price,
+    stopPrice: roundPrice(trailStopPrice(side, price, trail.type, trail.value)),
+  }
+}
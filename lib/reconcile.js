@@ -0,0 +1,157 @@
+/**
+ * Position Reconciliation
+ *
+ * Diffs the local position list (botState.positions) against the positions
+ * OKX actually holds. The local list drifts when an order fails, a position
+ * is liquidated, TP/SL fires or a position is closed on the OKX app.
+ *
+ * Discrepancy types:
+ * - 'missing_locally': open on OKX, not tracked locally
+ * - 'missing_on_exchange': tracked locally, not open on OKX
+ * - 'side_mismatch': local and OKX positions are on opposite sides
+ * - 'size_mismatch': contract counts differ (only checked when known locally)
+ *
+ * With autoHeal (tradeConfig.reconcile) the local list is corrected to match
+ * OKX; otherwise discrepancies are only flagged in the report and the logs.
+ * Only local positions of the current trading mode are compared, and pairs
+ * with a working or pending (interrupted) entry order (lib/execution.js) are
+ * left until it's done.
+ */
+
+import { getPositions as getOkxPositions, getTradingMode } from '@/lib/okxClient'
+import {
+  addLog,
+  getPositions as getLocalPositions,
+  getPairPendingEntry,
+  getTradeConfig,
+  getWorkingOrder,
+  setInstrumentPosition,
+  removePositionsForInstrument,
+} from '@/lib/state'
+
+export const DISCREPANCY_TYPES = ['missing_locally', 'missing_on_exchange', 'side_mismatch', 'size_mismatch']
+
+// Contract counts closer than this are considered equal (float noise)
+const SIZE_TOLERANCE = 1e-8
+
+// Report of the last run (served by GET /api/reconcile)
+let lastReport = null
+
+/**
+ * Local position fields taken from an OKX position
+ */
+function fromOkxPosition(okxPos, mode) {
+  return {
+    side: okxPos.side === 'long' ? 'buy' : 'sell',
+    size: okxPos.positionValue || okxPos.margin * okxPos.leverage,
+    contracts: okxPos.size,
+    entryPrice: okxPos.entryPrice,
+    currentPrice: okxPos.currentPrice,
+    leverage: okxPos.leverage,
+    mode,
+  }
+}
+
+/**
+ * Short description of a position for reports and logs
+ */
+function describe(pos, isLocal) {
+  if (!pos) return null
+  return {
+    side: isLocal ? (pos.side === 'buy' ? 'long' : 'short') : pos.side,
+    contracts: isLocal ? pos.contracts ?? null : pos.size,
+    entryPrice: pos.entryPrice,
+  }
+}
+
+/**
+ * Compare local and OKX positions and (optionally) correct the local list
+ *
+ * @param {Object} options
+ * @param {boolean} options.autoHeal - Correct local state (default: tradeConfig.reconcile.autoHeal)
+ * @returns {Object} - Report { checkedAt, mode, autoHeal, inSync, discrepancies, ... }
+ */
+export async function reconcilePositions({ autoHeal = getTradeConfig().reconcile.autoHeal } = {}) {
+  const mode = getTradingMode()
+  const okxPositions = (await getOkxPositions()).filter(p => p.size > 0)
+  const allLocal = getLocalPositions()
+  const localPositions = allLocal.filter(p => p.mode === mode)
+
+  const exchangeByInstId = new Map(okxPositions.map(p => [p.instId.replace('-SWAP', ''), p]))
+  const localByInstId = new Map(localPositions.map(p => [p.instId, p]))
+  const allInstIds = [...new Set([...exchangeByInstId.keys(), ...localByInstId.keys()])]
+  // A partially filled limit entry is recorded locally once it completes,
+  // an interrupted one once the next cycle has looked its order up
+  const instIds = allInstIds.filter(instId => !getWorkingOrder(instId) && !getPairPendingEntry(instId))
+
+  const discrepancies = []
+
+  for (const instId of instIds) {
+    const exchange = exchangeByInstId.get(instId)
+    const local = localByInstId.get(instId)
+
+    let type = null
+    if (!local) {
+      type = 'missing_locally'
+    } else if (!exchange) {
+      type = 'missing_on_exchange'
+    } else if ((local.side === 'buy' ? 'long' : 'short') !== exchange.side) {
+      type = 'side_mismatch'
+    } else if (local.contracts != null && Math.abs(local.contracts - exchange.size) > SIZE_TOLERANCE) {
+      type = 'size_mismatch'
+    }
+    if (!type) continue
+
+    const discrepancy = {
+      type,
+      instId,
+      local: describe(local, true),
+      exchange: describe(exchange, false),
+      action: 'flagged',
+    }
+
+    if (autoHeal) {
+      if (type === 'missing_on_exchange') {
+        removePositionsForInstrument(instId)
+      } else if (type === 'missing_locally') {
+        setInstrumentPosition(instId, {
+          ...fromOkxPosition(exchange, mode),
+          takeProfit: exchange.takeProfit,
+          stopLoss: exchange.stopLoss,
+        })
+      } else {
+        setInstrumentPosition(instId, fromOkxPosition(exchange, mode))
+      }
+      discrepancy.action = 'healed'
+    }
+
+    const localText = local ? `${discrepancy.local.side} ${discrepancy.local.contracts ?? '?'}` : 'none'
+    const exchangeText = exchange ? `${exchange.side} ${exchange.size}` : 'none'
+    addLog(`[${instId}] Reconcile ${type} (local: ${localText}, OKX: ${exchangeText}) - ${discrepancy.action}`,
+      discrepancy.action === 'healed' ? 'info' : 'error')
+
+    discrepancies.push(discrepancy)
+  }
+
+  lastReport = {
+    checkedAt: new Date().toISOString(),
+    mode,
+    autoHeal,
+    inSync: discrepancies.length === 0,
+    exchangeCount: okxPositions.length,
+    localCount: localPositions.length,
+    // Local positions opened in another trading mode are left alone
+    ignoredLocal: allLocal.length - localPositions.length,
+    skippedWorking: allInstIds.length - instIds.length,
+    discrepancies,
+  }
+
+  return lastReport
+}
+
+/**
+ * Get the report of the last reconciliation run (null if none yet)
+ */
+export function getLastReconciliation() {
+  return lastReport
+}
@@ -0,0 +1,62 @@
+/**
+ * Revoked Sessions
+ *
+ * Session cookies are stateless (signed with AUTH_SECRET, see
+ * lib/session.js), so logging out can't take one back by itself. Each
+ * session carries a random id; logging out records it here until the
+ * session would have expired anyway, and requests presenting it are refused.
+ *
+ * Kept in .data/revoked-sessions.json so a restart doesn't bring logged-out
+ * sessions back. Needs the filesystem, so only the API routes (Node runtime)
+ * check it; the middleware only verifies signatures and expiry.
+ */
+
+import { dataPath, readJsonFile, writeJsonFileAtomic } from '@/lib/storage'
+
+// Shared by every module instance
+const REVOKED_KEY = Symbol.for('okx-bot.revokedSessions')
+
+function revokedFile() {
+  return dataPath('revoked-sessions.json')
+}
+
+/**
+ * Session id -> expiry (ms), loaded from disk on first use
+ */
+function getRevoked() {
+  if (!globalThis[REVOKED_KEY]) {
+    globalThis[REVOKED_KEY] = new Map(Object.entries(readJsonFile(revokedFile(), {})))
+  }
+  return globalThis[REVOKED_KEY]
+}
+
+/**
+ * Drop entries whose sessions have expired on their own
+ */
+function prune(revoked) {
+  const now = Date.now()
+  for (const [sessionId, expiresAt] of revoked) {
+    if (expiresAt <= now) revoked.delete(sessionId)
+  }
+}
+
+/**
+ * Revoke a session
+ *
+ * @param {string} sessionId - Session id from the cookie
+ * @param {string} expiresAt - When the session expires (ISO)
+ */
+export function revokeSession(sessionId, expiresAt) {
+  if (!sessionId) return
+  const revoked = getRevoked()
+  prune(revoked)
+  revoked.set(sessionId, new Date(expiresAt).getTime())
+  writeJsonFileAtomic(revokedFile(), Object.fromEntries(revoked))
+}
+
+/**
+ * Check if a session was logged out
+ */
+export function isSessionRevoked(sessionId) {
+  return Boolean(sessionId) && getRevoked().has(sessionId)
+}
@@ -0,0 +1,247 @@
+/**
+ * Risk Manager
+ *
+ * Consulted before every entry order. Trips a circuit breaker when any of
+ * the limits in tradeConfig.risk is breached:
+ * - maxDailyLoss: equity lost since the first check of the UTC day (USDT),
+ *   so it covers realized and unrealized P&L, fees and funding
+ * - maxConsecutiveLosses: losing closes in a row in the trade log
+ * - maxDrawdownPercent: equity below its peak (%)
+ *
+ * Depending on onTrip the bot is stopped ('stop') or keeps managing open
+ * positions without opening new ones ('pause'). The trip is kept in
+ * botState.risk (and survives restarts) until resetCircuitBreaker().
+ *
+ * Exposure limits (tradeConfig.exposure) are checked per entry as well;
+ * they only reject the entry, they don't trip the breaker.
+ */
+
+import { getEquity, getTradingMode, getPositions as getOkxPositions } from '@/lib/okxClient'
+import { addLog, botState, getTradeConfig, setBotRunning, updateRiskState, EXPOSURE_LIMITS } from '@/lib/state'
+import { queryTrades } from '@/lib/tradeLog'
+
+/**
+ * Count the losing closes in a row (newest first) since the last reset
+ */
+function countConsecutiveLosses(mode, since) {
+  let count = 0
+  let cursor = null
+
+  do {
+    const page = queryTrades({ mode, startDate: since, limit: 50, cursor })
+    for (const trade of page.trades) {
+      if (trade.action !== 'close') continue
+      if (parseFloat(trade.pnlUsdt) >= 0) return count
+      count++
+    }
+    cursor = page.nextCursor
+  } while (cursor)
+
+  return count
+}
+
+/**
+ * First limit breached by the current metrics (null if none)
+ */
+function findBreach(config, metrics) {
+  if (config.maxDailyLoss !== null && metrics.dailyLoss >= config.maxDailyLoss) {
+    return {
+      rule: 'maxDailyLoss',
+      reason: `Daily loss ${metrics.dailyLoss.toFixed(2)} USDT reached the ${config.maxDailyLoss} USDT limit`,
+      value: metrics.dailyLoss,
+      limit: config.maxDailyLoss,
+    }
+  }
+  if (config.maxConsecutiveLosses !== null && metrics.consecutiveLosses >= config.maxConsecutiveLosses) {
+    return {
+      rule: 'maxConsecutiveLosses',
+      reason: `${metrics.consecutiveLosses} losing trades in a row (limit ${config.maxConsecutiveLosses})`,
+      value: metrics.consecutiveLosses,
+      limit: config.maxConsecutiveLosses,
+    }
+  }
+  if (config.maxDrawdownPercent !== null && metrics.drawdownPercent >= config.maxDrawdownPercent) {
+    return {
+      rule: 'maxDrawdownPercent',
+      reason: `Drawdown ${metrics.drawdownPercent.toFixed(2)}% from the equity peak reached the ${config.maxDrawdownPercent}% limit`,
+      value: metrics.drawdownPercent,
+      limit: config.maxDrawdownPercent,
+    }
+  }
+  return null
+}
+
+/**
+ * Record a trip and stop the bot or pause entries
+ */
+function tripCircuitBreaker(breach, action) {
+  updateRiskState({
+    tripped: { ...breach, action, trippedAt: new Date().toISOString() },
+  })
+  addLog(`Circuit breaker tripped: ${breach.reason} - ${action === 'stop' ? 'bot stopped' : 'new entries paused'} until reset`, 'error')
+
+  if (action === 'stop' && botState.isRunning) {
+    setBotRunning(false)
+  }
+}
+
+/**
+ * Check the risk limits
+ *
+ * Updates the tracked equity marks, trips the circuit breaker on a breach
+ * and tells the caller whether a new entry is allowed. Throws if equity
+ * can't be fetched, so callers fail closed.
+ *
+ * @returns {Object} - { allowed, reason?, metrics? }
+ */
+export async function checkRisk() {
+  const risk = botState.risk
+  if (risk.tripped) {
+    return { allowed: false, reason: `Circuit breaker: ${risk.tripped.reason}` }
+  }
+
+  const config = getTradeConfig().risk
+  if (!config.enabled) {
+    return { allowed: true }
+  }
+
+  const mode = getTradingMode()
+  const equity = await getEquity()
+  const day = new Date().toISOString().slice(0, 10)
+  // Equity marks from another mode's account don't apply
+  const sameMode = risk.mode === mode
+
+  const dayStartEquity = sameMode && risk.day === day && risk.dayStartEquity !== null
+    ? risk.dayStartEquity
+    : equity
+  const peakEquity = sameMode && risk.peakEquity !== null ? Math.max(risk.peakEquity, equity) : equity
+
+  updateRiskState({
+    mode,
+    day,
+    dayStartEquity,
+    peakEquity,
+    lastEquity: equity,
+    checkedAt: new Date().toISOString(),
+  })
+
+  const metrics = {
+    equity,
+    dailyLoss: Math.max(0, dayStartEquity - equity),
+    consecutiveLosses: countConsecutiveLosses(mode, risk.resetAt),
+    drawdownPercent: peakEquity > 0 ? ((peakEquity - equity) / peakEquity) * 100 : 0,
+  }
+
+  const breach = findBreach(config, metrics)
+  if (breach) {
+    tripCircuitBreaker(breach, config.onTrip)
+    return { allowed: false, reason: `Circuit breaker: ${breach.reason}`, metrics }
+  }
+
+  return { allowed: true, metrics }
+}
+
+/**
+ * Clear a tripped circuit breaker
+ *
+ * Daily loss, drawdown and the losing streak are measured afresh from the
+ * next check. A bot stopped by the breaker has to be started again.
+ */
+export function resetCircuitBreaker() {
+  const tripped = botState.risk.tripped
+  updateRiskState({
+    tripped: null,
+    resetAt: new Date().toISOString(),
+    dayStartEquity: null,
+    peakEquity: null,
+  })
+  addLog(tripped ? `Circuit breaker reset (was: ${tripped.reason})` : 'Risk tracking reset', 'info')
+}
+
+// Exposure metric limited by each tradeConfig.exposure key
+const EXPOSURE_METRICS = {
+  maxOpenPositions: 'openPositions',
+  maxTotalNotional: 'totalNotional',
+  maxPairNotional: 'pairNotional',
+  maxNetLong: 'netLong',
+  maxNetShort: 'netShort',
+}
+
+/**
+ * Portfolio exposure totals from signed USDT notional per pair (long positive)
+ */
+function measureExposure(notionalByInstId) {
+  const values = Object.values(notionalByInstId)
+  const net = values.reduce((sum, v) => sum + v, 0)
+  return {
+    openPositions: values.filter(v => Math.abs(v) > 1e-9).length,
+    totalNotional: values.reduce((sum, v) => sum + Math.abs(v), 0),
+    netLong: net,
+    netShort: -net,
+  }
+}
+
+/**
+ * Get the current exposure (signed notional per pair and totals)
+ */
+export async function getExposure() {
+  const okxPositions = (await getOkxPositions()).filter(p => p.size > 0)
+  const pairs = {}
+  for (const pos of okxPositions) {
+    const notional = pos.positionValue || pos.margin * pos.leverage
+    pairs[pos.instId.replace('-SWAP', '')] = pos.side === 'long' ? notional : -notional
+  }
+  return { pairs, ...measureExposure(pairs) }
+}
+
+/**
+ * Check an entry against the exposure limits
+ *
+ * The entry is applied to the current positions (net mode: an opposite
+ * entry reduces or flips the pair) and rejected if that breaches a limit.
+ * Entries that reduce an exposure already over its limit are allowed.
+ *
+ * @param {string} instId - Instrument ID (e.g., 'BTC-USDT')
+ * @param {string} side - 'buy' or 'sell'
+ * @param {number} notional - Entry position value in USDT
+ * @returns {Object} - { allowed, limit?, reason? }
+ */
+export async function checkExposure(instId, side, notional) {
+  const config = getTradeConfig().exposure
+  if (!config.enabled) {
+    return { allowed: true }
+  }
+
+  const current = await getExposure()
+  const projectedPairs = { ...current.pairs }
+  projectedPairs[instId] = (projectedPairs[instId] || 0) + (side === 'buy' ? notional : -notional)
+  const projected = {
+    ...measureExposure(projectedPairs),
+    pairNotional: Math.abs(projectedPairs[instId]),
+  }
+  current.pairNotional = Math.abs(current.pairs[instId] || 0)
+
+  for (const limit of EXPOSURE_LIMITS) {
+    const metric = EXPOSURE_METRICS[limit]
+    if (config[limit] === null) continue
+    if (projected[metric] > config[limit] && projected[metric] > current[metric]) {
+      const value = limit === 'maxOpenPositions' ? projected[metric] : projected[metric].toFixed(2)
+      const reason = `Exposure limit ${limit}: ${value} would exceed ${config[limit]}`
+      addLog(`[${instId}] Entry blocked - ${reason}`, 'info')
+      return { allowed: false, limit, reason }
+    }
+  }
+
+  return { allowed: true }
+}
+
+/**
+ * Risk limits and tracking for the dashboard and /api/risk
+ */
+export function getRiskStatus() {
+  return {
+    config: { ...getTradeConfig().risk },
+    exposureConfig: { ...getTradeConfig().exposure },
+    ...botState.risk,
+  }
+}
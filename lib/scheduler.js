@@ -0,0 +1,139 @@
+/**
+ * Bot Scheduler
+ *
+ * Drives executeTradingCycle() on the server so the bot keeps trading
+ * without an open dashboard tab.
+ *
+ * - Started by POST /api/bot { action: 'start' }, stopped by 'stop'
+ * - Cycles are aligned to the close of the configured candle timeframe,
+ *   plus a short settle delay so OKX has confirmed the closed bar
+ * - Uses chained timeouts so cycles never overlap
+ * - Reports next run time and last cycle duration via getState()
+ */
+
+import { executeTradingCycle } from '@/lib/bot'
+import { addLog, botState, getTradeConfig, updateSchedulerState } from '@/lib/state'
+import { getNextCandleClose } from '@/lib/timeframes'
+
+// Keep the timer handle and the overlap guard on globalThis so a dev
+// hot-reload of this module neither leaves an orphaned timer running a
+// second loop nor starts a cycle on top of one still running
+const SCHEDULER_KEY = Symbol.for('okx-bot.scheduler')
+
+function getScheduler() {
+  if (!globalThis[SCHEDULER_KEY]) {
+    // cycleInProgress guards against overlapping cycles (scheduled vs. forced)
+    globalThis[SCHEDULER_KEY] = { timer: null, cycleInProgress: false }
+  }
+  return globalThis[SCHEDULER_KEY]
+}
+
+function clearTimer() {
+  const scheduler = getScheduler()
+  if (scheduler.timer) {
+    clearTimeout(scheduler.timer)
+    scheduler.timer = null
+  }
+}
+
+/**
+ * Get the delay until the next candle close plus settle time
+ */
+function getDelayToNextClose() {
+  const { candleTimeframe, settleSeconds } = getTradeConfig()
+  const settleMs = settleSeconds * 1000
+  const now = Date.now()
+  
+  // Shifting by the settle time means a candle that closed less than
+  // settleSeconds ago is still picked up instead of waiting a whole bar
+  const nextClose = getNextCandleClose(candleTimeframe, now - settleMs)
+  return nextClose + settleMs - now
+}
+
+/**
+ * Schedule the next cycle
+ */
+function scheduleNext(delay = getDelayToNextClose()) {
+  clearTimer()
+
+  if (!botState.isRunning) {
+    updateSchedulerState({ nextRunAt: null })
+    return
+  }
+
+  const nextRunAt = Date.now() + delay
+  updateSchedulerState({ nextRunAt: new Date(nextRunAt).toISOString() })
+
+  const scheduler = getScheduler()
+  scheduler.timer = setTimeout(async () => {
+    scheduler.timer = null
+    await runCycle()
+    scheduleNext()
+  }, delay)
+}
+
+/**
+ * Run a single trading cycle, skipping it if one is already in progress
+ */
+export async function runCycle() {
+  const scheduler = getScheduler()
+  if (scheduler.cycleInProgress) {
+    addLog('Cycle skipped - previous cycle still running', 'info')
+    return { executed: false, skipped: true, reason: 'Cycle already in progress', trades: [] }
+  }
+
+  scheduler.cycleInProgress = true
+  const startedAt = Date.now()
+  updateSchedulerState({
+    cycleInProgress: true,
+    lastCycleStartedAt: new Date(startedAt).toISOString(),
+  })
+
+  try {
+    return await executeTradingCycle()
+  } catch (error) {
+    return { executed: false, reason: error.message, trades: [] }
+  } finally {
+    scheduler.cycleInProgress = false
+    updateSchedulerState({
+      cycleInProgress: false,
+      lastCycleDurationMs: Date.now() - startedAt,
+      cyclesRun: botState.scheduler.cyclesRun + 1,
+    })
+  }
+}
+
+/**
+ * Start the scheduler (runs the first cycle immediately)
+ */
+export function startScheduler() {
+  const { candleTimeframe, settleSeconds } = getTradeConfig()
+  addLog(`Scheduler started - cycle on each ${candleTimeframe} candle close (+${settleSeconds}s)`, 'info')
+  scheduleNext(0)
+}
+
+/**
+ * Re-align the pending cycle, e.g. after the timeframe was changed
+ */
+export function rescheduleScheduler() {
+  if (getScheduler().timer) {
+    scheduleNext()
+  }
+}
+
+/**
+ * Stop the scheduler. A cycle already in progress is allowed to finish.
+ */
+export function stopScheduler() {
+  clearTimer()
+  updateSchedulerState({ nextRunAt: null })
+  addLog('Scheduler stopped', 'info')
+}
+
+/**
+ * Check if a cycle is scheduled
+ */
+export function isSchedulerActive() {
+  const scheduler = getScheduler()
+  return !!scheduler.timer || scheduler.cycleInProgress
+}
@@ -0,0 +1,325 @@
+/**
+ * Request Authentication
+ *
+ * Verifies the credentials a request carries, for middleware.js and the
+ * API routes:
+ * - Dashboard sessions: an HttpOnly cookie holding the username and expiry,
+ *   signed with HMAC-SHA256 using AUTH_SECRET (issued by /api/auth after a
+ *   password login, see lib/auth.js)
+ * - API tokens for scripts: 'Authorization: Bearer <token>', checked against
+ *   the SHA-256 hashes in API_TOKEN_HASHES (comma-separated)
+ *
+ * Every user and token has a role (ROLES, each includes the ones before it):
+ * - 'viewer': read-only access
+ * - 'operator': start/stop the bot, run cycles, close and protect positions
+ * - 'admin': trading mode, trade config, paper account and clearing trade history
+ *
+ * Users are DASHBOARD_USERNAME / DASHBOARD_PASSWORD_HASH (role
+ * DASHBOARD_ROLE, default 'admin') plus DASHBOARD_USERS entries
+ * '<username>:<role>:<password hash>' (comma-separated). Token entries are
+ * '<role>:<hash>' or a bare hash (admin). Roles are looked up on every
+ * request, so a changed role or a removed user applies to open sessions.
+ *
+ * Each session has a random id that logging out revokes
+ * (lib/revokedSessions.js). That list is on disk, so only the API routes
+ * (Node runtime) check it: a logged-out cookie still passes the middleware
+ * but every API request made with it is refused.
+ *
+ * Only Web Crypto is used, so this module runs in the Edge runtime the
+ * middleware runs in as well as in Node. Set AUTH_DISABLED=true to turn
+ * authentication off (local development only).
+ */
+
+import { NextResponse } from 'next/server'
+
+export const SESSION_COOKIE = 'okx_bot_session'
+
+// Headers the middleware sets on authenticated requests (client values are dropped)
+export const AUTH_USER_HEADER = 'x-auth-user'
+export const AUTH_ROLE_HEADER = 'x-auth-role'
+export const AUTH_METHOD_HEADER = 'x-auth-method'
+export const AUTH_SESSION_HEADER = 'x-auth-session'
+
+// Lowest to highest
+export const ROLES = ['viewer', 'operator', 'admin']
+
+const DEFAULT_SESSION_TTL_HOURS = 12
+
+// HMAC keys shorter than this are refused
+const MIN_SECRET_LENGTH = 32
+
+const encoder = new TextEncoder()
+
+/**
+ * Check if authentication is turned off (AUTH_DISABLED=true)
+ */
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true'
+}
+
+/**
+ * Session lifetime in milliseconds (SESSION_TTL_HOURS, default 12)
+ */
+export function getSessionTtlMs() {
+  return (parseFloat(process.env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET
+  return secret && secret.length >= MIN_SECRET_LENGTH ? secret : null
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Check if a role is at least the required role
+ */
+export function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required)
+}
+
+/**
+ * Dashboard users from the configuration, including entries with an unknown role
+ */
+function readDashboardUsers() {
+  const users = new Map()
+
+  if (process.env.DASHBOARD_USERNAME && process.env.DASHBOARD_PASSWORD_HASH) {
+    users.set(process.env.DASHBOARD_USERNAME, {
+      role: process.env.DASHBOARD_ROLE || 'admin',
+      passwordHash: process.env.DASHBOARD_PASSWORD_HASH,
+    })
+  }
+  for (const entry of splitList(process.env.DASHBOARD_USERS)) {
+    // The hash itself contains ':'
+    const [username, role, ...hash] = entry.split(':')
+    users.set(username, { role, passwordHash: hash.join(':') })
+  }
+
+  return users
+}
+
+/**
+ * Dashboard users with a valid role
+ *
+ * @returns {Map<string, Object>} - username -> { role, passwordHash }
+ */
+export function getDashboardUsers() {
+  const users = readDashboardUsers()
+  for (const [username, user] of users) {
+    if (!ROLES.includes(user.role)) users.delete(username)
+  }
+  return users
+}
+
+function getApiTokens() {
+  return splitList(process.env.API_TOKEN_HASHES)
+    .map(entry => {
+      const [role, hash] = entry.includes(':') ? entry.split(':') : ['admin', entry]
+      return { role, hash: hash.toLowerCase() }
+    })
+    .filter(token => ROLES.includes(token.role))
+}
+
+/**
+ * What is configured: sessions need AUTH_SECRET and at least one dashboard user
+ */
+export function getAuthConfigStatus() {
+  return {
+    disabled: isAuthDisabled(),
+    sessions: Boolean(getSecret() && getDashboardUsers().size > 0),
+    users: getDashboardUsers().size,
+    // Entries ignored because of an unknown role
+    invalidUsers: [...readDashboardUsers().entries()].filter(([, user]) => !ROLES.includes(user.role)).map(([username]) => username),
+    apiTokens: getApiTokens().length,
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Compare two byte arrays (or strings) in constant time
+ */
+function timingSafeEqual(a, b) {
+  const left = typeof a === 'string' ? encoder.encode(a) : a
+  const right = typeof b === 'string' ? encoder.encode(b) : b
+  if (left.length !== right.length) return false
+  let diff = 0
+  for (let i = 0; i < left.length; i++) diff |= left[i] ^ right[i]
+  return diff === 0
+}
+
+/**
+ * Check if a session was logged out
+ *
+ * The Edge runtime can't read the revocation list; there this is always
+ * false and the API routes check again (authenticateRequest, requireRole).
+ */
+function isRevoked(sessionId) {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    return require('@/lib/revokedSessions').isSessionRevoked(sessionId)
+  }
+  return false
+}
+
+async function sign(payload, secret) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)))
+}
+
+/**
+ * Create a signed session token
+ *
+ * @param {string} username
+ * @returns {Promise<string>} - Cookie value
+ * @throws If AUTH_SECRET is missing or too short
+ */
+export async function createSessionToken(username) {
+  const secret = getSecret()
+  if (!secret) {
+    throw new Error(`AUTH_SECRET must be set (at least ${MIN_SECRET_LENGTH} characters)`)
+  }
+  const session = { u: username, sid: crypto.randomUUID(), exp: Date.now() + getSessionTtlMs() }
+  const payload = toBase64Url(encoder.encode(JSON.stringify(session)))
+  return `${payload}.${toBase64Url(await sign(payload, secret))}`
+}
+
+/**
+ * Verify a session token
+ *
+ * @returns {Promise<Object|null>} - { username, role, sessionId, expiresAt }, or null if
+ *   invalid, expired, logged out or the user no longer exists
+ */
+export async function verifySessionToken(token) {
+  const secret = getSecret()
+  if (!secret || !token) return null
+
+  const [payload, signature] = token.split('.')
+  if (!payload || !signature) return null
+
+  try {
+    if (!timingSafeEqual(fromBase64Url(signature), await sign(payload, secret))) return null
+    const { u, sid, exp } = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)))
+    const user = getDashboardUsers().get(u)
+    if (!user || !sid || !(exp > Date.now()) || isRevoked(sid)) return null
+    return { username: u, role: user.role, sessionId: sid, expiresAt: new Date(exp).toISOString() }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check a bearer token against API_TOKEN_HASHES
+ *
+ * @returns {Promise<Object|null>} - { username ('token:<first 8 hex of its hash>'), role }, or null
+ */
+export async function verifyApiToken(token) {
+  const tokens = getApiTokens()
+  if (!token || tokens.length === 0) return null
+
+  const hash = toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token))))
+  const match = tokens.find(candidate => timingSafeEqual(candidate.hash, hash))
+  return match ? { username: `token:${match.hash.slice(0, 8)}`, role: match.role } : null
+}
+
+/**
+ * Authenticate a request by its bearer token or session cookie
+ *
+ * @param {Request} request - NextRequest (cookies are read from it)
+ * @returns {Promise<Object|null>} - { username, role, method: 'token'|'session' }
+ *   (plus sessionId and expiresAt for sessions), or null
+ */
+export async function authenticateRequest(request) {
+  const authorization = request.headers.get('authorization') || ''
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    const identity = await verifyApiToken(authorization.slice(7).trim())
+    return identity ? { ...identity, method: 'token' } : null
+  }
+
+  const session = await verifySessionToken(request.cookies.get(SESSION_COOKIE)?.value)
+  return session ? { ...session, method: 'session' } : null
+}
+
+/**
+ * Caller of a request that passed the middleware
+ *
+ * @returns {Object} - { username, role, method } (null fields if unauthenticated)
+ */
+export function getRequestUser(request) {
+  return {
+    username: request.headers.get(AUTH_USER_HEADER),
+    role: request.headers.get(AUTH_ROLE_HEADER),
+    method: request.headers.get(AUTH_METHOD_HEADER),
+  }
+}
+
+/**
+ * Number of reverse proxies in front of the app (TRUSTED_PROXY_COUNT, default 0)
+ */
+function getTrustedProxyCount() {
+  const count = parseInt(process.env.TRUSTED_PROXY_COUNT, 10)
+  return count > 0 ? count : 0
+}
+
+/**
+ * IP address a request came from, or null if it can't be trusted
+ *
+ * X-Forwarded-For is only read when TRUSTED_PROXY_COUNT is set: each trusted
+ * proxy appends the address it received the request from, so the client is
+ * the entry that many hops from the right and anything left of it may be
+ * forged. Otherwise the header is client-controlled and ignored; 'next start'
+ * doesn't expose the socket address, so there is no address to go by.
+ */
+export function getTrustedClientIp(request) {
+  const proxies = getTrustedProxyCount()
+  if (proxies > 0) {
+    const hops = (request.headers.get('x-forwarded-for') || '').split(',').map(hop => hop.trim()).filter(Boolean)
+    if (hops.length > 0) return hops[Math.max(hops.length - proxies, 0)]
+  }
+  return request.ip || null
+}
+
+/**
+ * IP address of a request for logs and the audit trail ('unknown' if untrusted)
+ */
+export function getClientIp(request) {
+  return getTrustedClientIp(request) || 'unknown'
+}
+
+/**
+ * Refuse a request whose caller lacks a role
+ *
+ * @param {Request} request
+ * @param {string} role - Minimum role ('viewer', 'operator' or 'admin')
+ * @returns {NextResponse|null} - 403 response (401 for a logged-out session), or null if allowed
+ */
+export function requireRole(request, role) {
+  const user = getRequestUser(request)
+  if (user.method === 'session' && isRevoked(request.headers.get(AUTH_SESSION_HEADER))) {
+    return NextResponse.json({
+      success: false,
+      error: 'Session has been logged out',
+    }, { status: 401 })
+  }
+  if (hasRole(user.role, role)) return null
+
+  return NextResponse.json({
+    success: false,
+    error: `Requires the ${role} role${user.role ? ` (you are ${user.role})` : ''}`,
+  }, { status: 403 })
+}
@@ -0,0 +1,97 @@
+/**
+ * Position Sizing
+ *
+ * Turns the sizing settings into the margin and position value of an entry.
+ * Supported modes:
+ * - 'fixed': tradeConfig.margin USDT of margin per trade
+ * - 'equity_percent': equityPercent % of account equity as margin
+ * - 'risk': lose riskPercent % of equity if the stop-loss is hit
+ *   (position value = risk amount / stop distance; needs a TP/SL stop-loss)
+ * - 'atr': lose riskPercent % of equity on a move of atrMultiple × ATR,
+ *   so volatile pairs get smaller positions
+ *
+ * Leverage stays tradeConfig.leverage in every mode; margin is capped at
+ * the account equity.
+ */
+
+import { roundUsdt } from '@/lib/protection'
+
+export const SIZING_MODES = ['fixed', 'equity_percent', 'risk', 'atr']
+
+// Modes that need the account equity
+export const EQUITY_SIZING_MODES = ['equity_percent', 'risk', 'atr']
+
+/**
+ * Compute the size of an entry
+ *
+ * @param {Object} options
+ * @param {Object} options.sizing - tradeConfig.sizing { mode, equityPercent, riskPercent, atrMultiple }
+ * @param {number} options.margin - Fixed margin (USDT) for mode 'fixed'
+ * @param {number} options.leverage - Leverage
+ * @param {number} options.price - Entry (current) price
+ * @param {number} options.equity - Account equity in USDT (modes other than 'fixed')
+ * @param {number} options.stopLoss - Stop-loss trigger price (mode 'risk')
+ * @param {number} options.atr - ATR value (mode 'atr')
+ * @returns {Object} - { mode, margin, leverage, positionValue, inputs }
+ */
+export function computePositionSize({ sizing, margin, leverage, price, equity, stopLoss, atr }) {
+  const mode = sizing.mode
+  if (!SIZING_MODES.includes(mode)) {
+    throw new Error(`Unsupported sizing mode: ${mode}`)
+  }
+  if (EQUITY_SIZING_MODES.includes(mode) && !(equity > 0)) {
+    throw new Error('Account equity unavailable for position sizing')
+  }
+
+  let positionValue
+  const inputs = { price }
+
+  if (mode === 'fixed') {
+    positionValue = margin * leverage
+    inputs.margin = margin
+  } else if (mode === 'equity_percent') {
+    positionValue = equity * (sizing.equityPercent / 100) * leverage
+    inputs.equity = equity
+    inputs.equityPercent = sizing.equityPercent
+  } else {
+    const riskAmount = equity * (sizing.riskPercent / 100)
+    let stopDistance
+
+    if (mode === 'risk') {
+      if (!stopLoss) {
+        throw new Error('Risk-based sizing needs a stop-loss (enable TP/SL)')
+      }
+      stopDistance = Math.abs(price - stopLoss)
+      inputs.stopLoss = stopLoss
+    } else {
+      if (!atr) {
+        throw new Error('ATR unavailable for position sizing')
+      }
+      stopDistance = atr * sizing.atrMultiple
+      inputs.atr = atr
+      inputs.atrMultiple = sizing.atrMultiple
+    }
+
+    // Position value at which a move of stopDistance loses riskAmount
+    positionValue = riskAmount / (stopDistance / price)
+    inputs.equity = equity
+    inputs.riskPercent = sizing.riskPercent
+    inputs.riskAmount = riskAmount
+    inputs.stopDistancePercent = (stopDistance / price) * 100
+  }
+
+  let sizedMargin = positionValue / leverage
+  if (EQUITY_SIZING_MODES.includes(mode) && sizedMargin > equity) {
+    sizedMargin = equity
+    positionValue = equity * leverage
+    inputs.capped = true
+  }
+
+  return {
+    mode,
+    margin: roundUsdt(sizedMargin),
+    leverage,
+    positionValue: roundUsdt(positionValue),
+    inputs,
+  }
+}
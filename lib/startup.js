@@ -0,0 +1,61 @@
+/**
+ * Server Startup
+ *
+ * Runs once per server process, when the API routes are first loaded
+ * (at boot in production, where next.config.js preloads every route).
+ * lib/state.js has already restored the last state snapshot by then:
+ * 1. Reconciles the restored positions with OKX (lib/reconcile.js)
+ * 2. Rebuilds each pair's lastPosition from the actual OKX positions
+ * 3. Resumes the scheduler if the bot was running before the restart
+ * 4. Resumes monitoring of working limit entries (lib/execution.js)
+ * 5. Connects the market data WebSocket feed (lib/marketFeed.js) and the
+ *    private account feed (lib/accountFeed.js)
+ */
+
+import { botState, addLog } from '@/lib/state'
+import { reconcilePairState, syncMarketFeed } from '@/lib/bot'
+import { startScheduler } from '@/lib/scheduler'
+import { reconcilePositions } from '@/lib/reconcile'
+import { isConfigured } from '@/lib/okxClient'
+import { startOrderMonitor } from '@/lib/execution'
+import { syncAccountFeed } from '@/lib/accountFeed'
+
+// Shared by every module instance so startup never runs twice
+const STARTUP_KEY = Symbol.for('okx-bot.startup')
+
+async function runStartup() {
+  // Reads fall back to REST until the feeds have connected
+  syncMarketFeed()
+  syncAccountFeed()
+
+  try {
+    if (isConfigured()) {
+      await reconcilePositions()
+    }
+    await reconcilePairState()
+  } catch (error) {
+    addLog(`Startup reconciliation failed: ${error.message}`, 'error')
+  }
+
+  if (botState.isRunning) {
+    addLog('Resuming bot after restart', 'info')
+    startScheduler()
+  }
+
+  startOrderMonitor()
+}
+
+/**
+ * Run startup once (skipped while `next build` loads the routes)
+ *
+ * @returns {Promise<void>}
+ */
+export function ensureStartup() {
+  if (process.env.NEXT_PHASE === 'phase-production-build') {
+    return Promise.resolve()
+  }
+  if (!globalThis[STARTUP_KEY]) {
+    globalThis[STARTUP_KEY] = runStartup()
+  }
+  return globalThis[STARTUP_KEY]
+}
@@ -2,14 +2,121 @@
  * In-memory bot state management
  * 
  * Trade config is persisted to file for survival across server restarts.
+ * Runtime state (positions, pair state, logs, running flag) is snapshotted
+ * atomically to .data/state.json on change and periodically, and restored
+ * when this module loads.
  */
 
 import fs from 'fs'
 import path from 'path'
+import { dataPath, readJsonFile, writeJsonFileAtomic } from '@/lib/storage'
+import { isValidTimeframe, DEFAULT_TIMEFRAME } from '@/lib/timeframes'
+import { DEFAULT_STRATEGY, resolveStrategyParams } from '@/lib/strategy'
+import { PROTECTION_TYPES, TRAIL_TYPES, updateTrail } from '@/lib/protection'
+import { SIZING_MODES } from '@/lib/sizing'
+import { publishEvent } from '@/lib/events'
 
 // Config file path
 const CONFIG_FILE = path.join(process.cwd(), '.trade-config.json')
 
+// Default trade configuration
+const DEFAULT_CONFIG = {
+  margin: 10,       // USDT margin/collateral per trade
+  leverage: 1,
+  maxLeverage: 125,
+  // How entries are sized (see lib/sizing.js)
+  // mode: 'fixed' (margin above), 'equity_percent', 'risk' (% of equity at the stop) or 'atr'
+  sizing: {
+    mode: 'fixed',
+    equityPercent: 5,   // 'equity_percent': margin as % of equity
+    riskPercent: 1,     // 'risk' / 'atr': % of equity lost at the stop
+    atrMultiple: 2,     // 'atr': stop distance in ATRs
+    atrPeriod: 14,
+  },
+  // Candle timeframe the bot trades on; cycles run after each candle close
+  candleTimeframe: isValidTimeframe(process.env.CANDLE_TIMEFRAME)
+    ? process.env.CANDLE_TIMEFRAME
+    : DEFAULT_TIMEFRAME,
+  // Seconds to wait after a candle closes so OKX has confirmed the bar
+  settleSeconds: parseFloat(process.env.CANDLE_SETTLE_SECONDS) || 3,
+  // Default strategy for all pairs: { name, params }
+  strategy: { name: DEFAULT_STRATEGY, params: {} },
+  // Per-pair strategy overrides: { 'ETH-USDT': { name, params }, ... }
+  pairStrategies: {},
+  // Take-profit / stop-loss attached to every entry (see lib/protection.js)
+  // type: 'percent' (price move %), 'atr' (ATR multiples) or 'price' (absolute)
+  tpsl: {
+    enabled: false,
+    type: 'percent',
+    takeProfit: 2,
+    stopLoss: 1,
+    atrPeriod: 14,
+  },
+  // Trailing stop placed after every entry
+  // type: 'ratio' (callback %) or 'spread' (absolute price distance)
+  trailing: {
+    enabled: false,
+    type: 'ratio',
+    value: 1,
+  },
+  // How entry orders are executed (see lib/execution.js)
+  // mode: 'market', 'limit' (at best bid/ask), 'post_only' (maker only) or
+  // 'limit_offset' (offsetTicks behind best bid/ask)
+  // onTimeout: 'market' (fall back to a market order), 'retry' (same price)
+  // or 'chase' (re-price at the new best bid/ask); retries/chases give up
+  // after maxRetries and keep whatever filled
+  execution: {
+    mode: 'market',
+    offsetTicks: 1,
+    waitSeconds: 30,
+    onTimeout: 'market',
+    maxRetries: 2,
+  },
+  // Position reconciliation against OKX (see lib/reconcile.js)
+  // autoHeal: correct local positions to match OKX; otherwise only flag differences
+  reconcile: {
+    autoHeal: true,
+  },
+  // Risk limits checked before every entry (see lib/riskManager.js)
+  // null disables a limit; onTrip: 'stop' (stop the bot) or 'pause' (block new entries)
+  risk: {
+    enabled: false,
+    maxDailyLoss: 50,         // USDT, realized + unrealized since the start of the UTC day
+    maxConsecutiveLosses: 3,  // Losing closes in a row
+    maxDrawdownPercent: 20,   // % below the equity peak
+    onTrip: 'pause',
+  },
+  // Portfolio exposure limits checked before every entry (USDT notional, null = no limit)
+  exposure: {
+    enabled: false,
+    maxOpenPositions: 3,
+    maxTotalNotional: null,
+    maxPairNotional: null,
+    maxNetLong: null,   // Sum of long minus short notional
+    maxNetShort: null,  // Sum of short minus long notional
+  },
+}
+
+// Exposure limit keys in tradeConfig.exposure
+export const EXPOSURE_LIMITS = ['maxOpenPositions', 'maxTotalNotional', 'maxPairNotional', 'maxNetLong', 'maxNetShort']
+
+// tradeConfig.execution options
+export const EXECUTION_MODES = ['market', 'limit', 'post_only', 'limit_offset']
+export const TIMEOUT_ACTIONS = ['market', 'retry', 'chase']
+
+// Validate a persisted { name, params } strategy config, null if invalid
+function sanitizeStrategyConfig(strategyConfig) {
+  try {
+    return {
+      name: strategyConfig.name,
+      params: resolveStrategyParams(strategyConfig.name, strategyConfig.params),
+    }
+  } catch (err) {
+    console.error('[CONFIG] Ignoring invalid strategy config:', err.message)
+    return null
+  }
+}
+
 // Load persisted config
 function loadConfig() {
   try {
@@ -20,19 +127,34 @@ function loadConfig() {
       const margin = config.margin || config.tradeSize || 10
       console.log(`[CONFIG] Loaded: ${margin} USDT margin @ ${config.leverage}x (Position: $${margin * (config.leverage || 1)})`)
       return {
+        ...DEFAULT_CONFIG,
         margin: margin,
         leverage: config.leverage || 1,
-        maxLeverage: 125,
+        candleTimeframe: isValidTimeframe(config.candleTimeframe)
+          ? config.candleTimeframe
+          : DEFAULT_CONFIG.candleTimeframe,
+        settleSeconds: typeof config.settleSeconds === 'number'
+          ? config.settleSeconds
+          : DEFAULT_CONFIG.settleSeconds,
+        strategy: (config.strategy && sanitizeStrategyConfig(config.strategy)) || DEFAULT_CONFIG.strategy,
+        sizing: { ...DEFAULT_CONFIG.sizing, ...config.sizing },
+        tpsl: { ...DEFAULT_CONFIG.tpsl, ...config.tpsl },
+        trailing: { ...DEFAULT_CONFIG.trailing, ...config.trailing },
+        execution: { ...DEFAULT_CONFIG.execution, ...config.execution },
+        reconcile: { ...DEFAULT_CONFIG.reconcile, ...config.reconcile },
+        risk: { ...DEFAULT_CONFIG.risk, ...config.risk },
+        exposure: { ...DEFAULT_CONFIG.exposure, ...config.exposure },
+        pairStrategies: Object.fromEntries(
+          Object.entries(config.pairStrategies || {})
+            .map(([instId, strategyConfig]) => [instId, sanitizeStrategyConfig(strategyConfig)])
+            .filter(([, strategyConfig]) => strategyConfig)
+        ),
       }
     }
   } catch (err) {
     console.error('[CONFIG] Failed to load config:', err.message)
   }
-  return {
-    margin: 10,       // USDT margin/collateral per trade
-    leverage: 1,
-    maxLeverage: 125,
-  }
+  return { ...DEFAULT_CONFIG }
 }
 
 // Save config to file
@@ -59,7 +181,8 @@ const botState = {
   lastPosition: null,
   
   // Per-pair state tracking
-  // { 'BTC-USDT': { lastPosition: 'long', lastTradeTime: timestamp, signal: 'BUY' }, ... }
+  // { 'BTC-USDT': { lastPosition: 'long', lastTradeTime: timestamp, signal: 'BUY', pendingEntry }, ... }
+  // pendingEntry: entry order submitted but not yet confirmed (see lib/execution.js)
   pairState: {},
   
   // Cooldown management (global)
@@ -89,8 +212,143 @@ const botState = {
   fastMA: null,
   slowMA: null,
   
-  // Bot loop interval ID
-  intervalId: null,
+  // Server-side scheduler status (see lib/scheduler.js)
+  scheduler: {
+    nextRunAt: null,
+    lastCycleStartedAt: null,
+    lastCycleDurationMs: null,
+    cycleInProgress: false,
+    cyclesRun: 0,
+  },
+  
+  // Limit / post-only entries waiting on the exchange, keyed by instId
+  // (see lib/execution.js); a pair with a working order doesn't enter again
+  workingOrders: {},
+  
+  // Risk manager tracking (see lib/riskManager.js)
+  risk: {
+    mode: null,             // Trading mode the equity marks belong to
+    day: null,              // UTC date (YYYY-MM-DD) of dayStartEquity
+    dayStartEquity: null,
+    peakEquity: null,
+    lastEquity: null,
+    checkedAt: null,
+    resetAt: null,          // Losses before the last reset don't count
+    tripped: null,          // { rule, reason, value, limit, action, trippedAt }
+  },
+}
+
+/**
+ * State snapshots
+ *
+ * Changes are flushed shortly after they happen (debounced so a burst of
+ * logs from one cycle is a single write); price-driven changes such as
+ * trailing stop ratchets are picked up by the periodic snapshot.
+ */
+
+// botState fields that survive a restart (market data and scheduler are runtime only)
+const SNAPSHOT_FIELDS = [
+  'isRunning',
+  'currentSignal',
+  'lastPosition',
+  'pairState',
+  'lastTradeTime',
+  'lastTrade',
+  'positions',
+  'workingOrders',
+  'logs',
+  'risk',
+]
+const SNAPSHOT_VERSION = 1
+const SNAPSHOT_DEBOUNCE_MS = 1000
+const SNAPSHOT_INTERVAL_MS = 30 * 1000
+
+// Timer handles live on globalThis so a dev hot-reload doesn't stack timers
+const SNAPSHOT_TIMERS_KEY = Symbol.for('okx-bot.state.snapshotTimers')
+
+// `next build` loads the routes too; it must not touch the live snapshot
+const SNAPSHOTS_ENABLED = process.env.NEXT_PHASE !== 'phase-production-build'
+
+let snapshotDirty = false
+
+function getSnapshotFile() {
+  return dataPath('state.json')
+}
+
+/**
+ * Write the state snapshot now
+ */
+export function saveStateSnapshot() {
+  try {
+    const snapshot = { version: SNAPSHOT_VERSION, savedAt: new Date().toISOString() }
+    for (const field of SNAPSHOT_FIELDS) {
+      snapshot[field] = botState[field]
+    }
+    writeJsonFileAtomic(getSnapshotFile(), snapshot)
+    snapshotDirty = false
+    return true
+  } catch (err) {
+    console.error('[STATE] Failed to save snapshot:', err.message)
+    return false
+  }
+}
+
+/**
+ * Flag the state as changed and schedule a debounced snapshot
+ */
+function markStateChanged() {
+  snapshotDirty = true
+  const timers = globalThis[SNAPSHOT_TIMERS_KEY]
+  if (!timers || timers.debounce) return
+
+  timers.debounce = setTimeout(() => {
+    timers.debounce = null
+    saveStateSnapshot()
+  }, SNAPSHOT_DEBOUNCE_MS)
+  timers.debounce.unref?.()
+}
+
+/**
+ * Restore the last snapshot into botState
+ */
+function restoreStateSnapshot() {
+  const snapshot = readJsonFile(getSnapshotFile())
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return
+
+  for (const field of SNAPSHOT_FIELDS) {
+    if (snapshot[field] !== undefined) {
+      botState[field] = snapshot[field]
+    }
+  }
+  console.log(`[STATE] Restored snapshot from ${snapshot.savedAt}: ${botState.positions.length} positions, bot ${botState.isRunning ? 'running' : 'stopped'}`)
+}
+
+/**
+ * Start the periodic snapshot and the flush on exit
+ */
+function startSnapshotTimers() {
+  const previous = globalThis[SNAPSHOT_TIMERS_KEY]
+  if (previous) {
+    clearTimeout(previous.debounce)
+    clearInterval(previous.interval)
+  }
+
+  const flush = () => {
+    if (snapshotDirty) saveStateSnapshot()
+  }
+  const timers = { debounce: null, interval: setInterval(flush, SNAPSHOT_INTERVAL_MS), flush }
+  timers.interval.unref?.()
+  globalThis[SNAPSHOT_TIMERS_KEY] = timers
+
+  // Registered once; always flushes the latest module instance
+  if (!previous) {
+    process.once('exit', () => globalThis[SNAPSHOT_TIMERS_KEY]?.flush())
+  }
+}
+
+if (SNAPSHOTS_ENABLED) {
+  restoreStateSnapshot()
+  startSnapshotTimers()
 }
 
 /**
@@ -110,6 +368,10 @@ export function addLog(message, type = 'info') {
     botState.logs = botState.logs.slice(0, botState.maxLogs)
   }
   
+  // Most state changes are logged, so this also covers their snapshot
+  markStateChanged()
+  publishEvent('log', entry)
+  
   // Also log to console for debugging
   console.log(`[${type.toUpperCase()}] ${message}`)
 }
@@ -185,6 +447,40 @@ export function updatePairState(instId, side) {
   }
   botState.pairState[instId].lastPosition = side === 'buy' ? 'long' : 'short'
   botState.pairState[instId].lastTradeTime = Date.now()
+  markStateChanged()
+}
+
+/**
+ * Overwrite the last position direction of a pair ('long', 'short' or null)
+ * without touching its cooldown, e.g. when rebuilding it from the exchange
+ */
+export function setPairLastPosition(instId, lastPosition) {
+  getPairState(instId).lastPosition = lastPosition
+  markStateChanged()
+}
+
+/**
+ * Get the entry order of a pair awaiting confirmation (null if none)
+ */
+export function getPairPendingEntry(instId) {
+  return botState.pairState[instId]?.pendingEntry || null
+}
+
+/**
+ * Set (or clear with null) the entry order of a pair awaiting confirmation
+ *
+ * @param {string} instId - Instrument ID
+ * @param {Object|null} pendingEntry - { clOrdId, entry, submittedAt }
+ */
+export function setPairPendingEntry(instId, pendingEntry) {
+  getPairState(instId).pendingEntry = pendingEntry
+  // Written right away: the order is sent next, and a restart in between
+  // must still know to look it up
+  if (SNAPSHOTS_ENABLED) {
+    saveStateSnapshot()
+  } else {
+    markStateChanged()
+  }
 }
 
 /**
@@ -194,7 +490,12 @@ export function setPairSignal(instId, signal) {
   if (!botState.pairState[instId]) {
     botState.pairState[instId] = { lastPosition: null, lastTradeTime: null }
   }
+  const previous = botState.pairState[instId].signal
   botState.pairState[instId].signal = signal
+  markStateChanged()
+  if (previous !== signal) {
+    publishEvent('signal', { instId, signal, previous: previous ?? null })
+  }
 }
 
 /**
@@ -234,18 +535,27 @@ export function updateMarketData(price, fastMA, slowMA) {
  * Update market price for a specific instrument
  */
 export function updateMarketPrice(instId, price) {
+  const previous = botState.marketPrices[instId]?.price
   botState.marketPrices[instId] = {
     price: parseFloat(price),
     timestamp: Date.now()
   }
   
-  // Also update current price for any positions with this instId
+  // Also update current price (and ratchet trailing stops) for any positions with this instId
   botState.positions = botState.positions.map(pos => {
     if (pos.instId === instId) {
-      return { ...pos, currentPrice: parseFloat(price) }
+      const trail = pos.trail ? updateTrail(pos.trail, pos.side, parseFloat(price)) : null
+      return { ...pos, currentPrice: parseFloat(price), trail }
     }
     return pos
   })
+  // Saved by the periodic snapshot rather than on every tick
+  if (botState.positions.some(pos => pos.instId === instId)) {
+    snapshotDirty = true
+  }
+  if (previous !== parseFloat(price)) {
+    publishEvent('price', { instId, price: parseFloat(price) })
+  }
 }
 
 /**
@@ -266,7 +576,14 @@ export function addPosition(position) {
     currentPrice: entryPrice,
     timestamp: new Date().toISOString(),
     orderId: position.orderId,
-    mode: position.mode || 'live'
+    mode: position.mode || 'live',
+    contracts: position.contracts ?? null,
+    // TP/SL trigger prices and the algo order enforcing them
+    takeProfit: position.takeProfit ?? null,
+    stopLoss: position.stopLoss ?? null,
+    tpslAlgoClOrdId: position.tpslAlgoClOrdId ?? null,
+    // Trailing stop: { type, value, bestPrice, stopPrice, algoId, algoClOrdId }
+    trail: position.trail ?? null,
   }
   
   // Check if opposite position exists - if so, close it (simulating a flip)
@@ -299,6 +616,10 @@ export function addPosition(position) {
       size: totalSize,
       entryPrice: avgPrice,
       leverage: leverage, // Use latest leverage
+      takeProfit: position.takeProfit ?? existing.takeProfit,
+      stopLoss: position.stopLoss ?? existing.stopLoss,
+      tpslAlgoClOrdId: position.tpslAlgoClOrdId ?? existing.tpslAlgoClOrdId,
+      trail: position.trail ?? existing.trail,
     }
     addLog(`Position added: ${position.side.toUpperCase()} ${position.instId} (avg: $${avgPrice.toFixed(2)})`, 'trade')
   } else {
@@ -306,6 +627,7 @@ export function addPosition(position) {
     botState.positions.push(newPosition)
     addLog(`Position opened: ${position.side.toUpperCase()} ${position.size} ${position.instId} @ $${position.price}`, 'trade')
   }
+  publishPositions()
   
   return newPosition
 }
@@ -319,11 +641,78 @@ export function closePosition(positionId) {
     const pos = botState.positions[index]
     botState.positions.splice(index, 1)
     addLog(`Position manually closed: ${pos.side.toUpperCase()} ${pos.instId}`, 'trade')
+    publishPositions()
     return pos
   }
   return null
 }
 
+/**
+ * Update TP/SL fields of the local positions for an instrument
+ */
+export function updatePositionProtection(instId, { takeProfit, stopLoss, tpslAlgoClOrdId }) {
+  botState.positions = botState.positions.map(pos => {
+    if (pos.instId === instId) {
+      return { ...pos, takeProfit, stopLoss, tpslAlgoClOrdId }
+    }
+    return pos
+  })
+  markStateChanged()
+  publishPositions()
+}
+
+/**
+ * Set (or clear with null) the trailing stop of the local positions for an instrument
+ */
+export function updatePositionTrail(instId, trail) {
+  botState.positions = botState.positions.map(pos => {
+    if (pos.instId === instId) {
+      return { ...pos, trail }
+    }
+    return pos
+  })
+  markStateChanged()
+  publishPositions()
+}
+
+/**
+ * Replace the local positions of an instrument with a single position
+ *
+ * Keeps the id, timestamp, TP/SL and trail of an existing same-side
+ * position; used to correct the local list from the exchange.
+ */
+export function setInstrumentPosition(instId, fields) {
+  const existing = botState.positions.find(p => p.instId === instId && p.side === fields.side)
+  const position = {
+    id: `pos_${Date.now()}`,
+    timestamp: new Date().toISOString(),
+    orderId: null,
+    takeProfit: null,
+    stopLoss: null,
+    tpslAlgoClOrdId: null,
+    trail: null,
+    ...existing,
+    ...fields,
+    instId,
+  }
+
+  botState.positions = [...botState.positions.filter(p => p.instId !== instId), position]
+  markStateChanged()
+  publishPositions()
+  return position
+}
+
+/**
+ * Remove all local positions for an instrument (after it was closed on OKX)
+ */
+export function removePositionsForInstrument(instId) {
+  const removed = botState.positions.filter(p => p.instId === instId)
+  botState.positions = botState.positions.filter(p => p.instId !== instId)
+  markStateChanged()
+  publishPositions()
+  return removed
+}
+
 /**
  * Get all active positions with updated prices
  */
@@ -344,6 +733,14 @@ export function getPositions() {
 export function clearPositions() {
   botState.positions = []
   addLog('All positions cleared', 'info')
+  publishPositions()
+}
+
+/**
+ * Push the local positions to dashboard stream clients
+ */
+function publishPositions() {
+  publishEvent('positions', { positions: getPositions() })
 }
 
 /**
@@ -354,33 +751,253 @@ export function getTradeConfig() {
 }
 
 /**
- * Update trade configuration
+ * Get the active strategy config for a pair (override or default)
  */
-export function setTradeConfig(config) {
-  let changed = false
+export function getStrategyConfig(instId) {
+  return botState.tradeConfig.pairStrategies[instId] || botState.tradeConfig.strategy
+}
+
+/**
+ * Work out the strategy config a selection results in (nothing is applied)
+ *
+ * @throws If the strategy or a parameter is invalid
+ */
+function resolveStrategyConfig({ instId, name, params }) {
+  const current = instId ? getStrategyConfig(instId) : botState.tradeConfig.strategy
+  const strategyName = name || current.name
+  // Keep existing params when only tweaking the same strategy
+  const baseParams = strategyName === current.name ? current.params : {}
+  return {
+    name: strategyName,
+    params: resolveStrategyParams(strategyName, { ...baseParams, ...params }),
+  }
+}
+
+/**
+ * Validate a strategy selection without applying it
+ *
+ * @param {Object} config - Same as setStrategyConfig
+ * @throws If the strategy or a parameter is invalid
+ */
+export function validateStrategyConfig({ instId, name, params, reset }) {
+  if (!(instId && reset)) {
+    resolveStrategyConfig({ instId, name, params })
+  }
+}
+
+/**
+ * Select the strategy and parameters for a pair, or the default when no instId
+ * 
+ * @param {Object} config - { instId?, name, params, reset? }
+ *   reset: true removes the pair override so it uses the default again
+ */
+export function setStrategyConfig({ instId, name, params, reset }) {
+  if (instId && reset) {
+    delete botState.tradeConfig.pairStrategies[instId]
+    addLog(`[${instId}] Strategy reset to default`, 'info')
+  } else {
+    const strategyConfig = resolveStrategyConfig({ instId, name, params })
+    
+    if (instId) {
+      botState.tradeConfig.pairStrategies = {
+        ...botState.tradeConfig.pairStrategies,
+        [instId]: strategyConfig,
+      }
+    } else {
+      botState.tradeConfig.strategy = strategyConfig
+    }
+    
+    const paramText = Object.entries(strategyConfig.params).map(([k, v]) => `${k}=${v}`).join(', ')
+    addLog(`${instId ? `[${instId}] ` : ''}Strategy set to ${strategyConfig.name} (${paramText})`, 'info')
+  }
+  
+  saveConfig(botState.tradeConfig)
+  return getTradeConfig()
+}
+
+/**
+ * Check a trade config update and work out the config it results in
+ *
+ * Nothing is applied, so a request can be validated as a whole first.
+ *
+ * @param {Object} config - Fields to change (see setTradeConfig)
+ * @returns {Object} - { tradeConfig, messages } (messages empty if nothing changed)
+ * @throws If any field is invalid
+ */
+function resolveTradeConfig(config) {
+  const tradeConfig = { ...botState.tradeConfig }
+  const messages = []
   
   // Support both 'margin' and legacy 'tradeSize'
   const marginValue = config.margin ?? config.tradeSize
   if (typeof marginValue === 'number' && marginValue > 0) {
-    botState.tradeConfig.margin = marginValue
-    const positionValue = marginValue * botState.tradeConfig.leverage
-    addLog(`Margin updated to ${marginValue} USDT (Position: $${positionValue})`, 'info')
-    changed = true
+    tradeConfig.margin = marginValue
+    const positionValue = marginValue * tradeConfig.leverage
+    messages.push(`Margin updated to ${marginValue} USDT (Position: $${positionValue})`)
   }
   
   if (typeof config.leverage === 'number') {
     const leverage = Math.min(
       Math.max(1, config.leverage), 
-      botState.tradeConfig.maxLeverage
+      tradeConfig.maxLeverage
     )
-    botState.tradeConfig.leverage = leverage
-    const positionValue = botState.tradeConfig.margin * leverage
-    addLog(`Leverage updated to ${leverage}x (Position: $${positionValue})`, 'info')
-    changed = true
+    tradeConfig.leverage = leverage
+    const positionValue = tradeConfig.margin * leverage
+    messages.push(`Leverage updated to ${leverage}x (Position: $${positionValue})`)
+  }
+  
+  if (typeof config.candleTimeframe === 'string') {
+    if (!isValidTimeframe(config.candleTimeframe)) {
+      throw new Error(`Unsupported timeframe: ${config.candleTimeframe}`)
+    }
+    tradeConfig.candleTimeframe = config.candleTimeframe
+    messages.push(`Candle timeframe updated to ${config.candleTimeframe}`)
+  }
+  
+  if (config.sizing && typeof config.sizing === 'object') {
+    const sizing = { ...tradeConfig.sizing, ...config.sizing }
+    if (!SIZING_MODES.includes(sizing.mode)) {
+      throw new Error(`Unsupported sizing mode: ${sizing.mode}`)
+    }
+    for (const key of ['equityPercent', 'riskPercent', 'atrMultiple', 'atrPeriod']) {
+      if (typeof sizing[key] !== 'number' || sizing[key] <= 0) {
+        throw new Error(`sizing.${key} must be a positive number`)
+      }
+    }
+    if (sizing.equityPercent > 100 || sizing.riskPercent > 100) {
+      throw new Error('sizing percentages must be at most 100')
+    }
+    tradeConfig.sizing = sizing
+    const detail = {
+      fixed: `${tradeConfig.margin} USDT margin`,
+      equity_percent: `${sizing.equityPercent}% of equity`,
+      risk: `${sizing.riskPercent}% risk at the stop-loss`,
+      atr: `${sizing.riskPercent}% risk per ${sizing.atrMultiple} ATR`,
+    }[sizing.mode]
+    messages.push(`Position sizing: ${sizing.mode} (${detail})`)
+  }
+  
+  if (config.tpsl && typeof config.tpsl === 'object') {
+    const tpsl = { ...tradeConfig.tpsl, ...config.tpsl }
+    if (!PROTECTION_TYPES.includes(tpsl.type)) {
+      throw new Error(`Unsupported TP/SL type: ${tpsl.type}`)
+    }
+    for (const key of ['takeProfit', 'stopLoss', 'atrPeriod']) {
+      if (tpsl[key] !== null && (typeof tpsl[key] !== 'number' || tpsl[key] < 0)) {
+        throw new Error(`tpsl.${key} must be a positive number or null`)
+      }
+    }
+    tpsl.enabled = !!tpsl.enabled
+    tradeConfig.tpsl = tpsl
+    messages.push(`TP/SL ${tpsl.enabled ? `set: ${tpsl.type} TP ${tpsl.takeProfit ?? '-'} / SL ${tpsl.stopLoss ?? '-'}` : 'disabled'}`)
+  }
+  
+  if (config.trailing && typeof config.trailing === 'object') {
+    const trailing = { ...tradeConfig.trailing, ...config.trailing }
+    if (!TRAIL_TYPES.includes(trailing.type)) {
+      throw new Error(`Unsupported trail type: ${trailing.type}`)
+    }
+    if (typeof trailing.value !== 'number' || trailing.value <= 0) {
+      throw new Error('trailing.value must be a positive number')
+    }
+    if (trailing.type === 'ratio' && (trailing.value < 0.1 || trailing.value > 100)) {
+      throw new Error('Trail ratio must be between 0.1 and 100 (%)')
+    }
+    trailing.enabled = !!trailing.enabled
+    tradeConfig.trailing = trailing
+    messages.push(`Trailing stop ${trailing.enabled ? `set: ${trailing.type === 'ratio' ? `${trailing.value}%` : trailing.value}` : 'disabled'}`)
+  }
+  
+  if (config.execution && typeof config.execution === 'object') {
+    const execution = { ...tradeConfig.execution, ...config.execution }
+    if (!EXECUTION_MODES.includes(execution.mode)) {
+      throw new Error(`Unsupported execution mode: ${execution.mode}`)
+    }
+    if (!TIMEOUT_ACTIONS.includes(execution.onTimeout)) {
+      throw new Error(`Unsupported execution.onTimeout: ${execution.onTimeout}`)
+    }
+    if (!Number.isInteger(execution.offsetTicks) || execution.offsetTicks < 0) {
+      throw new Error('execution.offsetTicks must be a non-negative integer')
+    }
+    if (typeof execution.waitSeconds !== 'number' || execution.waitSeconds < 1 || execution.waitSeconds > 3600) {
+      throw new Error('execution.waitSeconds must be between 1 and 3600')
+    }
+    if (!Number.isInteger(execution.maxRetries) || execution.maxRetries < 0 || execution.maxRetries > 10) {
+      throw new Error('execution.maxRetries must be an integer between 0 and 10')
+    }
+    tradeConfig.execution = execution
+    messages.push(`Entry execution: ${execution.mode}${execution.mode === 'market' ? '' : ` (wait ${execution.waitSeconds}s, then ${execution.onTimeout})`}`)
   }
   
-  // Persist config to file
-  if (changed) {
+  if (config.reconcile && typeof config.reconcile === 'object') {
+    const reconcile = { ...tradeConfig.reconcile, ...config.reconcile }
+    reconcile.autoHeal = !!reconcile.autoHeal
+    tradeConfig.reconcile = reconcile
+    messages.push(`Position reconciliation: ${reconcile.autoHeal ? 'auto-heal' : 'flag only'}`)
+  }
+  
+  if (config.risk && typeof config.risk === 'object') {
+    const risk = { ...tradeConfig.risk, ...config.risk }
+    for (const key of ['maxDailyLoss', 'maxConsecutiveLosses', 'maxDrawdownPercent']) {
+      if (risk[key] !== null && (typeof risk[key] !== 'number' || risk[key] <= 0)) {
+        throw new Error(`risk.${key} must be a positive number or null`)
+      }
+    }
+    if (risk.maxDrawdownPercent !== null && risk.maxDrawdownPercent > 100) {
+      throw new Error('risk.maxDrawdownPercent must be at most 100')
+    }
+    if (!['stop', 'pause'].includes(risk.onTrip)) {
+      throw new Error(`Unsupported risk.onTrip: ${risk.onTrip}`)
+    }
+    risk.enabled = !!risk.enabled
+    tradeConfig.risk = risk
+    messages.push(`Risk limits ${risk.enabled ? `set: daily loss ${risk.maxDailyLoss ?? '-'} USDT, ${risk.maxConsecutiveLosses ?? '-'} losses in a row, drawdown ${risk.maxDrawdownPercent ?? '-'}% (${risk.onTrip} on trip)` : 'disabled'}`)
+  }
+  
+  if (config.exposure && typeof config.exposure === 'object') {
+    const exposure = { ...tradeConfig.exposure, ...config.exposure }
+    for (const key of EXPOSURE_LIMITS) {
+      if (exposure[key] !== null && (typeof exposure[key] !== 'number' || exposure[key] <= 0)) {
+        throw new Error(`exposure.${key} must be a positive number or null`)
+      }
+    }
+    exposure.enabled = !!exposure.enabled
+    tradeConfig.exposure = exposure
+    messages.push(`Exposure limits ${exposure.enabled ? `set: ${EXPOSURE_LIMITS.map(key => `${key} ${exposure[key] ?? '-'}`).join(', ')}` : 'disabled'}`)
+  }
+  
+  if (typeof config.settleSeconds === 'number') {
+    const settleSeconds = Math.min(Math.max(0, config.settleSeconds), 60)
+    tradeConfig.settleSeconds = settleSeconds
+    messages.push(`Candle settle delay updated to ${settleSeconds}s`)
+  }
+  
+  return { tradeConfig, messages }
+}
+
+/**
+ * Validate a trade config update without applying it
+ *
+ * @throws If any field is invalid
+ */
+export function validateTradeConfig(config) {
+  resolveTradeConfig(config)
+}
+
+/**
+ * Update trade configuration
+ *
+ * All fields are validated before any is applied.
+ *
+ * @throws If any field is invalid (nothing is changed then)
+ */
+export function setTradeConfig(config) {
+  const { tradeConfig, messages } = resolveTradeConfig(config)
+
+  if (messages.length > 0) {
+    botState.tradeConfig = tradeConfig
+    messages.forEach(message => addLog(message, 'info'))
+    // Persist config to file
     saveConfig(botState.tradeConfig)
   }
   
@@ -393,6 +1010,65 @@ export function setTradeConfig(config) {
 export function setBotRunning(isRunning) {
   botState.isRunning = isRunning
   addLog(`Bot ${isRunning ? 'started' : 'stopped'}`, 'info')
+  publishBotState()
+}
+
+/**
+ * Update scheduler status
+ */
+export function updateSchedulerState(updates) {
+  botState.scheduler = { ...botState.scheduler, ...updates }
+  publishBotState()
+}
+
+/**
+ * Get the working entry order of a pair (null if none)
+ */
+export function getWorkingOrder(instId) {
+  return botState.workingOrders[instId] ?? null
+}
+
+/**
+ * Get all working entry orders
+ */
+export function getWorkingOrders() {
+  return Object.values(botState.workingOrders)
+}
+
+/**
+ * Set (or clear with null) the working entry order of a pair
+ */
+export function setWorkingOrder(instId, order) {
+  const workingOrders = { ...botState.workingOrders }
+  if (order) {
+    workingOrders[instId] = order
+  } else {
+    delete workingOrders[instId]
+  }
+  botState.workingOrders = workingOrders
+  markStateChanged()
+  publishBotState()
+}
+
+/**
+ * Update risk manager tracking
+ */
+export function updateRiskState(updates) {
+  botState.risk = { ...botState.risk, ...updates }
+  markStateChanged()
+  publishBotState()
+}
+
+/**
+ * Push the bot status shown on the dashboard to stream clients
+ */
+function publishBotState() {
+  publishEvent('bot', {
+    isRunning: botState.isRunning,
+    scheduler: { ...botState.scheduler },
+    risk: { ...botState.risk },
+    workingOrders: getWorkingOrders(),
+  })
 }
 
 /**
@@ -411,8 +1087,11 @@ export function getState() {
     slowMA: botState.slowMA,
     logs: botState.logs,
     positions: getPositions(),
+    workingOrders: getWorkingOrders(),
     tradeConfig: getTradeConfig(),
     pairState: botState.pairState,
+    scheduler: { ...botState.scheduler },
+    risk: { ...botState.risk },
   }
 }
 
@@ -426,6 +1105,7 @@ export function resetState() {
   botState.lastTradeTime = null
   botState.lastTrade = null
   botState.positions = []
+  botState.workingOrders = {}
   botState.pairState = {}
   botState.marketPrices = {}
   botState.logs = []
@@ -434,6 +1114,8 @@ export function resetState() {
   botState.slowMA = null
   
   addLog('Bot state reset', 'info')
+  publishPositions()
+  publishBotState()
 }
 
 // Export the raw state for direct access if needed
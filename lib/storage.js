@@ -0,0 +1,136 @@
+/**
+ * Local File Storage
+ *
+ * Shared helpers for data persisted under .data/ in the project root.
+ * Writes are atomic (temp file + rename) so a crash mid-write never
+ * leaves a truncated file behind. Append-only logs use JSON Lines.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+// Root directory for persisted data (gitignored)
+export const DATA_DIR = path.join(process.cwd(), '.data')
+
+// Read size when reading a JSON Lines file backwards
+const REVERSE_CHUNK_BYTES = 64 * 1024
+
+/**
+ * Resolve a path inside the data directory, creating parent folders
+ */
+export function dataPath(...segments) {
+  const filePath = path.join(DATA_DIR, ...segments)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  return filePath
+}
+
+/**
+ * Read and parse a JSON file, returning fallback if missing or unreadable
+ */
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    }
+  } catch (err) {
+    console.error(`[STORAGE] Failed to read ${filePath}:`, err.message)
+  }
+  return fallback
+}
+
+/**
+ * Write JSON atomically
+ */
+export function writeJsonFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(data))
+  fs.renameSync(tmpPath, filePath)
+}
+
+/**
+ * Append one record to a JSON Lines file
+ */
+export function appendJsonLine(filePath, record) {
+  fs.appendFileSync(filePath, JSON.stringify(record) + '\n')
+}
+
+/**
+ * Read all records of a JSON Lines file
+ *
+ * Unparseable lines (e.g. a partial line from a crash mid-append) are skipped.
+ */
+export function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) return []
+
+  const records = []
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue
+    try {
+      records.push(JSON.parse(line))
+    } catch (err) {
+      console.error(`[STORAGE] Skipping corrupt line in ${filePath}`)
+    }
+  }
+  return records
+}
+
+/**
+ * Visit the records of a JSON Lines file from the last to the first
+ *
+ * Reads the file backwards in chunks, so only the records visited are held
+ * in memory. Unparseable lines are skipped like in readJsonLines().
+ *
+ * @param {string} filePath
+ * @param {Function} visit - Called with each record; return false to stop
+ */
+export function readJsonLinesReverse(filePath, visit) {
+  if (!fs.existsSync(filePath)) return
+
+  const visitLine = (bytes) => {
+    const line = bytes.toString('utf8')
+    if (!line.trim()) return true
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch (err) {
+      console.error(`[STORAGE] Skipping corrupt line in ${filePath}`)
+      return true
+    }
+    return visit(record) !== false
+  }
+
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    let position = fs.fstatSync(fd).size
+    // Start of a line whose beginning is in an earlier chunk
+    let carry = Buffer.alloc(0)
+    while (position > 0) {
+      const size = Math.min(REVERSE_CHUNK_BYTES, position)
+      position -= size
+      const chunk = Buffer.alloc(size)
+      fs.readSync(fd, chunk, 0, size, position)
+      const buffer = Buffer.concat([chunk, carry])
+
+      // '\n' never occurs inside a UTF-8 multi-byte character
+      let end = buffer.length
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue
+        if (!visitLine(buffer.subarray(i + 1, end))) return
+        end = i
+      }
+      carry = buffer.subarray(0, end)
+    }
+    visitLine(carry)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * Rewrite a JSON Lines file atomically
+ */
+export function writeJsonLinesAtomic(filePath, records) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmpPath, records.map(r => JSON.stringify(r) + '\n').join(''))
+  fs.renameSync(tmpPath, filePath)
+}
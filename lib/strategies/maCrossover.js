@@ -0,0 +1,135 @@
+/**
+ * Trading Strategy: Moving Average Crossover
+ *
+ * Strategy Logic:
+ * - Fast MA crossing above Slow MA = BUY signal
+ * - Fast MA crossing below Slow MA = SELL signal
+ * - Otherwise = WAIT
+ *
+ * This is a simple trend-following strategy.
+ *
+ * ⚠️ WARNING: Past performance does not guarantee future results!
+ * Use at your own risk with money you can afford to lose.
+ */
+
+import { SMA } from 'technicalindicators'
+
+/**
+ * Calculate Simple Moving Average
+ *
+ * @param {number[]} prices - Array of close prices
+ * @param {number} period - MA period
+ * @returns {number[]} - Array of MA values
+ */
+export function calculateSMA(prices, period) {
+  return SMA.calculate({
+    period: period,
+    values: prices,
+  })
+}
+
+const maCrossover = {
+  name: 'ma_crossover',
+  label: 'MA Crossover',
+  description: 'Simple Moving Average crossover strategy',
+
+  // Parameter schema
+  params: {
+    fastPeriod: { type: 'integer', default: 9, min: 2, max: 200, label: 'Fast MA period' },
+    slowPeriod: { type: 'integer', default: 21, min: 3, max: 250, label: 'Slow MA period' },
+  },
+
+  /**
+   * Cross-field validation (runs after the schema checks)
+   */
+  validate(params) {
+    if (params.fastPeriod >= params.slowPeriod) {
+      throw new Error('fastPeriod must be smaller than slowPeriod')
+    }
+  },
+
+  /**
+   * Candles needed for a current and previous value of the slow MA
+   */
+  requiredCandles(params) {
+    return params.slowPeriod + 2
+  },
+
+  /**
+   * Human-readable rules for display
+   */
+  rules(params) {
+    return [
+      `BUY when ${params.fastPeriod}-MA crosses above ${params.slowPeriod}-MA`,
+      `SELL when ${params.fastPeriod}-MA crosses below ${params.slowPeriod}-MA`,
+    ]
+  },
+
+  /**
+   * Analyze candles and generate trading signal
+   *
+   * @param {Object[]} candles - Confirmed candles (oldest first)
+   * @param {Object} params - Resolved strategy parameters
+   * @returns {Object} - Analysis result with signal and MA values
+   */
+  analyze(candles, params) {
+    const { fastPeriod, slowPeriod } = params
+    const closePrices = candles.map(c => c.close)
+
+    // Calculate moving averages
+    const fastMAValues = calculateSMA(closePrices, fastPeriod)
+    const slowMAValues = calculateSMA(closePrices, slowPeriod)
+
+    // Get current and previous MA values
+    const currentFastMA = fastMAValues[fastMAValues.length - 1]
+    const currentSlowMA = slowMAValues[slowMAValues.length - 1]
+    const prevFastMA = fastMAValues[fastMAValues.length - 2]
+    const prevSlowMA = slowMAValues[slowMAValues.length - 2]
+
+    // Round for cleaner display
+    const fastMA = Math.round(currentFastMA * 100) / 100
+    const slowMA = Math.round(currentSlowMA * 100) / 100
+
+    let signal = 'WAIT'
+    let reason = ''
+
+    // Detect crossover
+    // BUY: Fast MA crosses above Slow MA
+    if (prevFastMA <= prevSlowMA && currentFastMA > currentSlowMA) {
+      signal = 'BUY'
+      reason = `Bullish crossover: Fast MA (${fastMA}) crossed above Slow MA (${slowMA})`
+    }
+    // SELL: Fast MA crosses below Slow MA
+    else if (prevFastMA >= prevSlowMA && currentFastMA < currentSlowMA) {
+      signal = 'SELL'
+      reason = `Bearish crossover: Fast MA (${fastMA}) crossed below Slow MA (${slowMA})`
+    }
+    // Trend continuation signals (for display purposes)
+    else if (currentFastMA > currentSlowMA) {
+      signal = 'BUY'
+      reason = `Bullish trend: Fast MA (${fastMA}) above Slow MA (${slowMA})`
+    }
+    else if (currentFastMA < currentSlowMA) {
+      signal = 'SELL'
+      reason = `Bearish trend: Fast MA (${fastMA}) below Slow MA (${slowMA})`
+    }
+    else {
+      reason = `MAs converging: Fast MA (${fastMA}) ≈ Slow MA (${slowMA})`
+    }
+
+    return {
+      signal,
+      reason,
+      fastMA,
+      slowMA,
+      fastMAPeriod: fastPeriod,
+      slowMAPeriod: slowPeriod,
+      indicators: [
+        { label: `MA(${fastPeriod})`, value: fastMA, format: 'price' },
+        { label: `MA(${slowPeriod})`, value: slowMA, format: 'price' },
+      ],
+    }
+  },
+}
+
+export default maCrossover
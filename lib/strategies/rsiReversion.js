@@ -0,0 +1,85 @@
+/**
+ * Trading Strategy: RSI Mean Reversion
+ *
+ * Strategy Logic:
+ * - RSI crossing back above the oversold level = BUY signal
+ * - RSI crossing back below the overbought level = SELL signal
+ * - Otherwise = WAIT
+ *
+ * ⚠️ WARNING: Past performance does not guarantee future results!
+ * Use at your own risk with money you can afford to lose.
+ */
+
+import { RSI } from 'technicalindicators'
+
+const rsiReversion = {
+  name: 'rsi_reversion',
+  label: 'RSI Reversion',
+  description: 'Relative Strength Index overbought/oversold reversal strategy',
+
+  // Parameter schema
+  params: {
+    period: { type: 'integer', default: 14, min: 2, max: 100, label: 'RSI period' },
+    oversold: { type: 'number', default: 30, min: 1, max: 50, label: 'Oversold level' },
+    overbought: { type: 'number', default: 70, min: 50, max: 99, label: 'Overbought level' },
+  },
+
+  validate(params) {
+    if (params.oversold >= params.overbought) {
+      throw new Error('oversold must be below overbought')
+    }
+  },
+
+  requiredCandles(params) {
+    return params.period + 2
+  },
+
+  rules(params) {
+    return [
+      `BUY when RSI(${params.period}) crosses back above ${params.oversold}`,
+      `SELL when RSI(${params.period}) crosses back below ${params.overbought}`,
+    ]
+  },
+
+  /**
+   * Analyze candles and generate trading signal
+   *
+   * @param {Object[]} candles - Confirmed candles (oldest first)
+   * @param {Object} params - Resolved strategy parameters
+   */
+  analyze(candles, params) {
+    const { period, oversold, overbought } = params
+    const values = RSI.calculate({ period, values: candles.map(c => c.close) })
+
+    const current = values[values.length - 1]
+    const previous = values[values.length - 2]
+    const rsi = Math.round(current * 100) / 100
+
+    let signal = 'WAIT'
+    let reason = `RSI neutral (${rsi})`
+
+    if (previous <= oversold && current > oversold) {
+      signal = 'BUY'
+      reason = `RSI (${rsi}) crossed back above oversold ${oversold}`
+    } else if (previous >= overbought && current < overbought) {
+      signal = 'SELL'
+      reason = `RSI (${rsi}) crossed back below overbought ${overbought}`
+    } else if (current <= oversold) {
+      reason = `RSI oversold (${rsi}) - waiting for reversal`
+    } else if (current >= overbought) {
+      reason = `RSI overbought (${rsi}) - waiting for reversal`
+    }
+
+    return {
+      signal,
+      reason,
+      rsi,
+      indicators: [
+        { label: `RSI(${period})`, value: rsi, format: 'number' },
+        { label: 'OS/OB', value: `${oversold}/${overbought}`, format: 'text' },
+      ],
+    }
+  },
+}
+
+export default rsiReversion
@@ -1,107 +1,135 @@
 /**
- * Trading Strategy: Moving Average Crossover
- * 
- * Strategy Logic:
- * - Fast MA (9 periods) crossing above Slow MA (21 periods) = BUY signal
- * - Fast MA (9 periods) crossing below Slow MA (21 periods) = SELL signal
- * - Otherwise = WAIT
- * 
- * This is a simple trend-following strategy.
- * 
+ * Strategy Registry
+ *
+ * Strategies live in lib/strategies/ and are registered here. Each strategy
+ * declares:
+ * - name: Unique identifier (e.g., 'ma_crossover')
+ * - label / description: For display
+ * - params: Parameter schema { key: { type, default, min, max, label } }
+ * - requiredCandles(params): Candle history needed for analysis
+ * - analyze(candles, params): Returns { signal, reason, indicators, ... }
+ * - validate(params) (optional): Cross-field checks, throws on error
+ * - rules(params) (optional): Human-readable rules for display
+ *
+ * The active strategy and its parameters are selected per pair via
+ * /api/settings (see getStrategyConfig() in lib/state.js).
+ *
  * ⚠️ WARNING: Past performance does not guarantee future results!
  * Use at your own risk with money you can afford to lose.
  */
 
-import { SMA } from 'technicalindicators'
+import maCrossover from '@/lib/strategies/maCrossover'
+import rsiReversion from '@/lib/strategies/rsiReversion'
 
-// Strategy parameters
-const FAST_MA_PERIOD = 9
-const SLOW_MA_PERIOD = 21
+export const DEFAULT_STRATEGY = 'ma_crossover'
+
+// Registered strategies keyed by name
+const strategies = {}
+
+/**
+ * Register a strategy
+ */
+export function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.analyze !== 'function' || typeof strategy.requiredCandles !== 'function') {
+    throw new Error('Strategy must define name, analyze() and requiredCandles()')
+  }
+  strategies[strategy.name] = strategy
+}
+
+/**
+ * Get a registered strategy by name
+ */
+export function getStrategy(name = DEFAULT_STRATEGY) {
+  const strategy = strategies[name]
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${name}`)
+  }
+  return strategy
+}
 
 /**
- * Calculate Simple Moving Average
- * 
- * @param {number[]} prices - Array of close prices
- * @param {number} period - MA period
- * @returns {number[]} - Array of MA values
+ * List registered strategies with their parameter schemas
  */
-export function calculateSMA(prices, period) {
-  return SMA.calculate({
-    period: period,
-    values: prices,
-  })
+export function listStrategies() {
+  return Object.values(strategies).map(s => ({
+    name: s.name,
+    label: s.label,
+    description: s.description,
+    params: s.params,
+  }))
+}
+
+/**
+ * Merge parameters with schema defaults and validate them
+ *
+ * @param {string} name - Strategy name
+ * @param {Object} params - Partial parameters
+ * @returns {Object} - Complete, validated parameters
+ */
+export function resolveStrategyParams(name, params = {}) {
+  const strategy = getStrategy(name)
+  const resolved = {}
+
+  for (const [key, schema] of Object.entries(strategy.params)) {
+    const value = params[key] ?? schema.default
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new Error(`${strategy.name}.${key} must be a number`)
+    }
+    if (schema.type === 'integer' && !Number.isInteger(value)) {
+      throw new Error(`${strategy.name}.${key} must be an integer`)
+    }
+    if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+      throw new Error(`${strategy.name}.${key} must be between ${schema.min} and ${schema.max}`)
+    }
+
+    resolved[key] = value
+  }
+
+  if (strategy.validate) {
+    strategy.validate(resolved)
+  }
+
+  return resolved
+}
+
+/**
+ * Get the number of candles a strategy needs
+ */
+export function getRequiredCandles(strategyConfig = {}) {
+  const strategy = getStrategy(strategyConfig.name)
+  return strategy.requiredCandles(resolveStrategyParams(strategy.name, strategyConfig.params))
 }
 
 /**
  * Analyze market data and generate trading signal
- * 
- * @param {number[]} closePrices - Array of close prices (oldest first)
- * @returns {Object} - Analysis result with signal and MA values
+ *
+ * @param {Object[]} candles - Confirmed candles (oldest first)
+ * @param {Object} strategyConfig - { name, params } (defaults to MA crossover)
+ * @returns {Object} - Analysis result with signal and indicator values
  */
-export function analyzeMarket(closePrices) {
-  if (!closePrices || closePrices.length < SLOW_MA_PERIOD + 2) {
+export function analyzeMarket(candles, strategyConfig = {}) {
+  const strategy = getStrategy(strategyConfig.name)
+  const params = resolveStrategyParams(strategy.name, strategyConfig.params)
+
+  if (!candles || candles.length < strategy.requiredCandles(params)) {
     return {
       signal: 'WAIT',
       reason: 'Insufficient data for analysis',
-      fastMA: null,
-      slowMA: null,
+      strategy: strategy.name,
+      indicators: [],
     }
   }
-  
-  // Calculate moving averages
-  const fastMAValues = calculateSMA(closePrices, FAST_MA_PERIOD)
-  const slowMAValues = calculateSMA(closePrices, SLOW_MA_PERIOD)
-  
-  // Get current and previous MA values
-  const currentFastMA = fastMAValues[fastMAValues.length - 1]
-  const currentSlowMA = slowMAValues[slowMAValues.length - 1]
-  const prevFastMA = fastMAValues[fastMAValues.length - 2]
-  const prevSlowMA = slowMAValues[slowMAValues.length - 2]
-  
-  // Round for cleaner display
-  const fastMA = Math.round(currentFastMA * 100) / 100
-  const slowMA = Math.round(currentSlowMA * 100) / 100
-  
-  let signal = 'WAIT'
-  let reason = ''
-  
-  // Detect crossover
-  // BUY: Fast MA crosses above Slow MA
-  if (prevFastMA <= prevSlowMA && currentFastMA > currentSlowMA) {
-    signal = 'BUY'
-    reason = `Bullish crossover: Fast MA (${fastMA}) crossed above Slow MA (${slowMA})`
-  }
-  // SELL: Fast MA crosses below Slow MA
-  else if (prevFastMA >= prevSlowMA && currentFastMA < currentSlowMA) {
-    signal = 'SELL'
-    reason = `Bearish crossover: Fast MA (${fastMA}) crossed below Slow MA (${slowMA})`
-  }
-  // Trend continuation signals (for display purposes)
-  else if (currentFastMA > currentSlowMA) {
-    signal = 'BUY'
-    reason = `Bullish trend: Fast MA (${fastMA}) above Slow MA (${slowMA})`
-  }
-  else if (currentFastMA < currentSlowMA) {
-    signal = 'SELL'
-    reason = `Bearish trend: Fast MA (${fastMA}) below Slow MA (${slowMA})`
-  }
-  else {
-    reason = `MAs converging: Fast MA (${fastMA}) ≈ Slow MA (${slowMA})`
-  }
-  
+
   return {
-    signal,
-    reason,
-    fastMA,
-    slowMA,
-    fastMAPeriod: FAST_MA_PERIOD,
-    slowMAPeriod: SLOW_MA_PERIOD,
+    ...strategy.analyze(candles, params),
+    strategy: strategy.name,
   }
 }
 
 /**
  * Determine if we should execute a trade
- * 
+ *
  * @param {string} signal - Current signal ('BUY', 'SELL', 'WAIT')
  * @param {string|null} lastPosition - Last position ('long', 'short', or null)
  * @returns {Object} - Trade decision
@@ -114,7 +142,7 @@ export function shouldTrade(signal, lastPosition) {
       reason: 'No clear signal',
     }
   }
-  
+
   // Prevent repeated trades in same direction
   if (signal === 'BUY' && lastPosition === 'long') {
     return {
@@ -122,14 +150,14 @@ export function shouldTrade(signal, lastPosition) {
       reason: 'Already in long position',
     }
   }
-  
+
   if (signal === 'SELL' && lastPosition === 'short') {
     return {
       shouldTrade: false,
       reason: 'Already in short position',
     }
   }
-  
+
   // Trade is allowed
   return {
     shouldTrade: true,
@@ -140,16 +168,23 @@ export function shouldTrade(signal, lastPosition) {
 
 /**
  * Get strategy info for display
+ *
+ * @param {Object} strategyConfig - { name, params }
  */
-export function getStrategyInfo() {
+export function getStrategyInfo(strategyConfig = {}) {
+  const strategy = getStrategy(strategyConfig.name)
+  const params = resolveStrategyParams(strategy.name, strategyConfig.params)
+
   return {
-    name: 'MA Crossover',
-    description: 'Simple Moving Average crossover strategy',
-    fastPeriod: FAST_MA_PERIOD,
-    slowPeriod: SLOW_MA_PERIOD,
-    rules: [
-      `BUY when ${FAST_MA_PERIOD}-MA crosses above ${SLOW_MA_PERIOD}-MA`,
-      `SELL when ${FAST_MA_PERIOD}-MA crosses below ${SLOW_MA_PERIOD}-MA`,
-    ],
+    name: strategy.name,
+    label: strategy.label,
+    description: strategy.description,
+    params,
+    requiredCandles: strategy.requiredCandles(params),
+    rules: strategy.rules ? strategy.rules(params) : [],
   }
 }
+
+// Built-in strategies
+registerStrategy(maCrossover)
+registerStrategy(rsiReversion)
@@ -0,0 +1,48 @@
+/**
+ * Candle Timeframes
+ *
+ * Supported OKX bar sizes and helpers for aligning work to candle closes.
+ */
+
+// OKX bar value -> duration in milliseconds
+export const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1H': 60 * 60 * 1000,
+  '4H': 4 * 60 * 60 * 1000,
+}
+
+export const DEFAULT_TIMEFRAME = '1m'
+
+/**
+ * Check if a bar value is supported
+ */
+export function isValidTimeframe(bar) {
+  return Object.prototype.hasOwnProperty.call(TIMEFRAMES, bar)
+}
+
+/**
+ * Get the duration of a bar in milliseconds
+ */
+export function getTimeframeMs(bar) {
+  if (!isValidTimeframe(bar)) {
+    throw new Error(`Unsupported timeframe: ${bar}`)
+  }
+  return TIMEFRAMES[bar]
+}
+
+/**
+ * Get the timestamp of the next candle close after `now`
+ *
+ * OKX bars up to 4H are aligned to UTC epoch multiples, so the close
+ * is simply the next multiple of the bar duration.
+ *
+ * @param {string} bar - Candle timeframe (e.g., '5m')
+ * @param {number} now - Reference time in ms
+ * @returns {number} - Close time in ms
+ */
+export function getNextCandleClose(bar, now = Date.now()) {
+  const duration = getTimeframeMs(bar)
+  return Math.floor(now / duration) * duration + duration
+}
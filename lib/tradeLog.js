@@ -2,85 +2,181 @@
  * Trade Logging System
  * 
  * Records all trades for analysis and backtesting.
- * Stores trade history in memory (can be extended to file/database).
+ * Trades are appended to .data/trades.jsonl (one JSON object per line)
+ * and loaded into memory on first use, so history survives restarts
+ * and dev hot-reloads. There is no cap on the number of stored trades.
  * 
  * Features:
  * - Record trades with full details
+ * - Indexed filtering by mode, instrument, side, strategy and date range
+ * - Cursor pagination (newest first)
  * - Calculate P&L statistics
  * - Export trade history
  * - Performance analysis
  */
 
-// In-memory trade storage
-const tradeHistory = []
-const MAX_TRADES = 1000
+import { dataPath, appendJsonLine, readJsonLines, writeJsonLinesAtomic } from '@/lib/storage'
+import { publishEvent } from '@/lib/events'
+
+// Fields with an in-memory index
+const INDEXED_FIELDS = ['mode', 'instId', 'side', 'strategy']
+
+// Default page size for queries
+const DEFAULT_LIMIT = 50
+
+// Trades in recording order (oldest first) and field -> value -> [positions]
+let tradeHistory = null
+let indexes = null
+let lastSeq = 0
+
+function tradeLogFile() {
+  return dataPath('trades.jsonl')
+}
+
+function indexTrade(trade, position) {
+  for (const field of INDEXED_FIELDS) {
+    const value = trade[field]
+    if (value === undefined || value === null) continue
+    if (!indexes[field].has(value)) indexes[field].set(value, [])
+    indexes[field].get(value).push(position)
+  }
+}
+
+function rebuildIndexes() {
+  indexes = Object.fromEntries(INDEXED_FIELDS.map(field => [field, new Map()]))
+  tradeHistory.forEach(indexTrade)
+}
+
+/**
+ * Load the trade log from disk on first use
+ */
+function getTradeLog() {
+  if (!tradeHistory) {
+    tradeHistory = readJsonLines(tradeLogFile())
+    lastSeq = tradeHistory.reduce((max, t) => Math.max(max, t.seq || 0), 0)
+    rebuildIndexes()
+    console.log(`[TRADE LOG] Loaded ${tradeHistory.length} trades`)
+  }
+  return tradeHistory
+}
 
 /**
  * Record a new trade
  */
 export function recordTrade(trade) {
+  const trades = getTradeLog()
   const tradeEntry = {
     id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    seq: ++lastSeq, // Monotonic, used as pagination cursor
     timestamp: new Date().toISOString(),
     ...trade,
     // Calculated fields
     value: trade.price * (parseFloat(trade.size) / trade.price), // Approximate value
   }
   
-  tradeHistory.unshift(tradeEntry)
-  
-  // Keep only last MAX_TRADES
-  if (tradeHistory.length > MAX_TRADES) {
-    tradeHistory.pop()
-  }
+  appendJsonLine(tradeLogFile(), tradeEntry)
+  trades.push(tradeEntry)
+  indexTrade(tradeEntry, trades.length - 1)
   
-  console.log(`[TRADE LOG] ${trade.mode === 'demo' ? '[DEMO]' : '[LIVE]'} ${trade.side.toUpperCase()} ${trade.instId} @ ${trade.price}`)
+  console.log(`[TRADE LOG] [${(trade.mode || 'live').toUpperCase()}] ${trade.side.toUpperCase()} ${trade.instId} @ ${trade.price}`)
+  publishEvent('trade', tradeEntry)
   
   return tradeEntry
 }
 
 /**
- * Get all trade history
+ * First position whose timestamp is >= time (trades are in time order)
  */
-export function getTradeHistory(options = {}) {
-  let trades = [...tradeHistory]
-  
-  // Filter by mode (demo/live)
-  if (options.mode) {
-    trades = trades.filter(t => t.mode === options.mode)
+function lowerBound(trades, time) {
+  let lo = 0
+  let hi = trades.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (new Date(trades[mid].timestamp).getTime() < time) lo = mid + 1
+    else hi = mid
   }
+  return lo
+}
+
+/**
+ * Query trades (newest first)
+ * 
+ * @param {Object} options
+ * @param {string} options.mode - 'paper', 'demo' or 'live'
+ * @param {string} options.instId - Instrument ID
+ * @param {string} options.side - 'buy' or 'sell'
+ * @param {string} options.strategy - Strategy name
+ * @param {string} options.startDate - Earliest timestamp (inclusive)
+ * @param {string} options.endDate - Latest timestamp (inclusive)
+ * @param {number} options.limit - Page size (default 50, 0 = no limit)
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @returns {Object} - { trades, nextCursor } (nextCursor null on the last page)
+ */
+export function queryTrades(options = {}) {
+  const trades = getTradeLog()
+  const limit = options.limit ?? DEFAULT_LIMIT
+  const cursor = options.cursor ? parseInt(options.cursor, 10) : null
   
-  // Filter by instrument
-  if (options.instId) {
-    trades = trades.filter(t => t.instId === options.instId)
-  }
+  // Date range as a slice of the time-ordered log
+  const from = options.startDate ? lowerBound(trades, new Date(options.startDate).getTime()) : 0
+  const to = options.endDate ? lowerBound(trades, new Date(options.endDate).getTime() + 1) : trades.length
   
-  // Filter by side
-  if (options.side) {
-    trades = trades.filter(t => t.side === options.side)
+  // Start from the smallest index among the requested fields
+  const filters = INDEXED_FIELDS.filter(field => options[field])
+  let candidates = null
+  for (const field of filters) {
+    const positions = indexes[field].get(options[field]) || []
+    if (!candidates || positions.length < candidates.length) candidates = positions
   }
   
-  // Filter by date range
-  if (options.startDate) {
-    trades = trades.filter(t => new Date(t.timestamp) >= new Date(options.startDate))
-  }
-  if (options.endDate) {
-    trades = trades.filter(t => new Date(t.timestamp) <= new Date(options.endDate))
+  const matches = (trade) => filters.every(field => trade[field] === options[field]) &&
+    (cursor === null || trade.seq < cursor)
+  
+  const page = []
+  let hasMore = false
+  const collect = (trade) => {
+    if (!matches(trade)) return true
+    if (limit && page.length === limit) {
+      hasMore = true
+      return false
+    }
+    page.push(trade)
+    return true
   }
   
-  // Limit results
-  if (options.limit) {
-    trades = trades.slice(0, options.limit)
+  if (candidates) {
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const position = candidates[i]
+      if (position >= to) continue
+      if (position < from || !collect(trades[position])) break
+    }
+  } else {
+    for (let i = to - 1; i >= from; i--) {
+      if (!collect(trades[i])) break
+    }
   }
   
-  return trades
+  return {
+    trades: page,
+    nextCursor: hasMore ? String(page[page.length - 1].seq) : null,
+  }
+}
+
+/**
+ * Get trade history (newest first)
+ * 
+ * Accepts the same options as queryTrades(); without a limit all
+ * matching trades are returned.
+ */
+export function getTradeHistory(options = {}) {
+  return queryTrades({ ...options, limit: options.limit || 0 }).trades
 }
 
 /**
  * Calculate trading statistics
  */
 export function getTradeStats(mode = null) {
-  let trades = mode ? tradeHistory.filter(t => t.mode === mode) : tradeHistory
+  const trades = getTradeHistory({ mode })
   
   if (trades.length === 0) {
     return {
@@ -156,23 +252,21 @@ export function getTradeStats(mode = null) {
  * Clear all trade history
  */
 export function clearTradeHistory(mode = null) {
-  if (mode) {
-    // Remove only trades of specific mode
-    const toKeep = tradeHistory.filter(t => t.mode !== mode)
-    tradeHistory.length = 0
-    tradeHistory.push(...toKeep)
-  } else {
-    tradeHistory.length = 0
-  }
+  const count = getTradeLog().length
+  // Remove only trades of a specific mode, or everything
+  tradeHistory = mode ? getTradeLog().filter(t => t.mode !== mode) : []
+  writeJsonLinesAtomic(tradeLogFile(), tradeHistory)
+  rebuildIndexes()
   
   console.log(`[TRADE LOG] Cleared ${mode || 'all'} trade history`)
+  return count - tradeHistory.length
 }
 
 /**
  * Export trades as JSON
  */
 export function exportTrades(mode = null) {
-  const trades = mode ? tradeHistory.filter(t => t.mode === mode) : tradeHistory
+  const trades = getTradeHistory({ mode })
   const stats = getTradeStats(mode)
   
   return {
@@ -187,7 +281,7 @@ export function exportTrades(mode = null) {
  * Get recent trades summary
  */
 export function getRecentTradesSummary(count = 10) {
-  return tradeHistory.slice(0, count).map(t => ({
+  return queryTrades({ limit: count }).trades.map(t => ({
     id: t.id,
     timestamp: t.timestamp,
     mode: t.mode,
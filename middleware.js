@@ -0,0 +1,73 @@
+/**
+ * Authentication Middleware
+ *
+ * Every page and API route requires a dashboard session or an API token
+ * (lib/session.js), except the login page and /api/auth itself.
+ * Unauthenticated API requests get a 401; pages redirect to /login.
+ * Authenticated requests are passed on with the caller in the
+ * x-auth-user / x-auth-role / x-auth-method headers (and x-auth-session
+ * for sessions), which the routes check permissions and logouts against
+ * (lib/session.js requireRole). With authentication
+ * disabled every request is treated as an admin.
+ */
+
+import { NextResponse } from 'next/server'
+import {
+  authenticateRequest,
+  isAuthDisabled,
+  AUTH_USER_HEADER,
+  AUTH_ROLE_HEADER,
+  AUTH_METHOD_HEADER,
+  AUTH_SESSION_HEADER,
+} from '@/lib/session'
+
+// Reachable without logging in
+const PUBLIC_PATHS = ['/login', '/api/auth']
+
+export const config = {
+  // Everything except Next.js assets
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)'],
+}
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl
+
+  // Never trust identity headers sent by the client
+  const headers = new Headers(request.headers)
+  headers.delete(AUTH_USER_HEADER)
+  headers.delete(AUTH_ROLE_HEADER)
+  headers.delete(AUTH_METHOD_HEADER)
+  headers.delete(AUTH_SESSION_HEADER)
+
+  if (isAuthDisabled()) {
+    headers.set(AUTH_USER_HEADER, 'local')
+    headers.set(AUTH_ROLE_HEADER, 'admin')
+    headers.set(AUTH_METHOD_HEADER, 'disabled')
+    return NextResponse.next({ request: { headers } })
+  }
+  if (PUBLIC_PATHS.includes(pathname)) {
+    return NextResponse.next({ request: { headers } })
+  }
+
+  const identity = await authenticateRequest(request)
+  if (identity) {
+    headers.set(AUTH_USER_HEADER, identity.username)
+    headers.set(AUTH_ROLE_HEADER, identity.role)
+    headers.set(AUTH_METHOD_HEADER, identity.method)
+    if (identity.sessionId) headers.set(AUTH_SESSION_HEADER, identity.sessionId)
+    return NextResponse.next({ request: { headers } })
+  }
+
+  if (pathname.startsWith('/api/')) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required',
+    }, { status: 401 })
+  }
+
+  const loginUrl = new URL('/login', request.url)
+  if (pathname !== '/') {
+    loginUrl.searchParams.set('next', `${pathname}${search}`)
+  }
+  return NextResponse.redirect(loginUrl)
+}
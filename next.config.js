@@ -1,7 +1,12 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  // Enable experimental features if needed
-  experimental: {},
+  experimental: {
+    // Load all routes at boot so lib/startup.js restores and resumes the
+    // bot without waiting for the first request (production server only)
+    preloadEntriesOnStart: true,
+    // Loaded by Node instead of bundled (its optional native addons break the bundle)
+    serverComponentsExternalPackages: ['ws'],
+  },
 }
 
 module.exports = nextConfig
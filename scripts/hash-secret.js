@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Generate authentication secrets for .env.local
+ *
+ * Usage:
+ *   npm run hash-secret -- password   # prompts for a password, prints DASHBOARD_PASSWORD_HASH
+ *   npm run hash-secret -- token      # prints a new API token and its API_TOKEN_HASHES entry
+ *   npm run hash-secret -- secret     # prints a random AUTH_SECRET
+ *
+ * Password hashes use the same scrypt format lib/auth.js verifies.
+ */
+
+const crypto = require('crypto')
+const readline = require('readline')
+
+const SCRYPT = { N: 16384, r: 8, p: 1 }
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = crypto.scryptSync(password, salt, 64, SCRYPT)
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join(':')
+}
+
+function readPassword() {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: process.stdin.isTTY })
+    let muted = false
+    // Don't echo what is typed (the prompt itself is still written)
+    rl._writeToOutput = (text) => {
+      if (!muted) process.stderr.write(text)
+    }
+    rl.question('Password: ', (answer) => {
+      rl.close()
+      process.stderr.write('\n')
+      resolve(answer)
+    })
+    muted = true
+  })
+}
+
+async function main() {
+  const kind = process.argv[2]
+
+  if (kind === 'password') {
+    const password = await readPassword()
+    if (password.length < 8) {
+      console.error('Password must be at least 8 characters')
+      process.exit(1)
+    }
+    console.log(`DASHBOARD_PASSWORD_HASH=${hashPassword(password)}`)
+  } else if (kind === 'token') {
+    const token = crypto.randomBytes(32).toString('base64url')
+    console.log(`API token (send as 'Authorization: Bearer <token>'): ${token}`)
+    console.log(`API_TOKEN_HASHES entry: ${crypto.createHash('sha256').update(token).digest('hex')}`)
+  } else if (kind === 'secret') {
+    console.log(`AUTH_SECRET=${crypto.randomBytes(32).toString('base64url')}`)
+  } else {
+    console.error('Usage: npm run hash-secret -- password|token|secret')
+    process.exit(1)
+  }
+}
+
+main()